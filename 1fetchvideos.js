@@ -1,11 +1,9 @@
-const { Client } = require('@notionhq/client');
 require('dotenv').config();
-const fs = require('fs');
-
-// Inicializar cliente Notion
-const notion = new Client({
-    auth: process.env.NOTION_TOKEN,
-});
+const { notion, queryDatabase, extractThumbnailSource } = require('./utils/notion-client');
+const { enqueueJob } = require('./utils/job-store');
+const { parsePublishAt, formatPublishAt, isSchedulable } = require('./utils/publish-schedule');
+const { extractSubtitleLinks } = require('./utils/captions');
+const { PROCESSING_LOCK_TTL_MINUTES } = require('./utils/update-notion');
 
 /**
  * Valida se todas as variáveis necessárias estão configuradas
@@ -57,6 +55,54 @@ function extractTitle(titleArray) {
         .trim();
 }
 
+/**
+ * Converte qualquer propriedade do Notion em texto (para os templates de descrição)
+ * @param {Object} property - Propriedade do Notion
+ * @returns {string|Array|boolean|null} - Valor simples
+ */
+function extractPropertyValue(property) {
+    if (!property) return null;
+    
+    switch (property.type) {
+        case 'title':
+            return extractTitle(property.title);
+        case 'rich_text':
+            return extractPlainText(property.rich_text);
+        case 'select':
+        case 'status':
+            return property[property.type]?.name || '';
+        case 'multi_select':
+            return property.multi_select.map(option => option.name);
+        case 'number':
+            return property.number === null ? '' : String(property.number);
+        case 'checkbox':
+            return property.checkbox;
+        case 'date':
+            return property.date?.start || '';
+        case 'url':
+        case 'email':
+        case 'phone_number':
+            return property[property.type] || '';
+        case 'people':
+            return property.people.map(person => person.name).filter(Boolean);
+        case 'formula':
+            return extractPropertyValue({ type: property.formula.type, [property.formula.type]: property.formula[property.formula.type] });
+        default:
+            return null;
+    }
+}
+
+/**
+ * Extrai todas as propriedades da página como valores simples
+ * @param {Object} properties - Propriedades da página
+ * @returns {Object} - Mapa nome → valor
+ */
+function extractCustomProperties(properties) {
+    return Object.fromEntries(
+        Object.entries(properties).map(([name, property]) => [name, extractPropertyValue(property)])
+    );
+}
+
 /**
  * Processa propriedades da página do Notion
  * @param {Object} page - Página do Notion
@@ -78,6 +124,12 @@ function processVideoData(page) {
             category: properties['Category']?.select?.name || 'Education',
             privacy: properties['Privacy']?.select?.name || 'Public',
             uploadStatus: properties['Upload Status']?.select?.name || 'Pending',
+            publishAt: null,
+            thumbnail: extractThumbnailSource(properties['Thumbnail']),
+            subtitles: extractSubtitleLinks(properties['Subtitles']?.rich_text),
+            playlists: (properties['Playlists']?.multi_select || []).map(option => option.name),
+            format: properties['Format']?.select?.name || null,
+            customProperties: extractCustomProperties(properties),
             createdAt: page.created_time,
             lastEdited: page.last_edited_time
         };
@@ -107,6 +159,18 @@ function processVideoData(page) {
             videoData.description = videoData.description.substring(0, 4500);
         }
         
+        // Agendamento de publicação (Publish At)
+        try {
+            videoData.publishAt = parsePublishAt(properties['Publish At']?.date);
+        } catch (dateError) {
+            validations.push(`⚠️ Publish At inválido (ignorado): ${dateError.message}`);
+        }
+        
+        if (videoData.publishAt && !isSchedulable(videoData.publishAt)) {
+            validations.push('⚠️ Publish At já passou (vídeo será publicado imediatamente)');
+            videoData.publishAt = null;
+        }
+        
         // Log dos dados extraídos
         console.log(`   📺 Título: ${videoData.title}`);
         console.log(`   🔗 Drive: ${videoData.driveLink ? 'Presente' : 'Ausente'}`);
@@ -114,6 +178,11 @@ function processVideoData(page) {
         console.log(`   🏷️ Tags: ${videoData.tags || 'Nenhuma'}`);
         console.log(`   📂 Categoria: ${videoData.category}`);
         console.log(`   🔒 Privacidade: ${videoData.privacy}`);
+        console.log(`   📅 Publicação: ${videoData.publishAt ? formatPublishAt(videoData.publishAt) : 'Imediata'}`);
+        console.log(`   🖼️ Thumbnail: ${videoData.thumbnail ? 'Definida no Notion' : 'Buscar no Drive'}`);
+        console.log(`   💬 Legendas: ${videoData.subtitles.map(subtitle => subtitle.name).join(', ') || 'Nenhuma'}`);
+        console.log(`   📚 Playlists: ${videoData.playlists.join(', ') || 'Nenhuma'}`);
+        console.log(`   📱 Formato: ${videoData.format || 'Automático'}`);
         console.log(`   📊 Status: ${videoData.uploadStatus}`);
         
         // Log das validações
@@ -146,12 +215,41 @@ async function fetchPendingVideos(limit = 10) {
         
         validateEnvironmentVariables();
         
-        // Construir filtro para buscar apenas vídeos pendentes
+        // Vídeos pendentes + locks "Processing" abandonados (mais antigos que o TTL)
+        // + erros transitórios cuja próxima tentativa já chegou
+        // + erros antigos sem "Next Attempt" (anteriores à política de retentativa)
+        const lockCutoff = new Date(Date.now() - PROCESSING_LOCK_TTL_MINUTES * 60 * 1000).toISOString();
         const filter = {
-            property: 'Upload Status',
-            select: {
-                equals: 'Pending'
-            }
+            or: [
+                {
+                    property: 'Upload Status',
+                    select: { equals: 'Pending' }
+                },
+                {
+                    and: [
+                        { property: 'Upload Status', select: { equals: 'Processing' } },
+                        { property: 'Locked At', date: { before: lockCutoff } }
+                    ]
+                },
+                {
+                    and: [
+                        { property: 'Upload Status', select: { equals: 'Processing' } },
+                        { property: 'Locked At', date: { is_empty: true } }
+                    ]
+                },
+                {
+                    and: [
+                        { property: 'Upload Status', select: { equals: 'Error' } },
+                        { property: 'Next Attempt', date: { on_or_before: new Date().toISOString() } }
+                    ]
+                },
+                {
+                    and: [
+                        { property: 'Upload Status', select: { equals: 'Error' } },
+                        { property: 'Next Attempt', date: { is_empty: true } }
+                    ]
+                }
+            ]
         };
         
         // Ordenar por data de criação (mais antigos primeiro)
@@ -164,17 +262,12 @@ async function fetchPendingVideos(limit = 10) {
         
         console.log(`📊 Buscando até ${limit} vídeo(s) pendente(s)...`);
         
-        // Fazer consulta ao banco de dados
-        const response = await notion.databases.query({
-            database_id: process.env.NOTION_DATABASE_ID,
-            filter: filter,
-            sorts: sorts,
-            page_size: Math.min(limit, 100) // Máximo do Notion: 100
-        });
+        // Fazer consulta ao banco de dados (segue o cursor se o limite passar de 100)
+        const results = await queryDatabase({ filter, sorts }, { limit });
         
-        console.log(`📋 Encontrados ${response.results.length} resultado(s)`);
+        console.log(`📋 Encontrados ${results.length} resultado(s)`);
         
-        if (response.results.length === 0) {
+        if (results.length === 0) {
             console.log('✅ Nenhum vídeo pendente encontrado');
             return [];
         }
@@ -183,7 +276,7 @@ async function fetchPendingVideos(limit = 10) {
         const videos = [];
         const errors = [];
         
-        for (const page of response.results) {
+        for (const page of results) {
             try {
                 const videoData = processVideoData(page);
                 
@@ -308,21 +401,21 @@ async function checkDatabaseStatus() {
         console.log(`📋 Banco: ${database.title?.[0]?.plain_text || 'Auto Publisher'}`);
         console.log(`📅 Última edição: ${new Date(database.last_edited_time).toLocaleString('pt-BR')}`);
         
-        // Buscar estatísticas de páginas
-        const allPages = await notion.databases.query({
-            database_id: process.env.NOTION_DATABASE_ID,
-            page_size: 100
-        });
+        // Buscar estatísticas de páginas (todas, seguindo o cursor)
+        const allPages = await queryDatabase();
         
         // Contar por status
         const stats = {
-            total: allPages.results.length,
+            total: allPages.length,
             pending: 0,
             uploaded: 0,
-            error: 0
+            scheduled: 0,
+            error: 0,
+            failed: 0,
+            archived: 0
         };
         
-        allPages.results.forEach(page => {
+        allPages.forEach(page => {
             const status = page.properties['Upload Status']?.select?.name || 'Pending';
             switch (status) {
                 case 'Pending':
@@ -331,9 +424,18 @@ async function checkDatabaseStatus() {
                 case 'Uploaded':
                     stats.uploaded++;
                     break;
+                case 'Scheduled':
+                    stats.scheduled++;
+                    break;
                 case 'Error':
                     stats.error++;
                     break;
+                case 'Failed':
+                    stats.failed++;
+                    break;
+                case 'Archived':
+                    stats.archived++;
+                    break;
             }
         });
         
@@ -341,7 +443,10 @@ async function checkDatabaseStatus() {
         console.log(`   📊 Total: ${stats.total} vídeo(s)`);
         console.log(`   ⏳ Pendentes: ${stats.pending} vídeo(s)`);
         console.log(`   ✅ Enviados: ${stats.uploaded} vídeo(s)`);
+        console.log(`   📅 Agendados: ${stats.scheduled} vídeo(s)`);
         console.log(`   ❌ Erros: ${stats.error} vídeo(s)`);
+        console.log(`   ⛔ Falhas definitivas: ${stats.failed} vídeo(s)`);
+        console.log(`   🗄️ Arquivados: ${stats.archived} vídeo(s)`);
         
         return {
             database: {
@@ -359,48 +464,44 @@ async function checkDatabaseStatus() {
 }
 
 /**
- * Função principal - busca próximo vídeo para processar
- * @returns {Object|null} - Vídeo para processar ou null
+ * Função principal - busca próximos vídeos para processar
+ * @param {number} limit - Número máximo de vídeos a colocar na fila
+ * @returns {Array} - Vídeos colocados na fila (vazio se não houver)
  */
-async function main() {
+async function main(limit = 1) {
     try {
         console.log('🚀 INICIANDO BUSCA DE VÍDEOS PENDENTES...');
         console.log('═'.repeat(50));
         
-        // Verificar status do banco
-        const status = await checkDatabaseStatus();
+        // Verificar status do banco (apenas informativo: erros vencidos e
+        // processamentos travados também entram na fila, mesmo sem pendentes)
+        await checkDatabaseStatus();
         
-        if (status.stats.pending === 0) {
-            console.log('📭 Nenhum vídeo pendente encontrado');
+        // Buscar próximos vídeos
+        const videos = limit > 1
+            ? await fetchPendingVideos(limit)
+            : [await getNextVideoForUpload()].filter(Boolean);
+        
+        if (videos.length === 0) {
+            console.log('📭 Nenhum vídeo válido para upload');
             console.log('✅ Processo finalizado - nada para fazer');
-            return null;
+            return [];
         }
         
-        // Buscar próximo vídeo
-        const nextVideo = await getNextVideoForUpload();
-        
-        if (nextVideo) {
-            // 💾 SALVAR DADOS TEMPORÁRIOS
-            const videoData = {
-                pageId: nextVideo.pageId,
-                title: nextVideo.title,
-                driveUrl: nextVideo.driveUrl,
-                description: nextVideo.description,
-                tags: nextVideo.tags,
-                category: nextVideo.category,
-                privacy: nextVideo.privacy
-            };
-            
-            fs.writeFileSync('temp_video_data.json', JSON.stringify(videoData, null, 2));
-            console.log(`💾 Dados salvos em temp_video_data.json para: ${videoData.title}`);
-        }
+        // 📦 COLOCAR NA FILA DE JOBS
+        videos.forEach(video => {
+            const job = enqueueJob(video);
+            console.log(`💾 Job salvo em jobs.json (estado: ${job.state}) para: ${job.title}`);
+        });
         
         console.log('═'.repeat(50));
         console.log('✅ BUSCA CONCLUÍDA COM SUCESSO!');
-        console.log(`🎬 Vídeo selecionado: "${nextVideo.title}"`);
-        console.log(`📄 ID da página: ${nextVideo.pageId}`);
+        videos.forEach(video => {
+            console.log(`🎬 Vídeo selecionado: "${video.title}"`);
+            console.log(`📄 ID da página: ${video.pageId}`);
+        });
         
-        return nextVideo;
+        return videos;
         
     } catch (error) {
         console.error('═'.repeat(50));
@@ -415,10 +516,13 @@ async function main() {
 
 // Executar se chamado diretamente
 if (require.main === module) {
-    main()
-        .then(video => {
-            if (video) {
-                console.log('🎯 Vídeo encontrado:', video.title);
+    const limitArg = process.argv.slice(2).find(arg => arg.startsWith('--limit='));
+    const limit = limitArg ? parseInt(limitArg.split('=')[1]) || 1 : 1;
+    
+    main(limit)
+        .then(videos => {
+            if (videos.length > 0) {
+                console.log(`🎯 ${videos.length} vídeo(s) encontrado(s)`);
                 process.exit(0);
             } else {
                 console.log('📭 Nenhum vídeo pendente');
@@ -1,6 +1,8 @@
 const fs = require('fs');
 const path = require('path');
 const { downloadFromDrive, extractFileIdFromUrl, cleanupTempFile } = require('./utils/drive-downloader');
+const { getFreeSpace } = require('./utils/temp-manager');
+const { inspectVideo } = require('./utils/media-probe');
 const { fetchVideoById } = require('./1fetchvideos');
 require('dotenv').config();
 
@@ -109,6 +111,7 @@ function extractAndValidateDriveId(driveLink) {
 
 /**
  * Verifica espaço disponível no sistema
+ * A checagem exata (tamanho do Drive + folga) acontece em downloadFromDrive
  * @param {number} requiredMB - Espaço necessário em MB
  * @returns {boolean} - Se há espaço suficiente
  */
@@ -116,11 +119,19 @@ function checkDiskSpace(requiredMB = 500) {
     try {
         console.log(`💾 Verificando espaço em disco (${requiredMB}MB necessários)...`);
         
-        const tempDir = path.join(__dirname, 'temp');
+        const freeBytes = getFreeSpace();
+        if (freeBytes === null) {
+            console.warn('⚠️ Verificação de espaço indisponível nesta versão do Node');
+            return true;
+        }
+        
+        const freeMB = freeBytes / 1024 / 1024;
+        if (freeMB < requiredMB) {
+            console.warn(`⚠️ Pouco espaço em disco: ${freeMB.toFixed(0)}MB livres`);
+            return false;
+        }
         
-        // No ambiente real, seria necessário verificar o espaço disponível
-        // Por simplicidade, assumimos que há espaço
-        console.log('✅ Espaço em disco suficiente');
+        console.log(`✅ Espaço em disco suficiente (${freeMB.toFixed(0)}MB livres)`);
         return true;
         
     } catch (error) {
@@ -177,7 +188,7 @@ function validateDownloadedFile(downloadResult) {
     try {
         console.log('🔍 Validando arquivo baixado...');
         
-        const { filePath, fileName, fileSize, mimeType } = downloadResult;
+        const { filePath, fileName, fileSize, mimeType, expectedSize } = downloadResult;
         
         // Verificar se arquivo existe
         if (!fs.existsSync(filePath)) {
@@ -190,14 +201,15 @@ function validateDownloadedFile(downloadResult) {
             throw new Error('❌ Arquivo está vazio');
         }
         
-        // Verificar se o tamanho confere
-        if (fileSize && Math.abs(actualSize - fileSize) > 1024) {
-            console.warn(`⚠️ Tamanho divergente: esperado ${fileSize}, atual ${actualSize}`);
+        // Verificar se o tamanho confere com o Drive (divergência = arquivo corrompido)
+        const sizeToMatch = expectedSize || fileSize;
+        if (sizeToMatch && actualSize !== sizeToMatch) {
+            throw new Error(`❌ Tamanho divergente: esperado ${sizeToMatch}, atual ${actualSize}`);
         }
         
         // Verificar tipo de arquivo
         const extension = path.extname(fileName).toLowerCase();
-        const videoExtensions = ['.mp4', '.avi', '.mov', '.mkv', '.wmv', '.flv', '.webm'];
+        const videoExtensions = ['.mp4', '.m4v', '.avi', '.mov', '.mkv', '.wmv', '.flv', '.webm', '.3gp', '.mpg', '.mpeg', '.ts', '.mts'];
         
         if (!videoExtensions.includes(extension)) {
             console.warn(`⚠️ Extensão não reconhecida como vídeo: ${extension}`);
@@ -217,6 +229,9 @@ function validateDownloadedFile(downloadResult) {
         
         console.log('✅ Arquivo validado com sucesso');
         console.log(`   📁 Nome: ${fileName}`);
+        if (downloadResult.originalName) {
+            console.log(`   📄 Original: ${downloadResult.originalName}`);
+        }
         console.log(`   📊 Tamanho: ${(actualSize / 1024 / 1024).toFixed(2)} MB`);
         console.log(`   🎬 Tipo: ${mimeType || 'Desconhecido'}`);
         
@@ -276,7 +291,13 @@ async function downloadVideo(videoData) {
             throw new Error(`Arquivo inválido: ${fileValidation.error}`);
         }
         
-        // 6. Calcular tempo total
+        // 6. Inspecionar mídia (ffprobe): rejeita truncado, sem áudio ou duração zero
+        const inspection = await inspectVideo(downloadResult.filePath);
+        if (!inspection.isValid) {
+            throw new Error(`Arquivo inválido: ${inspection.errors.join(', ')}`);
+        }
+        
+        // 7. Calcular tempo total
         const downloadTime = ((Date.now() - startTime) / 1000).toFixed(1);
         const downloadSpeed = (downloadResult.fileSize / 1024 / 1024 / downloadTime).toFixed(1);
         
@@ -295,6 +316,7 @@ async function downloadVideo(videoData) {
             downloadResult: {
                 ...downloadResult,
                 ...fileValidation,
+                media: inspection.media,
                 downloadTime: parseFloat(downloadTime),
                 downloadSpeed: parseFloat(downloadSpeed)
             },
@@ -1,10 +1,22 @@
 const fs = require('fs');
 const path = require('path');
-const { uploadToYoutube, updateThumbnail, getChannelInfo } = require('./utils/youtube-uploader');
+const { uploadToYoutube, getChannelInfo } = require('./utils/youtube-uploader');
+const { applyCustomThumbnail } = require('./utils/thumbnail');
+const { uploadSubtitles } = require('./utils/captions');
+const { addVideoToPlaylists } = require('./utils/playlist-manager');
+const { findDuplicateVideo, computeFileHash, buildHashTag, DUPLICATE_CHECK_ENABLED } = require('./utils/duplicate-check');
+const { buildSessionKey, getSavedSession } = require('./utils/resumable-upload');
+const { buildStreamSessionKey } = require('./utils/stream-transfer');
 const { markAsUploaded, markAsError } = require('./utils/update-notion');
 const { cleanupTempFile } = require('./utils/drive-downloader');
 const { downloadVideoById } = require('./2downloadvideo');
 const { fetchVideoById } = require('./1fetchvideos');
+const { formatPublishAt } = require('./utils/publish-schedule');
+const { buildVideoMetadata, logMetadataReport } = require('./utils/youtube-metadata');
+const { detectFileContainer, resolveMediaType, CONTAINERS } = require('./utils/media-type');
+const { inspectVideo } = require('./utils/media-probe');
+const { resolveVideoFormat, getShortsPlaylists } = require('./utils/shorts');
+const { checkShortsBudget, recordShortUpload } = require('./utils/quota-ledger');
 require('dotenv').config();
 
 /**
@@ -29,79 +41,25 @@ function validateYouTubeConfig() {
 }
 
 /**
- * Prepara metadados otimizados para o YouTube
+ * Prepara metadados para o YouTube (mesmo corpo usado no upload)
  * @param {Object} videoData - Dados do vídeo do Notion
- * @returns {Object} - Metadados formatados
+ * @param {Object} options - { systemTags, short } repassado ao buildVideoMetadata
+ * @returns {Object} - { requestBody, report, template, short }
  */
-function prepareYouTubeMetadata(videoData) {
+function prepareYouTubeMetadata(videoData, options = {}) {
     try {
         console.log('📋 Preparando metadados para YouTube...');
         
-        // Título otimizado (máximo 100 caracteres)
-        let title = videoData.title || 'Vídeo sem título';
-        if (title.length > 100) {
-            title = title.substring(0, 97) + '...';
-            console.log(`✂️ Título truncado: "${title}"`);
-        }
-        
-        // Descrição otimizada (máximo 5000 caracteres)
-        let description = videoData.description || '';
-        
-        // Adicionar rodapé personalizado
-        const footer = `
-        
-═══════════════════════════════════════
-🎬 Publicado automaticamente via Auto Publisher
-📅 Data: ${new Date().toLocaleDateString('pt-BR')}
-🤖 Sistema: YouTube Auto Upload v2.0
-═══════════════════════════════════════
-
-#AutoPublisher #YouTube #Automação`;
-        
-        const maxDescLength = 5000 - footer.length;
-        if (description.length > maxDescLength) {
-            description = description.substring(0, maxDescLength - 3) + '...';
-            console.log('✂️ Descrição truncada para caber o rodapé');
-        }
-        
-        description += footer;
-        
-        // Tags processadas
-        let tags = [];
-        if (videoData.tags) {
-            tags = videoData.tags
-                .split(',')
-                .map(tag => tag.trim())
-                .filter(tag => tag.length > 0 && tag.length <= 500)
-                .slice(0, 500); // Limite do YouTube
-        }
-        
-        // Adicionar tags automáticas
-        const autoTags = ['auto-publisher', 'upload-automatico'];
-        tags = [...tags, ...autoTags].slice(0, 500);
-        
-        // Categoria e privacidade
-        const category = videoData.category || 'Education';
-        const privacy = videoData.privacy || 'Public';
-        
-        const metadata = {
-            title,
-            description,
-            tags,
-            category,
-            privacy: privacy.toLowerCase(),
-            language: 'pt-BR',
-            defaultLanguage: 'pt',
-            categoryId: getCategoryId(category),
-            privacyStatus: formatPrivacyStatus(privacy)
-        };
+        const metadata = buildVideoMetadata(videoData, options);
+        const { snippet, status } = metadata.requestBody;
         
         console.log('📋 Metadados preparados:');
-        console.log(`   📺 Título: "${metadata.title}" (${metadata.title.length} chars)`);
-        console.log(`   📝 Descrição: ${metadata.description.length} chars`);
-        console.log(`   🏷️ Tags: ${metadata.tags.length} tag(s)`);
-        console.log(`   📂 Categoria: ${metadata.category} (ID: ${metadata.categoryId})`);
-        console.log(`   🔒 Privacidade: ${metadata.privacy}`);
+        console.log(`   📺 Título: "${snippet.title}"`);
+        console.log(`   📄 Template: ${metadata.template}`);
+        console.log(`   📱 Formato: ${metadata.short ? 'Short' : 'Vídeo padrão'}`);
+        console.log(`   📂 Categoria: ${videoData.category} (ID: ${snippet.categoryId})`);
+        console.log(`   🔒 Privacidade: ${status.privacyStatus}`);
+        logMetadataReport(metadata.report);
         
         return metadata;
         
@@ -112,38 +70,32 @@ function prepareYouTubeMetadata(videoData) {
 }
 
 /**
- * Mapeia categoria para ID do YouTube (duplicado aqui para standalone)
+ * Confere extensão e limites de tamanho aceitos pelo YouTube
+ * @param {string} fileName - Nome do arquivo
+ * @param {number} fileSize - Tamanho em bytes
+ * @returns {string} - Extensão do arquivo
  */
-function getCategoryId(category) {
-    const categoryMap = {
-        'Education': '27',
-        'Entertainment': '24',
-        'Music': '10',
-        'Gaming': '20',
-        'Sports': '17',
-        'Science & Technology': '28',
-        'News & Politics': '25',
-        'Howto & Style': '26',
-        'People & Blogs': '22',
-        'Comedy': '34',
-        'Film & Animation': '1',
-        'Autos & Vehicles': '2'
-    };
+function checkVideoLimits(fileName, fileSize) {
+    const extension = path.extname(fileName).toLowerCase();
     
-    return categoryMap[category] || '27';
-}
-
-/**
- * Formata status de privacidade (duplicado aqui para standalone)
- */
-function formatPrivacyStatus(privacy) {
-    const privacyMap = {
-        'Public': 'public',
-        'Unlisted': 'unlisted',
-        'Private': 'private'
-    };
+    // Verificar extensão suportada
+    const supportedFormats = ['.mp4', '.m4v', '.mov', '.avi', '.wmv', '.flv', '.webm', '.mkv', '.3gp', '.mpg', '.mpeg', '.ts', '.mts'];
+    if (!supportedFormats.includes(extension)) {
+        throw new Error(`❌ Formato não suportado: ${extension}`);
+    }
+    
+    // Verificar tamanho (limite YouTube: 128GB)
+    const maxSize = 128 * 1024 * 1024 * 1024; // 128GB
+    if (fileSize > maxSize) {
+        throw new Error(`❌ Arquivo muito grande: ${fileSize} bytes`);
+    }
     
-    return privacyMap[privacy] || 'public';
+    const minSize = 1024 * 1024; // 1MB
+    if (fileSize < minSize) {
+        throw new Error(`❌ Arquivo muito pequeno: ${fileSize} bytes`);
+    }
+    
+    return extension;
 }
 
 /**
@@ -162,24 +114,7 @@ function validateVideoFile(filePath) {
         const stats = fs.statSync(filePath);
         const fileSize = stats.size;
         const fileName = path.basename(filePath);
-        const extension = path.extname(fileName).toLowerCase();
-        
-        // Verificar extensão suportada
-        const supportedFormats = ['.mp4', '.mov', '.avi', '.wmv', '.flv', '.webm', '.mkv'];
-        if (!supportedFormats.includes(extension)) {
-            throw new Error(`❌ Formato não suportado: ${extension}`);
-        }
-        
-        // Verificar tamanho (limite YouTube: 128GB)
-        const maxSize = 128 * 1024 * 1024 * 1024; // 128GB
-        if (fileSize > maxSize) {
-            throw new Error(`❌ Arquivo muito grande: ${fileSize} bytes`);
-        }
-        
-        const minSize = 1024 * 1024; // 1MB
-        if (fileSize < minSize) {
-            throw new Error(`❌ Arquivo muito pequeno: ${fileSize} bytes`);
-        }
+        const extension = checkVideoLimits(fileName, fileSize);
         
         console.log('✅ Arquivo válido para upload');
         console.log(`   📁 Nome: ${fileName}`);
@@ -203,33 +138,136 @@ function validateVideoFile(filePath) {
     }
 }
 
+/**
+ * Verifica se a origem no Drive é válida para upload em streaming
+ * Extensão vem do contêiner detectado (ou do nome original)
+ * @param {Object} source - Resultado de prepareDriveStream
+ * @returns {Object} - Resultado da validação
+ */
+function validateStreamSource(source) {
+    try {
+        console.log('🔍 Validando vídeo no Drive (streaming)...');
+        
+        const nameToCheck = source.container ? `video${CONTAINERS[source.container].extension}` : source.originalName;
+        const extension = checkVideoLimits(nameToCheck, source.fileSize);
+        
+        console.log('✅ Vídeo válido para upload');
+        console.log(`   📁 Nome: ${source.originalName}`);
+        console.log(`   📊 Tamanho: ${(source.fileSize / 1024 / 1024).toFixed(2)} MB`);
+        console.log(`   🎬 Formato: ${extension}`);
+        
+        return {
+            isValid: true,
+            fileName: source.originalName,
+            fileSize: source.fileSize,
+            extension
+        };
+        
+    } catch (error) {
+        console.error('❌ Erro na validação do vídeo:', error.message);
+        return {
+            isValid: false,
+            error: error.message
+        };
+    }
+}
+
 /**
  * Executa upload completo para o YouTube
  * @param {Object} videoData - Dados do vídeo
- * @param {string} filePath - Caminho do arquivo
+ * @param {string} filePath - Caminho do arquivo (null no modo streaming)
+ * @param {Object} fileInfo - Dados do download (originalName, mimeType, md5Checksum) ou origem de prepareDriveStream (opcional)
+ * @param {Object} options - { resume: tentativa anterior do job chegou ao upload (o vídeo pode já estar no canal) }
  * @returns {Object} - Resultado do upload
  */
-async function uploadToYouTubeComplete(videoData, filePath) {
+async function uploadToYouTubeComplete(videoData, filePath, fileInfo = {}, options = {}) {
+    const { resume = false } = options;
     const startTime = Date.now();
+    const streaming = Boolean(fileInfo.streamFromDrive);
     try {
         console.log('🚀 INICIANDO UPLOAD PARA YOUTUBE...');
         console.log('═'.repeat(50));
         console.log(`🎬 Título: ${videoData.title}`);
-        console.log(`📁 Arquivo: ${path.basename(filePath)}`);
+        console.log(`📁 Arquivo: ${streaming ? `${fileInfo.originalName} (streaming do Drive)` : path.basename(filePath)}`);
         
         // 1. Validar configurações
         validateYouTubeConfig();
         
         // 2. Validar arquivo
-        const fileValidation = validateVideoFile(filePath);
+        const fileValidation = streaming ? validateStreamSource(fileInfo) : validateVideoFile(filePath);
         if (!fileValidation.isValid) {
             throw new Error(`Arquivo inválido: ${fileValidation.error}`);
         }
         
-        // 3. Preparar metadados
-        const metadata = prepareYouTubeMetadata(videoData);
+        // Inspeção de mídia (já feita no download; no streaming não há arquivo local)
+        let media = fileInfo.media || null;
+        if (!streaming && fileInfo.media === undefined) {
+            const inspection = await inspectVideo(filePath);
+            if (!inspection.isValid) {
+                throw new Error(`Arquivo inválido: ${inspection.errors.join(', ')}`);
+            }
+            media = inspection.media;
+        }
+        
+        // Short (Format do Notion ou vertical até 60s): limite diário próprio
+        const format = resolveVideoFormat(videoData, media);
+        if (format.isShort) {
+            const shortsBudget = checkShortsBudget();
+            console.log(`📱 Short (${format.source === 'notion' ? 'definido no Notion' : 'detectado pela mídia'}) - ${shortsBudget.used}/${shortsBudget.limit || '∞'} hoje`);
+            if (!shortsBudget.allowed) {
+                throw Object.assign(
+                    new Error(`Limite diário de Shorts atingido (${shortsBudget.used}/${shortsBudget.limit}) até ${new Date(shortsBudget.resetAt).toLocaleString('pt-BR')}`),
+                    { code: 'SHORTS_LIMIT' }
+                );
+            }
+        }
+        
+        // 3. Hash do arquivo (vira tag interna para detectar reenvios do mesmo arquivo)
+        // O md5Checksum do Drive é o mesmo hash, já conferido no download/streaming;
+        // só recalcula localmente quando o Drive não informou (ex: link público)
+        let hashTag = null;
+        if (DUPLICATE_CHECK_ENABLED) {
+            if (fileInfo.md5Checksum) {
+                hashTag = buildHashTag(fileInfo.md5Checksum);
+            } else if (!streaming) {
+                console.log('🔑 Calculando hash do arquivo...');
+                hashTag = buildHashTag(await computeFileHash(filePath));
+            }
+        }
+        
+        // 4. Preparar metadados
+        const metadata = prepareYouTubeMetadata(videoData, { systemTags: hashTag ? [hashTag] : [], short: format.isShort });
+        if (!metadata.report.isValid) {
+            throw new Error(`Metadados inválidos: ${metadata.report.errors.join(', ')}`);
+        }
+        
+        // 5. Verificar duplicatas no canal antes de inserir
+        // Sessão salva = upload desta página em andamento: retomar primeiro (o vídeo dela não é duplicata)
+        const fileSize = streaming ? fileInfo.fileSize : fs.statSync(filePath).size;
+        const sessionKey = streaming
+            ? buildStreamSessionKey(fileInfo, videoData.pageId)
+            : buildSessionKey({ filePath, fileSize }, videoData.pageId);
+        let existingVideo = null;
+        
+        if (getSavedSession(sessionKey)) {
+            console.log('🔄 Sessão de upload desta página encontrada: retomando sem verificar duplicatas');
+        } else {
+            const duplicate = await findDuplicateVideo({ title: metadata.requestBody.snippet.title, hashTag });
+            
+            // Mesmo arquivo enviado por uma tentativa anterior deste job (ex: queda após o último chunk)
+            if (duplicate && duplicate.matchedBy === 'hash' && resume) {
+                console.log(`♻️ Vídeo da tentativa anterior já está no canal (${duplicate.videoUrl}), concluindo o job com ele`);
+                existingVideo = duplicate;
+            } else if (duplicate) {
+                const reason = duplicate.matchedBy === 'hash' ? 'mesmo arquivo' : 'mesmo título';
+                throw Object.assign(
+                    new Error(`Vídeo duplicado no canal (${reason}): ${duplicate.videoUrl}`),
+                    { code: 'DUPLICATE' }
+                );
+            }
+        }
         
-        // 4. Obter informações do canal
+        // 6. Obter informações do canal
         let channelInfo = null;
         try {
             channelInfo = await getChannelInfo();
@@ -242,22 +280,57 @@ async function uploadToYouTubeComplete(videoData, filePath) {
             console.warn('⚠️ Erro ao obter info do canal:', channelError.message);
         }
         
-        // 5. Preparar dados do arquivo
-        const stats = fs.statSync(filePath);
-        const fileSize = stats.size;
-        const fileName = path.basename(filePath);
-        const mimeType = 'video/mp4';
+        // 7. Preparar dados do arquivo
+        const fileName = streaming ? fileInfo.originalName : path.basename(filePath);
+        const { mimeType } = streaming ? fileInfo : resolveMediaType({
+            detected: detectFileContainer(filePath),
+            mimeType: fileInfo.mimeType,
+            fileName: fileInfo.originalName || fileName
+        });
 
         console.log('📊 Dados do arquivo:');
         console.log(`📁 Nome: ${fileName}`);
+        if (fileInfo.originalName && fileInfo.originalName !== fileName) {
+            console.log(`📄 Original: ${fileInfo.originalName}`);
+        }
         console.log(`📊 Tamanho: ${(fileSize / 1024 / 1024).toFixed(2)} MB`);
         console.log(`📋 Tipo: ${mimeType}`);
         
-        // 6. Executar upload
-        console.log('⬆️ Enviando para YouTube...');
-        const uploadResult = await uploadToYoutube(videoData, { filePath, fileSize, fileName, mimeType });
+        // 8. Executar upload (ou assumir o vídeo já enviado pela tentativa anterior)
+        let uploadResult;
+        if (existingVideo) {
+            const { status } = metadata.requestBody;
+            uploadResult = {
+                videoId: existingVideo.videoId,
+                videoUrl: existingVideo.videoUrl,
+                privacy: status.privacyStatus,
+                publishAt: status.publishAt || null
+            };
+        } else {
+            console.log('⬆️ Enviando para YouTube...');
+            const videoFile = streaming
+                ? { ...fileInfo, fileSize, fileName, mimeType }
+                : { filePath, fileSize, fileName, mimeType };
+            uploadResult = await uploadToYoutube(videoData, videoFile, metadata);
+            if (format.isShort) {
+                recordShortUpload();
+            }
+        }
         
-        // 7. Calcular estatísticas
+        // 9. Thumbnail personalizada (Notion, imagem ao lado do vídeo no Drive ou gerada dos quadros)
+        const thumbnail = await applyCustomThumbnail(uploadResult.videoId, videoData, {
+            videoPath: streaming ? null : filePath,
+            media,
+            short: format.isShort
+        });
+        
+        // 10. Legendas (.srt/.vtt vinculadas no Notion ou ao lado do vídeo)
+        const captions = await uploadSubtitles(uploadResult.videoId, videoData);
+        
+        // 11. Playlists (multi-select "Playlists" do Notion; Shorts sem playlist vão para SHORTS_PLAYLIST)
+        const playlists = await addVideoToPlaylists(uploadResult.videoId, format.isShort ? getShortsPlaylists(videoData) : videoData.playlists);
+        
+        // 12. Calcular estatísticas
         const uploadTime = ((Date.now() - startTime) / 1000).toFixed(1);
         const uploadSpeed = (fileValidation.fileSize / 1024 / 1024 / uploadTime).toFixed(1);
         
@@ -268,6 +341,9 @@ async function uploadToYouTubeComplete(videoData, filePath) {
         console.log(`⏱️ Tempo total: ${uploadTime}s`);
         console.log(`🚀 Velocidade: ${uploadSpeed} MB/s`);
         console.log(`🔒 Privacidade: ${uploadResult.privacy}`);
+        if (uploadResult.publishAt) {
+            console.log(`📅 Agendado para: ${formatPublishAt(uploadResult.publishAt)}`);
+        }
         
         // Retornar resultado completo
         return {
@@ -275,12 +351,18 @@ async function uploadToYouTubeComplete(videoData, filePath) {
             videoId: uploadResult.videoId,
             videoUrl: uploadResult.videoUrl,
             privacy: uploadResult.privacy,
-            thumbnailUrl: uploadResult.thumbnailUrl,
+            publishAt: uploadResult.publishAt,
+            thumbnailUrl: thumbnail.thumbnailUrl,
+            thumbnailSource: thumbnail.applied ? thumbnail.source : null,
+            captions: captions.map(({ name, language, success, error }) => ({ name, language, success, error })),
+            playlists,
             uploadDate: new Date().toISOString(),
             uploadTimeSeconds: parseFloat(uploadTime),
             uploadSpeed: parseFloat(uploadSpeed),
             fileSize: fileValidation.fileSize,
             fileName: fileValidation.fileName,
+            media,
+            format: format.format,
             channelInfo,
             metadata
         };
@@ -296,6 +378,8 @@ async function uploadToYouTubeComplete(videoData, filePath) {
         return {
             success: false,
             error: error.message,
+            errorCode: error.code,
+            errorReason: error.reason,
             uploadDate: new Date().toISOString(),
             uploadTimeSeconds: parseFloat(errorTime),
             attempts: 1
@@ -345,7 +429,7 @@ async function uploadVideoById(pageId, filePath = null) {
         }
         
         // 3. Upload para YouTube
-        const uploadResult = await uploadToYouTubeComplete(videoData, filePath);
+        const uploadResult = await uploadToYouTubeComplete(videoData, filePath, downloadResult?.downloadResult);
         
         // 4. Atualizar Notion
         console.log('📝 Atualizando Notion...');
@@ -464,6 +548,7 @@ module.exports = {
     uploadVideoById,
     prepareYouTubeMetadata,
     validateVideoFile,
+    validateStreamSource,
     validateYouTubeConfig
 };
 
@@ -479,9 +564,12 @@ Atualiza status no Notion
 ✅ Descrições com rodapé automático
 ✅ Tags processadas e validadas
 ✅ Categoria e privacidade corretas
+✅ Shorts com título, descrição, playlist e limite diário próprios
+✅ Thumbnail gerada dos quadros (ffmpeg) quando nenhuma é fornecida
 🛡️ VALIDAÇÕES ROBUSTAS:
 ✅ Configurações YouTube válidas
 ✅ Arquivo compatível e tamanho OK
+✅ Mídia inspecionada com ffprobe (duração, áudio, resolução)
 ✅ Metadados dentro dos limites
 ✅ Canal acessível
 📊 MONITORAMENTO AVANÇADO:
@@ -496,6 +584,7 @@ Atualiza status no Notion
 ✅ Verificação de espaço
 🔄 PROCESSO INTEGRADO:
 ✅ Combina download + upload
+✅ Modo streaming Drive → YouTube (sem disco)
 ✅ Atualização automática Notion
 ✅ Tratamento de erros robusto
 ✅ Códigos de saída apropriados
@@ -1,10 +1,9 @@
-const { Client } = require('@notionhq/client');
 require('dotenv').config();
-
-// Inicializar cliente Notion
-const notion = new Client({
-    auth: process.env.NOTION_TOKEN,
-});
+const { notion, queryDatabase } = require('./utils/notion-client');
+const { formatPublishAt } = require('./utils/publish-schedule');
+const { formatDuration } = require('./utils/media-probe');
+const { buildLockReleaseProperties } = require('./utils/update-notion');
+const { decideRetry } = require('./utils/retry-policy');
 
 /**
  * Valida se todas as variáveis necessárias estão configuradas
@@ -55,6 +54,18 @@ function createRichText(text) {
     }];
 }
 
+/**
+ * Define o status final da página a partir do resultado do upload
+ * @param {Object} uploadResult - Resultado do upload YouTube
+ * @returns {string} - Uploaded, Scheduled, Error (nova tentativa agendada) ou Failed
+ */
+function getUploadStatusName(uploadResult) {
+    if (!uploadResult.success) {
+        return uploadResult.retry?.action === 'fail' ? 'Failed' : 'Error';
+    }
+    return uploadResult.publishAt ? 'Scheduled' : 'Uploaded';
+}
+
 /**
  * Atualiza propriedades da página no Notion
  * @param {string} pageId - ID da página
@@ -71,14 +82,16 @@ async function updateNotionPage(pageId, uploadResult, videoData = null) {
         const properties = {
             'Upload Status': {
                 select: {
-                    name: uploadResult.success ? 'Uploaded' : 'Error'
+                    name: getUploadStatusName(uploadResult)
                 }
             },
             'Upload Date': {
                 date: {
                     start: formatNotionDate(uploadResult.uploadDate)
                 }
-            }
+            },
+            // Status final libera o lock "Processing"
+            ...buildLockReleaseProperties()
         };
         
         // Adicionar URL do YouTube se upload foi bem-sucedido
@@ -106,6 +119,15 @@ async function updateNotionPage(pageId, uploadResult, videoData = null) {
             };
         }
         
+        // Origem da thumbnail (Generated permite trocar pela escolhida no Notion na próxima execução)
+        if (uploadResult.thumbnailSource) {
+            properties['Thumbnail Source'] = {
+                select: {
+                    name: uploadResult.thumbnailSource.charAt(0).toUpperCase() + uploadResult.thumbnailSource.slice(1)
+                }
+            };
+        }
+        
         // Adicionar informações de upload se bem-sucedido
         if (uploadResult.success) {
             // Tempo de upload
@@ -122,6 +144,39 @@ async function updateNotionPage(pageId, uploadResult, videoData = null) {
                 };
             }
             
+            // Data de estreia agendada
+            if (uploadResult.publishAt) {
+                properties['Publish At'] = {
+                    date: {
+                        start: uploadResult.publishAt
+                    }
+                };
+                
+                console.log(`📅 Agendado para: ${formatPublishAt(uploadResult.publishAt)}`);
+            }
+            
+            // Dados da mídia (ffprobe): duração, resolução e Short x vídeo padrão
+            // (Format definido no Notion prevalece sobre a detecção)
+            if (uploadResult.media) {
+                properties['Duration'] = {
+                    number: uploadResult.media.duration
+                };
+                
+                if (uploadResult.media.resolution) {
+                    properties['Resolution'] = {
+                        rich_text: createRichText(uploadResult.media.resolution)
+                    };
+                }
+                
+                properties['Format'] = {
+                    select: {
+                        name: uploadResult.format || (uploadResult.media.isShort ? 'Short' : 'Standard')
+                    }
+                };
+                
+                console.log(`⏱️ Duração: ${formatDuration(uploadResult.media.duration)} | 📐 ${uploadResult.media.resolution || '?'}`);
+            }
+            
             // Status de privacidade
             if (uploadResult.privacy) {
                 properties['Final Privacy'] = {
@@ -149,6 +204,11 @@ async function updateNotionPage(pageId, uploadResult, videoData = null) {
             console.log(`❌ Erro registrado: ${uploadResult.error}`);
         }
         
+        // Próxima tentativa (vazia em caso de sucesso ou falha definitiva)
+        properties['Next Attempt'] = {
+            date: uploadResult.retry?.nextAttemptAt ? { start: uploadResult.retry.nextAttemptAt } : null
+        };
+        
         // Adicionar tentativas de upload
         if (uploadResult.attempts) {
             properties['Upload Attempts'] = {
@@ -228,11 +288,6 @@ async function incrementAttempts(pageId) {
             properties: {
                 'Upload Attempts': {
                     number: newAttempts
-                },
-                'Last Attempt': {
-                    date: {
-                        start: new Date().toISOString()
-                    }
                 }
             }
         });
@@ -279,23 +334,23 @@ async function getDatabaseStats() {
         
         validateEnvironmentVariables();
         
-        // Buscar todas as páginas
-        const allPages = await notion.databases.query({
-            database_id: process.env.NOTION_DATABASE_ID,
-            page_size: 100
-        });
+        // Buscar todas as páginas (seguindo o cursor)
+        const allPages = await queryDatabase();
         
         // Contar por status
         const stats = {
-            total: allPages.results.length,
+            total: allPages.length,
             pending: 0,
             uploaded: 0,
+            scheduled: 0,
             error: 0,
+            failed: 0,
+            archived: 0,
             totalUploads: 0,
             lastUpload: null
         };
         
-        allPages.results.forEach(page => {
+        allPages.forEach(page => {
             const status = page.properties['Upload Status']?.select?.name;
             const uploadDate = page.properties['Upload Date']?.date?.start;
             
@@ -310,9 +365,19 @@ async function getDatabaseStats() {
                         stats.lastUpload = uploadDate;
                     }
                     break;
+                case 'Scheduled':
+                    stats.scheduled++;
+                    stats.totalUploads++;
+                    break;
                 case 'Error':
                     stats.error++;
                     break;
+                case 'Failed':
+                    stats.failed++;
+                    break;
+                case 'Archived':
+                    stats.archived++;
+                    break;
             }
         });
         
@@ -320,7 +385,10 @@ async function getDatabaseStats() {
         console.log(`   📊 Total: ${stats.total}`);
         console.log(`   ⏳ Pendentes: ${stats.pending}`);
         console.log(`   ✅ Enviados: ${stats.uploaded}`);
+        console.log(`   📅 Agendados: ${stats.scheduled}`);
         console.log(`   ❌ Erros: ${stats.error}`);
+        console.log(`   ⛔ Falhas definitivas: ${stats.failed}`);
+        console.log(`   🗄️ Arquivados: ${stats.archived}`);
         console.log(`   📅 Último upload: ${stats.lastUpload || 'Nunca'}`);
         
         return stats;
@@ -332,74 +400,43 @@ async function getDatabaseStats() {
 }
 
 /**
- * Limpa vídeos com erro após X dias
- * @param {number} days - Dias para considerar antigo
- * @returns {number} - Número de páginas limpas
+ * Divide texto longo em comentários dentro do limite do Notion (2000 caracteres)
+ * @param {Array} lines - Linhas do texto
+ * @returns {Array} - Textos de cada comentário
  */
-async function cleanupOldErrors(days = 7) {
-    try {
-        console.log(`🧹 Limpando erros com mais de ${days} dias...`);
-        
-        const cutoffDate = new Date();
-        cutoffDate.setDate(cutoffDate.getDate() - days);
-        
-        // Buscar páginas com erro
-        const errorPages = await notion.databases.query({
-            database_id: process.env.NOTION_DATABASE_ID,
-            filter: {
-                and: [
-                    {
-                        property: 'Upload Status',
-                        select: {
-                            equals: 'Error'
-                        }
-                    },
-                    {
-                        property: 'Error Date',
-                        date: {
-                            before: cutoffDate.toISOString()
-                        }
-                    }
-                ]
-            }
-        });
-        
-        let cleaned = 0;
-        
-        for (const page of errorPages.results) {
-            try {
-                // Resetar para Pending
-                await notion.pages.update({
-                    page_id: page.id,
-                    properties: {
-                        'Upload Status': {
-                            select: {
-                                name: 'Pending'
-                            }
-                        },
-                        'Error Message': {
-                            rich_text: []
-                        },
-                        'Upload Attempts': {
-                            number: 0
-                        }
-                    }
-                });
-                
-                cleaned++;
-                console.log(`🔄 Reset: ${page.properties['Video Title']?.title?.[0]?.plain_text || 'Sem título'}`);
-                
-            } catch (resetError) {
-                console.warn(`⚠️ Erro ao resetar página ${page.id}:`, resetError.message);
-            }
+function splitCommentLines(lines) {
+    const chunks = [];
+    let current = '';
+    
+    lines.forEach(line => {
+        const next = current ? `${current}\n${line}` : line;
+        if (next.length > 2000 && current) {
+            chunks.push(current);
+            current = line;
+        } else {
+            current = next;
         }
-        
-        console.log(`✅ ${cleaned} página(s) resetada(s)`);
-        return cleaned;
-        
-    } catch (error) {
-        console.error('❌ Erro na limpeza:', error.message);
-        return 0;
+    });
+    
+    if (current) chunks.push(current);
+    return chunks;
+}
+
+/**
+ * Registra histórico completo de tentativas como comentários
+ * @param {string} pageId - ID da página
+ * @param {Array} history - [{ at, step, message, kind }]
+ */
+async function addFailureHistory(pageId, history) {
+    const lines = [`📜 Histórico de tentativas (${history.length}):`];
+    
+    history.forEach((failure, index) => {
+        const kind = failure.kind === 'permanent' ? 'permanente' : 'transitório';
+        lines.push(`${index + 1}. ${new Date(failure.at).toLocaleString('pt-BR')} - ${failure.step} (${kind}): ${failure.message}`);
+    });
+    
+    for (const chunk of splitCommentLines(lines)) {
+        await addComment(pageId, chunk);
     }
 }
 
@@ -416,25 +453,53 @@ async function updateNotionAfterUpload(pageId, uploadResult, videoData = null) {
         
         validateEnvironmentVariables();
         
+        // Falha: contar tentativa e aplicar política de retentativa
+        // O pipeline informa as tentativas pelo histórico local do job; sem ele, conta no Notion
+        if (!uploadResult.success && !uploadResult.retry) {
+            const attempts = uploadResult.attempts || await incrementAttempts(pageId);
+            const retry = decideRetry({ code: uploadResult.errorCode, reason: uploadResult.errorReason, message: uploadResult.error, step: uploadResult.step }, attempts);
+            uploadResult = { ...uploadResult, attempts, retry };
+        }
+        
         // Atualizar página principal
         const updateResult = await updateNotionPage(pageId, uploadResult, videoData);
         
         // Adicionar comentário informativo
         if (uploadResult.success) {
+            const scheduleLine = uploadResult.publishAt
+                ? `🗓️ Estreia agendada: ${formatPublishAt(uploadResult.publishAt)}\n`
+                : '';
+            const captionLine = uploadResult.captions?.length
+                ? `💬 Legendas: ${uploadResult.captions.map(caption => `${caption.language} ${caption.success ? '✅' : '❌'}`).join(', ')}\n`
+                : '';
+            const playlistLine = uploadResult.playlists?.length
+                ? `📚 Playlists: ${uploadResult.playlists.map(playlist => `${playlist.name} ${playlist.success ? '✅' : '❌'}`).join(', ')}\n`
+                : '';
             const comment = `✅ Upload concluído com sucesso!\n` +
                           `🎬 URL: ${uploadResult.videoUrl}\n` +
+                          scheduleLine +
+                          captionLine +
+                          playlistLine +
                           `⏱️ Tempo: ${uploadResult.uploadTimeSeconds}s\n` +
                           `📅 Data: ${new Date(uploadResult.uploadDate).toLocaleString('pt-BR')}`;
             
             await addComment(pageId, comment);
         } else {
-            // Incrementar tentativas em caso de erro
-            await incrementAttempts(pageId);
-            
-            const comment = `❌ Erro no upload:\n${uploadResult.error}\n` +
+            const { retry } = uploadResult;
+            const kind = retry?.kind === 'permanent' ? 'permanente' : 'transitório';
+            const nextLine = retry?.action === 'retry'
+                ? `🔁 Nova tentativa em: ${new Date(retry.nextAttemptAt).toLocaleString('pt-BR')}\n`
+                : `⛔ Sem novas tentativas: ${retry?.reason || 'falha definitiva'}\n`;
+            const comment = `❌ Erro no upload (tentativa ${retry?.attempts || 1}/${retry?.maxAttempts || 1}, ${kind}):\n${uploadResult.error}\n` +
+                          nextLine +
                           `📅 Data: ${new Date().toLocaleString('pt-BR')}`;
             
             await addComment(pageId, comment);
+            
+            // Falha definitiva: histórico completo de tentativas
+            if (retry?.action === 'fail' && uploadResult.history?.length) {
+                await addFailureHistory(pageId, uploadResult.history);
+            }
         }
         
         console.log('✅ Atualização do Notion concluída');
@@ -454,7 +519,6 @@ module.exports = {
     incrementAttempts,
     addComment,
     getDatabaseStats,
-    cleanupOldErrors,
     createRichText,
     formatNotionDate
 };
@@ -462,7 +526,7 @@ module.exports = {
 /*
 🎯 PRINCIPAIS FUNCIONALIDADES:
 ✅ ATUALIZAÇÃO COMPLETA:
-Status do upload (Uploaded/Error)
+Status do upload (Uploaded/Scheduled/Error)
 URL do YouTube e ID do vídeo
 Data/hora do upload
 Informações técnicas (tamanho, tempo)
@@ -472,7 +536,7 @@ Informações técnicas (tamanho, tempo)
 ✅ Thumbnails e metadados
 ✅ Estatísticas do banco
 🛡️ RECUPERAÇÃO E LIMPEZA:
-✅ Reset automático de erros antigos
+✅ Erros antigos sem "Next Attempt" voltam à fila (1fetchvideos.js)
 ✅ Incremento de tentativas
 ✅ Comentários informativos
 ✅ Validação de dados
@@ -1,9 +1,11 @@
 const { google } = require('googleapis');
-const { Client } = require('@notionhq/client');
+const fs = require('fs');
+const path = require('path');
+const { isSubtitleFile, getSubtitleBaseName, inferCaptionLanguage, createSubtitleRichText } = require('./utils/captions');
 require('dotenv').config();
+const { notion, queryDatabase, queryByConditions } = require('./utils/notion-client');
 
 // Configurações
-const notion = new Client({ auth: process.env.NOTION_TOKEN });
 const drive = google.drive('v3');
 
 // Configurações padrão para novos vídeos
@@ -15,6 +17,55 @@ const DEFAULT_SETTINGS = {
     tags: '' // Vazio, será preenchido manualmente
 };
 
+// Profundidade de subpastas (0 = só a pasta raiz; ex: 2 = Série/Mês)
+const DRIVE_SCAN_MAX_DEPTH = parseInt(process.env.DRIVE_SCAN_MAX_DEPTH) || 0;
+
+const DRIVE_FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+
+// Status de páginas pendentes cujo arquivo foi para a lixeira
+const ARCHIVED_STATUS = 'Archived';
+
+// Cursor da sincronização incremental (Drive Changes API)
+const SYNC_STATE_FILE = path.join(__dirname, 'drive_sync_state.json');
+
+// Padrões por subpasta (categoria, privacidade, playlists, tags)
+const FOLDER_DEFAULTS_FILE = process.env.FOLDER_DEFAULTS_FILE || path.join(__dirname, 'folder-defaults.json');
+
+/**
+ * Carrega padrões por subpasta (arquivo opcional)
+ * @returns {Object} - Caminho da pasta → { category, privacy, playlists, tags }
+ */
+function loadFolderDefaults() {
+    if (!fs.existsSync(FOLDER_DEFAULTS_FILE)) {
+        return {};
+    }
+    
+    try {
+        return JSON.parse(fs.readFileSync(FOLDER_DEFAULTS_FILE, 'utf8'));
+    } catch (error) {
+        console.warn(`⚠️ Padrões por pasta inválidos (${FOLDER_DEFAULTS_FILE}):`, error.message);
+        return {};
+    }
+}
+
+/**
+ * Resolve os padrões de uma subpasta (pastas mais específicas sobrescrevem as de cima)
+ * @param {string} folderPath - Caminho relativo (ex: Romanos/2025-01)
+ * @param {Object} folderDefaults - Resultado de loadFolderDefaults
+ * @returns {Object} - { category, privacy, playlists, tags }
+ */
+function resolveFolderDefaults(folderPath, folderDefaults) {
+    const normalizedPath = (folderPath || '').toLowerCase();
+    
+    return Object.keys(folderDefaults)
+        .filter(key => {
+            const prefix = key.toLowerCase().replace(/^\/+|\/+$/g, '');
+            return normalizedPath === prefix || normalizedPath.startsWith(`${prefix}/`);
+        })
+        .sort((a, b) => a.length - b.length)
+        .reduce((defaults, key) => ({ ...defaults, ...folderDefaults[key] }), {});
+}
+
 /**
  * Valida variáveis de ambiente
  */
@@ -65,40 +116,163 @@ async function authenticateGoogleDrive() {
     }
 }
 
+/**
+ * Lista todos os arquivos de uma consulta no Drive, seguindo o nextPageToken
+ * @param {Object} params - Parâmetros do files.list (q, fields, orderBy)
+ * @returns {Array} - Arquivos encontrados
+ */
+async function listAllDriveFiles(params) {
+    const files = [];
+    let pageToken = undefined;
+    
+    do {
+        const response = await drive.files.list({
+            ...params,
+            fields: `nextPageToken, ${params.fields}`,
+            supportsAllDrives: true,
+            includeItemsFromAllDrives: true,
+            pageSize: 1000,
+            pageToken
+        });
+        
+        files.push(...(response.data.files || []));
+        pageToken = response.data.nextPageToken;
+    } while (pageToken);
+    
+    return files;
+}
+
+/**
+ * Agrupa legendas (.srt/.vtt) de uma pasta pelo nome base do vídeo
+ * @param {Array} files - Arquivos da pasta
+ * @returns {Map} - Nome base → legendas
+ */
+function groupSubtitlesByBaseName(files) {
+    const subtitlesByBaseName = new Map();
+    
+    files
+        .filter(file => isSubtitleFile(file.name))
+        .forEach(file => {
+            const baseName = getSubtitleBaseName(file.name).toLowerCase().trim();
+            const subtitles = subtitlesByBaseName.get(baseName) || [];
+            
+            subtitles.push({
+                id: file.id,
+                name: file.name,
+                language: inferCaptionLanguage(file.name),
+                link: `https://drive.google.com/file/d/${file.id}/view?usp=sharing`
+            });
+            subtitlesByBaseName.set(baseName, subtitles);
+        });
+    
+    return subtitlesByBaseName;
+}
+
+/**
+ * Percorre a pasta (e subpastas até maxDepth) coletando vídeos e legendas
+ * @param {string} folderId - ID da pasta raiz
+ * @param {number} maxDepth - Profundidade máxima (0 = só a pasta raiz)
+ * @returns {Array} - [{ file, folderPath, subtitles }]
+ */
+async function scanDriveFolder(folderId, maxDepth = 0) {
+    const found = [];
+    const queue = [{ id: folderId, path: '', depth: 0 }];
+    const visited = new Set();
+    
+    while (queue.length > 0) {
+        const folder = queue.shift();
+        
+        // Atalhos podem criar ciclos entre pastas
+        if (visited.has(folder.id)) continue;
+        visited.add(folder.id);
+        
+        const files = await listAllDriveFiles({
+            q: `'${folder.id}' in parents and trashed=false`,
+            fields: 'files(id, name, mimeType, size, createdTime, modifiedTime, webViewLink)',
+            orderBy: 'createdTime desc'
+        });
+        
+        // Legendas com o mesmo nome base (ex: Sermão.pt-BR.srt), na mesma pasta do vídeo
+        const subtitlesByBaseName = groupSubtitlesByBaseName(files);
+        
+        files
+            .filter(file => file.mimeType.startsWith('video/'))
+            .forEach(file => {
+                const cleanName = file.name.replace(/\.[^/.]+$/, '');
+                found.push({
+                    file,
+                    folderPath: folder.path,
+                    subtitles: subtitlesByBaseName.get(cleanName.toLowerCase().trim()) || []
+                });
+            });
+        
+        if (folder.depth < maxDepth) {
+            files
+                .filter(file => file.mimeType === DRIVE_FOLDER_MIME_TYPE)
+                .forEach(subfolder => queue.push({
+                    id: subfolder.id,
+                    path: folder.path ? `${folder.path}/${subfolder.name}` : subfolder.name,
+                    depth: folder.depth + 1
+                }));
+        }
+    }
+    
+    return found;
+}
+
+/**
+ * Monta os dados do vídeo a partir do arquivo do Drive
+ * @param {Object} video - Arquivo do Drive (files.list)
+ * @param {string} folderPath - Subpasta relativa à pasta raiz
+ * @param {Array} subtitles - Legendas encontradas ao lado do vídeo
+ * @param {Object} folderDefaults - Padrões por subpasta
+ * @returns {Object} - Vídeo para sincronizar
+ */
+function buildDriveVideo(video, folderPath, subtitles, folderDefaults) {
+    const shareableLink = `https://drive.google.com/file/d/${video.id}/view?usp=sharing`;
+    const cleanName = video.name.replace(/\.[^/.]+$/, ""); // Remove extensão
+    
+    return {
+        id: video.id,
+        name: cleanName,
+        originalName: video.name,
+        mimeType: video.mimeType,
+        size: parseInt(video.size) || 0,
+        createdTime: video.createdTime,
+        modifiedTime: video.modifiedTime,
+        driveLink: shareableLink,
+        webViewLink: video.webViewLink,
+        folderPath,
+        defaults: resolveFolderDefaults(folderPath, folderDefaults),
+        subtitles
+    };
+}
+
 /**
  * Lista vídeos da pasta do Google Drive
+ * @param {string} folderId - ID da pasta raiz
+ * @param {Object} options - { maxDepth: profundidade de subpastas (padrão DRIVE_SCAN_MAX_DEPTH) }
+ * @returns {Array} - Vídeos encontrados
  */
-async function getVideosFromDrive(folderId) {
+async function getVideosFromDrive(folderId, options = {}) {
     try {
+        const { maxDepth = DRIVE_SCAN_MAX_DEPTH } = options;
+        
         console.log('📁 Buscando vídeos no Google Drive...');
         console.log(`📂 Pasta ID: ${folderId}`);
+        if (maxDepth > 0) {
+            console.log(`🌳 Incluindo subpastas (até ${maxDepth} nível(is))`);
+        }
         
-        const response = await drive.files.list({
-            q: `'${folderId}' in parents and mimeType contains 'video/' and trashed=false`,
-            fields: 'files(id, name, mimeType, size, createdTime, modifiedTime, webViewLink)',
-            orderBy: 'createdTime desc'
-        });
+        const found = await scanDriveFolder(folderId, maxDepth);
+        console.log(`📊 Encontrados ${found.length} vídeo(s)`);
         
-        const videos = response.data.files || [];
-        console.log(`📊 Encontrados ${videos.length} vídeo(s)`);
+        const folderDefaults = loadFolderDefaults();
         
         // Processar cada vídeo
-        const processedVideos = videos.map(video => {
-            const shareableLink = `https://drive.google.com/file/d/${video.id}/view?usp=sharing`;
-            const cleanName = video.name.replace(/\.[^/.]+$/, ""); // Remove extensão
-            
-            return {
-                id: video.id,
-                name: cleanName,
-                originalName: video.name,
-                mimeType: video.mimeType,
-                size: parseInt(video.size) || 0,
-                createdTime: video.createdTime,
-                modifiedTime: video.modifiedTime,
-                driveLink: shareableLink,
-                webViewLink: video.webViewLink
-            };
-        });
+        const processedVideos = found.map(({ file, folderPath, subtitles }) =>
+            buildDriveVideo(file, folderPath, subtitles, folderDefaults)
+        );
         
         // Mostrar vídeos encontrados
         console.log('\n📋 Vídeos encontrados:');
@@ -107,31 +281,43 @@ async function getVideosFromDrive(folderId) {
             console.log(`   ${index + 1}. 📺 ${video.name}`);
             console.log(`      📊 ${sizeMB} MB | 📅 ${new Date(video.createdTime).toLocaleString('pt-BR')}`);
             console.log(`      🔗 ${video.driveLink}`);
+            if (video.folderPath) {
+                console.log(`      📂 ${video.folderPath}`);
+            }
+            if (video.subtitles.length > 0) {
+                console.log(`      💬 Legendas: ${video.subtitles.map(subtitle => subtitle.language).join(', ')}`);
+            }
         });
         
         return processedVideos;
     } catch (error) {
-        console.error('❌ Erro ao buscar vídeos do Drive:', error.message);
         throw error;
     }
 }
 
 /**
- * Obtém vídeos já existentes no Notion
+ * Busca vídeos que já existem no Notion
+ * @param {Array} candidates - Vídeos do Drive (opcional): filtra no Notion só por esses títulos/links
+ * @returns {Object} - { existingVideos, existingLinks }
  */
-async function getExistingVideosFromNotion() {
+async function getExistingVideosFromNotion(candidates = null) {
     try {
         console.log('📋 Verificando vídeos existentes no Notion...');
         
-        const response = await notion.databases.query({
-            database_id: process.env.NOTION_DATABASE_ID,
-            page_size: 100
-        });
+        // Com candidatos, o filtro roda no Notion; sem eles, percorre o banco inteiro.
+        // O título usa "contains" (amplo, sem diferenciar maiúsculas) porque "equals"
+        // do Notion diferencia maiúsculas; a comparação exata fica no cliente
+        const pages = candidates
+            ? await queryByConditions(candidates.flatMap(video => [
+                { property: 'Drive Link', url: { equals: video.driveLink } },
+                { property: 'Video Title', title: { contains: video.name.trim() } }
+            ]))
+            : await queryDatabase();
         
         const existingVideos = new Set();
         const existingLinks = new Set();
         
-        response.results.forEach(page => {
+        pages.forEach(page => {
             // Coletar títulos e links existentes
             const title = page.properties['Video Title']?.title?.[0]?.plain_text;
             const driveLink = page.properties['Drive Link']?.url;
@@ -156,6 +342,7 @@ async function addVideoToNotion(video) {
     try {
         console.log(`➕ Adicionando: "${video.name}"`);
         
+        const defaults = video.defaults || {};
         const properties = {
             'Video Title': {
                 title: [
@@ -182,19 +369,19 @@ async function addVideoToNotion(video) {
                 rich_text: [
                     {
                         text: {
-                            content: DEFAULT_SETTINGS.tags
+                            content: defaults.tags || DEFAULT_SETTINGS.tags
                         }
                     }
                 ]
             },
             'Category': {
                 select: {
-                    name: DEFAULT_SETTINGS.category
+                    name: defaults.category || DEFAULT_SETTINGS.category
                 }
             },
             'Privacy': {
                 select: {
-                    name: DEFAULT_SETTINGS.privacy
+                    name: defaults.privacy || DEFAULT_SETTINGS.privacy
                 }
             },
             'Upload Status': {
@@ -212,6 +399,32 @@ async function addVideoToNotion(video) {
             }
         };
         
+        // Subpasta de origem (ex: Romanos/2025-01)
+        if (video.folderPath) {
+            properties['Folder Path'] = {
+                rich_text: [
+                    {
+                        text: {
+                            content: video.folderPath
+                        }
+                    }
+                ]
+            };
+        }
+        
+        if (defaults.playlists && defaults.playlists.length > 0) {
+            properties['Playlists'] = {
+                multi_select: [].concat(defaults.playlists).map(name => ({ name }))
+            };
+        }
+        
+        // Vincular legendas encontradas ao lado do vídeo
+        if (video.subtitles && video.subtitles.length > 0) {
+            properties['Subtitles'] = {
+                rich_text: createSubtitleRichText(video.subtitles)
+            };
+        }
+        
         const response = await notion.pages.create({
             parent: {
                 database_id: process.env.NOTION_DATABASE_ID
@@ -246,15 +459,18 @@ async function syncVideos(folderId, options = {}) {
         }
         
         // 1. Buscar vídeos do Drive
-        const driveVideos = await getVideosFromDrive(folderId);
+        const driveVideos = await getVideosFromDrive(folderId, { maxDepth: options.maxDepth });
         
         if (driveVideos.length === 0) {
             console.log('📭 Nenhum vídeo encontrado no Google Drive');
-            return { added: 0, skipped: 0, errors: 0 };
+            return { added: 0, skipped: 0, errors: 0, driveNames: {} };
         }
         
+        // Nome atual de cada arquivo no Drive (base para detectar renomeações no modo incremental)
+        const driveNames = Object.fromEntries(driveVideos.map(video => [video.id, video.name]));
+        
         // 2. Verificar existentes no Notion
-        const { existingVideos, existingLinks } = await getExistingVideosFromNotion();
+        const { existingVideos, existingLinks } = await getExistingVideosFromNotion(driveVideos);
         
         // 3. Filtrar novos vídeos
         const newVideos = driveVideos.filter(video => {
@@ -273,7 +489,7 @@ async function syncVideos(folderId, options = {}) {
         
         if (newVideos.length === 0) {
             console.log('✅ Todos os vídeos já estão sincronizados!');
-            return { added: 0, skipped: driveVideos.length, errors: 0 };
+            return { added: 0, skipped: driveVideos.length, errors: 0, driveNames };
         }
         
         // 4. Aplicar limite se especificado
@@ -292,7 +508,7 @@ async function syncVideos(folderId, options = {}) {
         for (const video of videosToAdd) {
             try {
                 if (dryRun) {
-                    console.log(`👁️ PREVIEW: Adicionaria "${video.name}"`);
+                    console.log(`👁️ PREVIEW: Adicionaria "${video.name}"${video.folderPath ? ` (📂 ${video.folderPath})` : ''}`);
                     added++;
                 } else {
                     await addVideoToNotion(video);
@@ -320,7 +536,8 @@ async function syncVideos(folderId, options = {}) {
             added,
             skipped: driveVideos.length - newVideos.length,
             errors,
-            total: driveVideos.length
+            total: driveVideos.length,
+            driveNames
         };
         
     } catch (error) {
@@ -329,6 +546,326 @@ async function syncVideos(folderId, options = {}) {
     }
 }
 
+/**
+ * Lê o estado da sincronização incremental
+ * @returns {Object|null} - { folderId, maxDepth, startPageToken, folders, driveNames, updatedAt }
+ */
+function loadSyncState() {
+    try {
+        if (fs.existsSync(SYNC_STATE_FILE)) {
+            return JSON.parse(fs.readFileSync(SYNC_STATE_FILE, 'utf8'));
+        }
+    } catch (error) {
+        console.warn('⚠️ Estado da sincronização inválido, refazendo sincronização completa:', error.message);
+    }
+    return null;
+}
+
+/**
+ * Salva o estado da sincronização incremental
+ * @param {Object} state - Estado atual
+ */
+function saveSyncState(state) {
+    const tmpFile = `${SYNC_STATE_FILE}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify({ ...state, updatedAt: new Date().toISOString() }, null, 2));
+    fs.renameSync(tmpFile, SYNC_STATE_FILE);
+}
+
+/**
+ * Mapeia a árvore de subpastas acompanhada (até maxDepth)
+ * @param {string} folderId - ID da pasta raiz
+ * @param {number} maxDepth - Profundidade máxima
+ * @returns {Object} - ID da pasta → { path, depth }
+ */
+async function scanFolderTree(folderId, maxDepth) {
+    const folders = { [folderId]: { path: '', depth: 0 } };
+    const queue = [folderId];
+    
+    while (queue.length > 0) {
+        const parentId = queue.shift();
+        const parent = folders[parentId];
+        if (parent.depth >= maxDepth) continue;
+        
+        const subfolders = await listAllDriveFiles({
+            q: `'${parentId}' in parents and mimeType='${DRIVE_FOLDER_MIME_TYPE}' and trashed=false`,
+            fields: 'files(id, name)'
+        });
+        
+        subfolders
+            .filter(subfolder => !folders[subfolder.id])
+            .forEach(subfolder => {
+                folders[subfolder.id] = {
+                    path: parent.path ? `${parent.path}/${subfolder.name}` : subfolder.name,
+                    depth: parent.depth + 1
+                };
+                queue.push(subfolder.id);
+            });
+    }
+    
+    return folders;
+}
+
+/**
+ * Lista alterações do Drive desde o cursor salvo
+ * @param {string} pageToken - Cursor (startPageToken)
+ * @returns {Object} - { changes, newStartPageToken }
+ */
+async function listDriveChanges(pageToken) {
+    const changes = [];
+    let newStartPageToken = null;
+    
+    while (pageToken) {
+        const response = await drive.changes.list({
+            pageToken,
+            fields: 'nextPageToken, newStartPageToken, changes(fileId, removed, file(id, name, mimeType, parents, trashed, size, createdTime, modifiedTime, webViewLink))',
+            supportsAllDrives: true,
+            includeItemsFromAllDrives: true,
+            pageSize: 1000
+        });
+        
+        changes.push(...(response.data.changes || []));
+        pageToken = response.data.nextPageToken;
+        newStartPageToken = response.data.newStartPageToken || newStartPageToken;
+    }
+    
+    return { changes, newStartPageToken };
+}
+
+/**
+ * Localiza a página do Notion de um arquivo do Drive (pelo ID no Drive Link)
+ * @param {string} fileId - ID do arquivo no Drive
+ * @returns {Object|null} - Página ou null
+ */
+async function findNotionPageByDriveFileId(fileId) {
+    const [page] = await queryDatabase({
+        filter: { property: 'Drive Link', url: { contains: fileId } }
+    }, { limit: 1 });
+    
+    return page || null;
+}
+
+/**
+ * Atualiza título, link e pasta de um vídeo renomeado/movido no Drive
+ * O título só muda se o nome no Drive mudou (título editado no Notion é preservado)
+ * @param {Object} page - Página do Notion
+ * @param {Object} video - Vídeo (buildDriveVideo)
+ * @param {boolean} restore - Volta página "Archived" para Pending (arquivo saiu da lixeira)
+ * @param {string} previousName - Último nome visto no Drive (undefined = desconhecido, título mantido)
+ */
+async function updateVideoFromDrive(page, video, restore = false, previousName = undefined) {
+    const currentTitle = page.properties['Video Title']?.title?.[0]?.plain_text || '';
+    const properties = {
+        'Drive Link': { url: video.driveLink },
+        'File Size (MB)': { number: Math.round(video.size / (1024 * 1024) * 100) / 100 },
+        'Folder Path': { rich_text: video.folderPath ? [{ text: { content: video.folderPath } }] : [] }
+    };
+    
+    if (previousName !== undefined && previousName !== video.name && currentTitle !== video.name) {
+        console.log(`✏️ Renomeado: "${currentTitle}" → "${video.name}"`);
+        properties['Video Title'] = { title: [{ text: { content: video.name } }] };
+    }
+    
+    if (restore) {
+        console.log(`♻️ Restaurado da lixeira: "${video.name}"`);
+        properties['Upload Status'] = { select: { name: DEFAULT_SETTINGS.status } };
+    }
+    
+    await notion.pages.update({ page_id: page.id, properties });
+}
+
+/**
+ * Arquiva página pendente cujo arquivo foi para a lixeira (ou perdeu acesso)
+ * @param {Object} page - Página do Notion
+ * @returns {boolean} - Se a página foi arquivada
+ */
+async function archiveVideo(page) {
+    const title = page.properties['Video Title']?.title?.[0]?.plain_text || 'Sem título';
+    const status = page.properties['Upload Status']?.select?.name;
+    
+    // Vídeos já enviados (ou em envio) ficam como estão
+    if (status !== 'Pending') {
+        console.log(`⏭️ Arquivo removido, mas "${title}" está como ${status}: mantido`);
+        return false;
+    }
+    
+    await notion.pages.update({
+        page_id: page.id,
+        properties: {
+            'Upload Status': { select: { name: ARCHIVED_STATUS } }
+        }
+    });
+    
+    console.log(`🗄️ Arquivado: "${title}"`);
+    return true;
+}
+
+/**
+ * Processa uma alteração do Drive
+ * @param {Object} change - Item do changes.list
+ * @param {Object} state - Estado da sincronização (folders é atualizado)
+ * @param {Object} context - { folderDefaults, dryRun }
+ * @returns {string|null} - Ação realizada (added, updated, archived) ou null se ignorada
+ */
+async function processDriveChange(change, state, context) {
+    const { file } = change;
+    const { folderDefaults, dryRun } = context;
+    state.driveNames = state.driveNames || {};
+    
+    // Arquivo removido/sem acesso: só dá para arquivar o que já está no Notion
+    if (change.removed || !file) {
+        delete state.driveNames[change.fileId];
+        const page = await findNotionPageByDriveFileId(change.fileId);
+        if (!page) return null;
+        if (dryRun) {
+            console.log(`👁️ PREVIEW: Arquivaria página do arquivo ${change.fileId}`);
+            return 'archived';
+        }
+        return (await archiveVideo(page)) ? 'archived' : null;
+    }
+    
+    const parentId = (file.parents || []).find(id => state.folders[id]);
+    
+    // Subpastas novas/renomeadas dentro da árvore acompanhada
+    if (file.mimeType === DRIVE_FOLDER_MIME_TYPE) {
+        const parent = parentId && state.folders[parentId];
+        if (file.trashed || !parent) {
+            delete state.folders[file.id];
+        } else if (parent.depth < state.maxDepth) {
+            state.folders[file.id] = {
+                path: parent.path ? `${parent.path}/${file.name}` : file.name,
+                depth: parent.depth + 1
+            };
+        }
+        return null;
+    }
+    
+    if (!file.mimeType.startsWith('video/')) return null;
+    
+    const page = await findNotionPageByDriveFileId(file.id);
+    
+    // Lixeira, ou movido para fora da pasta acompanhada
+    if (file.trashed || !parentId) {
+        if (!page) return null;
+        if (dryRun) {
+            console.log(`👁️ PREVIEW: Arquivaria "${file.name}"`);
+            return 'archived';
+        }
+        return (await archiveVideo(page)) ? 'archived' : null;
+    }
+    
+    const video = buildDriveVideo(file, state.folders[parentId].path, [], folderDefaults);
+    const previousName = state.driveNames[file.id];
+    
+    // Renomeado/movido/alterado: atualiza a página existente em vez de duplicar
+    if (page) {
+        const restore = page.properties['Upload Status']?.select?.name === ARCHIVED_STATUS;
+        if (dryRun) {
+            console.log(`👁️ PREVIEW: Atualizaria "${video.name}"`);
+        } else {
+            await updateVideoFromDrive(page, video, restore, previousName);
+        }
+        state.driveNames[file.id] = video.name;
+        return 'updated';
+    }
+    
+    // Vídeo novo: legendas com o mesmo nome base na mesma pasta
+    const siblings = await listAllDriveFiles({
+        q: `'${parentId}' in parents and trashed=false`,
+        fields: 'files(id, name, mimeType)'
+    });
+    video.subtitles = groupSubtitlesByBaseName(siblings).get(video.name.toLowerCase().trim()) || [];
+    
+    const { existingVideos } = await getExistingVideosFromNotion([video]);
+    if (existingVideos.has(video.name.toLowerCase().trim())) {
+        console.log(`⏭️ Pulando (já existe): "${video.name}"`);
+        return null;
+    }
+    
+    if (dryRun) {
+        console.log(`👁️ PREVIEW: Adicionaria "${video.name}"`);
+    } else {
+        await addVideoToNotion(video);
+    }
+    state.driveNames[file.id] = video.name;
+    return 'added';
+}
+
+/**
+ * Sincronização incremental: processa só o que mudou no Drive desde a última execução
+ * Sem cursor salvo (ou com outra pasta/profundidade), faz a sincronização completa e salva o cursor
+ * A sincronização completa ignora --limit: o cursor só vale se a pasta inteira já foi importada
+ * @param {string} folderId - ID da pasta raiz
+ * @param {Object} options - { dryRun, maxDepth }
+ * @returns {Object} - { added, updated, archived, errors, changes, mode }
+ */
+async function syncIncremental(folderId, options = {}) {
+    const { dryRun = false, maxDepth = DRIVE_SCAN_MAX_DEPTH } = options;
+    const state = loadSyncState();
+    
+    if (!state || state.folderId !== folderId || state.maxDepth !== maxDepth) {
+        console.log('🆕 Sem cursor de alterações para esta pasta: sincronização completa');
+        
+        // Cursor obtido antes da varredura para não perder alterações feitas durante ela
+        const { data } = await drive.changes.getStartPageToken({ supportsAllDrives: true });
+        if (options.limit) {
+            console.log(`📊 Limite de ${options.limit} vídeo(s) ignorado: a primeira sincronização importa a pasta inteira`);
+        }
+        const { driveNames, ...result } = await syncVideos(folderId, { ...options, limit: null });
+        
+        if (!dryRun) {
+            saveSyncState({
+                folderId,
+                maxDepth,
+                startPageToken: data.startPageToken,
+                folders: await scanFolderTree(folderId, maxDepth),
+                driveNames
+            });
+            console.log('💾 Cursor de alterações salvo');
+        }
+        
+        return { ...result, mode: 'full' };
+    }
+    
+    console.log('🔄 SINCRONIZAÇÃO INCREMENTAL...');
+    console.log('═'.repeat(50));
+    
+    const { changes, newStartPageToken } = await listDriveChanges(state.startPageToken);
+    console.log(`📊 ${changes.length} alteração(ões) no Drive desde ${new Date(state.updatedAt).toLocaleString('pt-BR')}`);
+    
+    // Pastas primeiro, para os vídeos já encontrarem o caminho atualizado
+    const ordered = [...changes].sort((a, b) =>
+        (b.file?.mimeType === DRIVE_FOLDER_MIME_TYPE) - (a.file?.mimeType === DRIVE_FOLDER_MIME_TYPE)
+    );
+    
+    const context = { folderDefaults: loadFolderDefaults(), dryRun };
+    const counts = { added: 0, updated: 0, archived: 0, errors: 0 };
+    
+    for (const change of ordered) {
+        try {
+            const action = await processDriveChange(change, state, context);
+            if (action) counts[action]++;
+        } catch (error) {
+            console.error(`❌ Erro na alteração ${change.fileId}:`, error.message);
+            counts.errors++;
+        }
+    }
+    
+    // O cursor avança mesmo com erros, para uma alteração problemática não travar as próximas
+    if (!dryRun && newStartPageToken) {
+        saveSyncState({ ...state, startPageToken: newStartPageToken });
+    }
+    
+    console.log('\n═'.repeat(50));
+    console.log('✅ SINCRONIZAÇÃO INCREMENTAL CONCLUÍDA!');
+    console.log(`📊 Estatísticas:`);
+    console.log(`   ➕ Adicionados: ${counts.added}`);
+    console.log(`   ✏️ Atualizados: ${counts.updated}`);
+    console.log(`   🗄️ Arquivados: ${counts.archived}`);
+    console.log(`   ❌ Erros: ${counts.errors}`);
+    
+    return { ...counts, changes: changes.length, mode: 'incremental' };
+}
+
 /**
  * Função principal
  */
@@ -360,8 +897,22 @@ async function main() {
             options.limit = parseInt(args[limitIndex].split('=')[1]);
         }
         
+        // Profundidade de subpastas (--depth=2; --recursive usa 5 se DRIVE_SCAN_MAX_DEPTH não estiver definido)
+        const depthArg = args.find(arg => arg.startsWith('--depth='));
+        if (depthArg) {
+            options.maxDepth = parseInt(depthArg.split('=')[1]) || 0;
+        } else if (args.includes('--recursive')) {
+            options.maxDepth = DRIVE_SCAN_MAX_DEPTH || 5;
+        }
+        
+        // Modo incremental (--incremental ou DRIVE_SYNC_MODE=incremental); --full força a varredura completa
+        const incremental = !args.includes('--full') &&
+            (args.includes('--incremental') || process.env.DRIVE_SYNC_MODE === 'incremental');
+        
         // Executar sincronização
-        const result = await syncVideos(folderId, options);
+        const result = incremental
+            ? await syncIncremental(folderId, options)
+            : await syncVideos(folderId, options);
         
         console.log('\n🎉 Processo finalizado com sucesso!');
         
@@ -385,7 +936,10 @@ if (require.main === module) {
 
 module.exports = {
     syncVideos,
+    syncIncremental,
     getVideosFromDrive,
+    listAllDriveFiles,
+    resolveFolderDefaults,
     getExistingVideosFromNotion,
     addVideoToNotion
 };
@@ -401,6 +955,8 @@ Funcionalidades:
 
 ✅ Informações completas (tamanho, data de criação)
 
+✅ Legendas .srt/.vtt vinculadas pelo nome do vídeo
+
 ✅ Modo preview para testar
 
 ✅ Controle de limite por execução
@@ -0,0 +1,54 @@
+const { fetchVideoById } = require('./1fetchvideos');
+const { buildDescriptionContext } = require('./utils/template-engine');
+const { buildVideoMetadata, logMetadataReport } = require('./utils/youtube-metadata');
+require('dotenv').config();
+
+/**
+ * Renderiza a descrição final de uma página do Notion sem fazer upload
+ * @param {string} pageId - ID da página do Notion
+ * @param {Object} options - { short } força a prévia como Short (padrão: Format do Notion)
+ * @returns {Object} - { requestBody, report, template, short }
+ */
+async function previewDescription(pageId, options = {}) {
+    console.log('👀 PRÉVIA DA DESCRIÇÃO');
+    console.log('═'.repeat(50));
+
+    const videoData = await fetchVideoById(pageId);
+    const metadata = buildVideoMetadata(videoData, options.short ? { short: true } : {});
+    const { snippet } = metadata.requestBody;
+    const context = buildDescriptionContext(videoData);
+
+    console.log('═'.repeat(50));
+    console.log(`📺 Título: ${snippet.title}`);
+    console.log(`📱 Formato: ${metadata.short ? 'Short' : 'Vídeo padrão'}`);
+    console.log(`📂 Categoria: ${videoData.category}`);
+    console.log(`📄 Template: ${metadata.template}.txt`);
+    console.log(`🧩 Propriedades disponíveis: ${Object.keys(context.props).map(name => `props.${name}`).join(', ')}`);
+    console.log('─'.repeat(50));
+    console.log(snippet.description);
+    console.log('─'.repeat(50));
+    logMetadataReport(metadata.report);
+
+    return metadata;
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const pageId = args.find(arg => !arg.startsWith('--'));
+
+    if (!pageId) {
+        console.error('❌ Uso: node 6previewdescription.js <ID da página do Notion> [--short]');
+        process.exit(1);
+    }
+
+    previewDescription(pageId, { short: args.includes('--short') })
+        .then(() => process.exit(0))
+        .catch(error => {
+            console.error('💥 Erro fatal:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    previewDescription
+};
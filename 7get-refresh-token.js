@@ -15,6 +15,7 @@ const oauth2Client = new google.auth.OAuth2(
 // Scopes necessários
 const SCOPES = [
     'https://www.googleapis.com/auth/youtube.upload',
+    'https://www.googleapis.com/auth/youtube.force-ssl', // Legendas (captions.insert)
     'https://www.googleapis.com/auth/drive.readonly'
 ];
 
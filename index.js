@@ -1,7 +1,9 @@
 const express = require('express');
 const cors = require('cors');
-const fs = require('fs');
-const path = require('path');
+const { EVENT_TYPES, logEvent, queryEvents, getLastEvent } = require('./utils/event-log');
+const { getActiveRunLock } = require('./utils/job-store');
+const { runPipeline, createRunId } = require('./run-pipeline');
+const { getQuotaStatus, QUOTA_COSTS } = require('./utils/quota-ledger');
 
 const app = express();
 const PORT = process.env.PORT || 3333;
@@ -23,71 +25,176 @@ function authenticateApiKey(req, res, next) {
     next();
 }
 
-// Função para registrar logs
-function logAction(action, status = 'Success', details = '') {
-    try {
-        const timestamp = new Date().toISOString();
-        const logEntry = `${timestamp} - ${action} - ${status}${details ? ' - ' + details : ''}\n`;
-        
-        fs.appendFileSync('auto-publisher-log.txt', logEntry);
-        console.log(`📝 ${action}: ${status}`);
-    } catch (error) {
-        console.error('❌ Erro ao salvar log:', error.message);
+// Execuções iniciadas por este servidor (status em memória; etapas vêm do log de eventos)
+const runs = new Map();
+const MAX_TRACKED_RUNS = 50;
+
+// Função para validar opções da execução enviadas no body
+function parseRunOptions(body = {}) {
+    const errors = [];
+    const options = {
+        maxVideos: 1,
+        sync: true,
+        preview: false,
+        pageId: null
+    };
+
+    if (body.limit !== undefined) {
+        const limit = parseInt(body.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > 50) {
+            errors.push('limit deve ser um número entre 1 e 50');
+        }
+        options.maxVideos = limit;
+    }
+
+    ['sync', 'preview'].forEach(key => {
+        if (body[key] !== undefined) {
+            if (typeof body[key] !== 'boolean') {
+                errors.push(`${key} deve ser true ou false`);
+            }
+            options[key] = body[key];
+        }
+    });
+
+    if (body.pageId !== undefined) {
+        if (typeof body.pageId !== 'string' || !body.pageId.trim()) {
+            errors.push('pageId deve ser o ID de uma página do Notion');
+        }
+        options.pageId = String(body.pageId).trim();
     }
+
+    return { options, errors };
 }
 
-// Endpoint principal - Upload de vídeo
-app.post('/upload-video', authenticateApiKey, async (req, res) => {
-    try {
-        console.log('🎬 Iniciando upload automático de vídeo...');
-        logAction('UPLOAD_VIDEO_STARTED');
-
-        // Importar scripts sequenciais
-        const fetchVideos = require('./1_fetch_videos');
-        const downloadVideo = require('./2_download_video');
-        const uploadYoutube = require('./3_upload_youtube');
-        const updateNotion = require('./4_update_notion');
-
-        // Executar pipeline
-        console.log('📋 1. Buscando vídeos pendentes no Notion...');
-        const videoData = await fetchVideos();
-        
-        if (!videoData) {
-            console.log('ℹ️ Nenhum vídeo pendente encontrado');
-            logAction('NO_PENDING_VIDEOS');
-            return res.json({
-                success: true,
-                message: 'Nenhum vídeo pendente para upload',
-                timestamp: new Date().toISOString()
+// Função para montar progresso da execução a partir dos eventos
+function buildRunStatus(runId) {
+    const events = queryEvents({ runId, limit: Infinity });
+    const tracked = runs.get(runId);
+
+    if (!tracked && events.length === 0) {
+        return null;
+    }
+
+    const finished = events.find(event => event.type === EVENT_TYPES.RUN_COMPLETED || event.type === EVENT_TYPES.RUN_FAILED);
+    const steps = [];
+
+    events
+        .filter(event => event.type.startsWith('step.'))
+        .forEach(event => {
+            const status = event.type.replace('step.', '');
+            const existing = steps.find(step => step.step === event.step && step.pageId === event.pageId);
+            const entry = existing || { step: event.step, pageId: event.pageId || null };
+
+            entry.status = status === 'started' ? 'running' : status;
+            entry[status === 'started' ? 'startedAt' : 'finishedAt'] = event.at;
+            ['durationMs', 'bytes', 'videoId', 'errorCode', 'message'].forEach(key => {
+                if (event[key] !== undefined) entry[key] = event[key];
             });
-        }
 
-        console.log('📥 2. Baixando vídeo do Google Drive...');
-        const videoFile = await downloadVideo(videoData);
+            if (!existing) steps.push(entry);
+        });
+
+    let status = 'running';
+    if (tracked && tracked.status !== 'running') {
+        status = tracked.status;
+    } else if (finished) {
+        status = finished.type === EVENT_TYPES.RUN_COMPLETED && !finished.failed ? 'completed' : 'failed';
+    }
+
+    return {
+        runId,
+        status,
+        options: tracked ? tracked.options : undefined,
+        startedAt: tracked ? tracked.startedAt : events[0].at,
+        finishedAt: tracked ? tracked.finishedAt : (finished ? finished.at : null),
+        steps,
+        result: tracked ? tracked.result : undefined
+    };
+}
+
+// Endpoint principal - Inicia execução do pipeline em segundo plano
+app.post('/upload-video', authenticateApiKey, (req, res) => {
+    const { options, errors } = parseRunOptions(req.body);
 
-        console.log('🚀 3. Fazendo upload para YouTube...');
-        const youtubeResult = await uploadYoutube(videoData, videoFile);
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            errors,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    const activeLock = getActiveRunLock();
+    if (activeLock) {
+        return res.status(409).json({
+            success: false,
+            error: 'Pipeline já em execução',
+            runId: activeLock.runId,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    const runId = createRunId();
+    const run = {
+        status: 'running',
+        options,
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        result: null
+    };
+    runs.set(runId, run);
+
+    // Manter apenas as execuções mais recentes em memória
+    if (runs.size > MAX_TRACKED_RUNS) {
+        runs.delete(runs.keys().next().value);
+    }
+
+    console.log(`🎬 Iniciando execução ${runId} via API...`);
+
+    runPipeline({ ...options, runId })
+        .then(result => {
+            const { results, ...summary } = result;
+            run.status = result.success ? 'completed' : 'failed';
+            run.result = { ...summary, videos: results };
+        })
+        .catch(error => {
+            run.status = 'failed';
+            run.result = { success: false, error: error.message };
+        })
+        .finally(() => {
+            run.finishedAt = new Date().toISOString();
+            console.log(`🏁 Execução ${runId}: ${run.status}`);
+        });
+
+    res.status(202).json({
+        success: true,
+        message: 'Execução iniciada',
+        runId,
+        statusUrl: `/runs/${runId}`,
+        options,
+        timestamp: new Date().toISOString()
+    });
+});
 
-        console.log('📝 4. Atualizando status no Notion...');
-        await updateNotion(videoData.id, youtubeResult);
+// Endpoint para acompanhar uma execução
+app.get('/runs/:id', authenticateApiKey, (req, res) => {
+    try {
+        const run = buildRunStatus(req.params.id);
 
-        console.log('✅ Upload concluído com sucesso!');
-        logAction('UPLOAD_VIDEO_COMPLETED', 'Success', youtubeResult.videoUrl);
+        if (!run) {
+            return res.status(404).json({
+                error: 'Execução não encontrada',
+                timestamp: new Date().toISOString()
+            });
+        }
 
         res.json({
-            success: true,
-            message: 'Vídeo enviado com sucesso!',
-            videoTitle: videoData.title,
-            youtubeUrl: youtubeResult.videoUrl,
+            ...run,
             timestamp: new Date().toISOString()
         });
 
     } catch (error) {
-        console.error('❌ Erro no upload:', error.message);
-        logAction('UPLOAD_VIDEO_ERROR', 'Error', error.message);
-        
         res.status(500).json({
-            success: false,
             error: error.message,
             timestamp: new Date().toISOString()
         });
@@ -97,42 +204,81 @@ app.post('/upload-video', authenticateApiKey, async (req, res) => {
 // Endpoint para verificar último upload
 app.get('/status/last-upload', authenticateApiKey, (req, res) => {
     try {
-        const logFile = 'auto-publisher-log.txt';
+        const lastUpload = getLastEvent(EVENT_TYPES.VIDEO_UPLOADED);
         
-        if (!fs.existsSync(logFile)) {
+        if (!lastUpload) {
             return res.json({
                 upload_executed_recently: false,
-                message: 'Nenhum log encontrado',
+                message: 'Nenhum upload registrado',
                 timestamp: new Date().toISOString()
             });
         }
 
-        const logs = fs.readFileSync(logFile, 'utf8');
-        const lines = logs.trim().split('\n');
-        
-        // Procurar por upload bem-sucedido nas últimas 2 horas
+        // Upload bem-sucedido nas últimas 2 horas
         const twoHoursAgo = new Date(Date.now() - 2 * 60 * 60 * 1000);
-        
-        for (let i = lines.length - 1; i >= 0; i--) {
-            const line = lines[i];
-            if (line.includes('UPLOAD_VIDEO_COMPLETED - Success')) {
-                const timestamp = line.split(' - ')[0];
-                const logDate = new Date(timestamp);
-                
-                if (logDate > twoHoursAgo) {
-                    return res.json({
-                        upload_executed_recently: true,
-                        last_upload: timestamp,
-                        message: 'Upload executado recentemente',
-                        timestamp: new Date().toISOString()
-                    });
-                }
-            }
+        const recent = new Date(lastUpload.at) > twoHoursAgo;
+
+        res.json({
+            upload_executed_recently: recent,
+            last_upload: lastUpload.at,
+            last_video: lastUpload.videoUrl,
+            message: recent ? 'Upload executado recentemente' : 'Nenhum upload recente encontrado',
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Endpoint para consultar eventos (?from=&to=&pageId=&runId=&type=step.*&limit=100)
+app.get('/events', authenticateApiKey, (req, res) => {
+    try {
+        const { from, to, pageId, runId, type } = req.query;
+        const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+
+        if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+            return res.status(400).json({
+                error: 'limit deve ser um número entre 1 e 1000',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const invalidDate = [from, to].find(value => value && isNaN(new Date(value).getTime()));
+        if (invalidDate) {
+            return res.status(400).json({
+                error: `Data inválida: ${invalidDate}`,
+                timestamp: new Date().toISOString()
+            });
         }
 
+        const events = queryEvents({ from, to, pageId, runId, type, limit });
+
+        res.json({
+            count: events.length,
+            events,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Endpoint para consultar a quota do YouTube usada hoje (registro local)
+app.get('/quota', authenticateApiKey, (req, res) => {
+    try {
+        const quota = getQuotaStatus();
+
         res.json({
-            upload_executed_recently: false,
-            message: 'Nenhum upload recente encontrado',
+            ...quota,
+            uploadsRemaining: Math.floor(quota.remaining / QUOTA_COSTS['videos.insert']),
             timestamp: new Date().toISOString()
         });
 
@@ -158,5 +304,5 @@ app.listen(PORT, () => {
     console.log(`🚀 Auto Publisher rodando na porta ${PORT}`);
     console.log(`🎬 Canal: Pregador Manasses`);
     console.log(`⏰ Upload diário às 14h (horário de São Paulo)`);
-    logAction('SERVER_STARTED');
+    logEvent(EVENT_TYPES.SERVER_STARTED, { port: Number(PORT) });
 });
@@ -1,6 +1,32 @@
 const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
+const { fetchPendingVideos, fetchVideoById } = require('./1fetchvideos');
+const { downloadVideo } = require('./2downloadvideo');
+const { prepareDriveStream } = require('./utils/drive-downloader');
+const { uploadToYouTubeComplete } = require('./3uploadyoutube');
+const { updateNotionAfterUpload } = require('./4updatenotion');
+const {
+    JOB_STATES,
+    enqueueJob,
+    transitionJob,
+    patchJob,
+    failJob,
+    getResumableJobs,
+    acquireRunLock,
+    releaseRunLock
+} = require('./utils/job-store');
+const { EVENT_TYPES, logEvent } = require('./utils/event-log');
+const { claimPage } = require('./utils/update-notion');
+const { classifyError } = require('./utils/retry-policy');
+const { estimateVideoCost, checkQuotaBudget, checkShortsBudget } = require('./utils/quota-ledger');
+const { resolveVideoFormat, getShortsPlaylists } = require('./utils/shorts');
+const { DUPLICATE_CHECK_ENABLED, DUPLICATE_CHECK_LIMIT } = require('./utils/duplicate-check');
+const { initTempDirectory } = require('./utils/temp-manager');
+const { applyThumbnailOverrides } = require('./utils/thumbnail');
+
+// Modo de transferência: disk (baixa para temp/) ou stream (Drive direto para o YouTube)
+const TRANSFER_MODE = process.env.TRANSFER_MODE || 'disk';
 
 // Função para executar comandos
 function runCommand(command, args = [], options = {}) {
@@ -27,17 +53,215 @@ function runCommand(command, args = [], options = {}) {
     });
 }
 
-// Função para ler dados do arquivo temp
-function readTempData() {
+// Função para gerar ID da execução
+function createRunId() {
+    return `run_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Função para registrar etapa concluída no log de eventos
+function logStepCompleted(runId, pageId, step, startTime, fields = {}) {
+    logEvent(EVENT_TYPES.STEP_COMPLETED, {
+        runId,
+        pageId,
+        step,
+        durationMs: Date.now() - startTime,
+        ...fields
+    });
+}
+
+// Função para assumir a página no Notion antes do download (evita upload duplo)
+async function claimJob(job, runId) {
+    let claim;
     try {
-        if (fs.existsSync('temp_video_data.json')) {
-            const data = JSON.parse(fs.readFileSync('temp_video_data.json', 'utf8'));
-            return data;
-        }
+        claim = await claimPage(job.pageId, runId, { previousOwner: job.lockOwner });
     } catch (error) {
-        console.log('⚠️ Erro ao ler dados temporários:', error.message);
+        throw Object.assign(error, { step: 'claim' });
+    }
+
+    if (!claim.claimed) {
+        console.log(`⏭️ Vídeo ignorado: ${claim.reason}`);
+        failJob(job.pageId, 'claim', claim.reason);
+        logEvent(EVENT_TYPES.STEP_FAILED, { runId, pageId: job.pageId, step: 'claim', message: claim.reason });
+        return null;
+    }
+
+    return patchJob(job.pageId, { lockOwner: runId });
+}
+
+// Função para identificar Shorts já conhecidos antes do upload (Format do Notion ou mídia do download)
+function isJobShort(job) {
+    if (job.state === JOB_STATES.UPLOADED) return false;
+    return resolveVideoFormat(job.videoData, job.download?.media).isShort;
+}
+
+// Função para verificar se o vídeo cabe na quota restante do YouTube
+function checkJobQuota(job) {
+    const videoData = isJobShort(job)
+        ? { ...job.videoData, playlists: getShortsPlaylists(job.videoData) }
+        : job.videoData;
+
+    const units = estimateVideoCost(videoData, {
+        uploaded: job.state === JOB_STATES.UPLOADED,
+        duplicateCheckLimit: DUPLICATE_CHECK_ENABLED ? DUPLICATE_CHECK_LIMIT : 0
+    });
+
+    return checkQuotaBudget(units);
+}
+
+// Função para executar as etapas de um job a partir do estado salvo
+async function processJob(job, runId, options = {}) {
+    const { pageId, videoData } = job;
+    const { stream = false } = options;
+
+    // Alguma tentativa anterior deste job chegou ao upload: o vídeo pode já estar no canal
+    const resume = job.history.some(entry => entry.to === JOB_STATES.UPLOADING);
+
+    // Modo streaming: sem download, o upload lê direto do Drive
+    if (stream && job.state === JOB_STATES.QUEUED) {
+        let source;
+        try {
+            source = await prepareDriveStream(videoData.driveLink);
+        } catch (error) {
+            throw Object.assign(error, { step: 'download' });
+        }
+
+        const { streamFromDrive, driveFileId, fileName, originalName, fileSize, mimeType, container, md5Checksum } = source;
+        job = transitionJob(pageId, JOB_STATES.UPLOADING, {
+            download: { streamFromDrive, driveFileId, fileName, originalName, fileSize, mimeType, container, md5Checksum }
+        });
+    }
+
+    // Etapa: download (também refaz o download se o arquivo sumiu antes ou durante o upload)
+    const fileMissing = job.download && !job.download.streamFromDrive && !fs.existsSync(job.download.filePath);
+    const needsFile = job.state === JOB_STATES.DOWNLOADED || job.state === JOB_STATES.UPLOADING;
+    if (job.state === JOB_STATES.QUEUED || job.state === JOB_STATES.DOWNLOADING || (needsFile && fileMissing)) {
+        console.log('🚀 Fazendo download do vídeo');
+        console.log('──────────────────────────────────────────────────');
+        const stepStart = Date.now();
+        logEvent(EVENT_TYPES.STEP_STARTED, { runId, pageId, step: 'download' });
+        job = transitionJob(pageId, JOB_STATES.DOWNLOADING);
+
+        const downloadResult = await downloadVideo(videoData);
+        if (!downloadResult.success) {
+            throw Object.assign(new Error(downloadResult.error), { step: 'download' });
+        }
+
+        const { filePath, fileName, originalName, fileSize, mimeType, container, media, md5Checksum } = downloadResult.downloadResult;
+        job = transitionJob(pageId, JOB_STATES.DOWNLOADED, {
+            download: { filePath, fileName, originalName, fileSize, mimeType, container, media, md5Checksum }
+        });
+        logStepCompleted(runId, pageId, 'download', stepStart, { bytes: fileSize });
+        console.log('✅ Download concluído!');
+    }
+
+    // Etapa: upload (sessão resumível retoma de onde parou)
+    if (job.state === JOB_STATES.DOWNLOADED || job.state === JOB_STATES.UPLOADING) {
+        console.log('🚀 Fazendo upload para YouTube');
+        console.log('──────────────────────────────────────────────────');
+        const stepStart = Date.now();
+        logEvent(EVENT_TYPES.STEP_STARTED, { runId, pageId, step: 'upload' });
+        job = transitionJob(pageId, JOB_STATES.UPLOADING);
+
+        const uploadResult = await uploadToYouTubeComplete(videoData, job.download.filePath || null, job.download, { resume });
+        if (!uploadResult.success) {
+            throw Object.assign(new Error(uploadResult.error), { step: 'upload', code: uploadResult.errorCode, reason: uploadResult.errorReason });
+        }
+
+        const { channelInfo, metadata, ...upload } = uploadResult;
+        job = transitionJob(pageId, JOB_STATES.UPLOADED, { upload });
+        logStepCompleted(runId, pageId, 'upload', stepStart, { bytes: job.download.fileSize, videoId: upload.videoId });
+        logEvent(EVENT_TYPES.VIDEO_UPLOADED, {
+            runId,
+            pageId,
+            videoId: upload.videoId,
+            videoUrl: upload.videoUrl,
+            bytes: job.download.fileSize
+        });
+        console.log('✅ Upload para YouTube concluído!');
+    }
+
+    // Etapa: atualizar Notion
+    if (job.state === JOB_STATES.UPLOADED) {
+        console.log('🚀 Atualizando status no Notion');
+        console.log('──────────────────────────────────────────────────');
+        const stepStart = Date.now();
+        logEvent(EVENT_TYPES.STEP_STARTED, { runId, pageId, step: 'update' });
+
+        try {
+            await updateNotionAfterUpload(pageId, job.upload, videoData);
+        } catch (error) {
+            throw Object.assign(error, { step: 'update' });
+        }
+
+        job = transitionJob(pageId, JOB_STATES.NOTION_SYNCED);
+        logStepCompleted(runId, pageId, 'update', stepStart);
+        console.log('✅ Notion atualizado!');
+    }
+
+    return job;
+}
+
+// Função para registrar falha do job (store + Notion)
+async function handleJobFailure(job, error, runId) {
+    const step = error.step || job.state;
+    const { kind } = classifyError({ code: error.code, reason: error.reason, message: error.message, step });
+    console.log(`❌ Falha na etapa "${step}" (${kind === 'permanent' ? 'permanente' : 'transitória'}): ${error.message}`);
+
+    const failed = failJob(job.pageId, step, error.message, { code: error.code, kind });
+    logEvent(EVENT_TYPES.STEP_FAILED, {
+        runId,
+        pageId: job.pageId,
+        step,
+        errorCode: error.code,
+        kind,
+        message: error.message
+    });
+
+    // Falha no próprio Notion não deve ser reportada no Notion (nem falha de vídeo já enviado)
+    if (step !== 'update' && failed.state !== JOB_STATES.UPLOADED) {
+        try {
+            await updateNotionAfterUpload(job.pageId, {
+                success: false,
+                error: error.message,
+                errorCode: error.code,
+                errorReason: error.reason,
+                step,
+                attempts: Math.max(failed.failures.length, 1),
+                history: failed.failures,
+                uploadDate: new Date().toISOString()
+            }, job.videoData);
+        } catch (notionError) {
+            console.log('⚠️ Erro ao registrar falha no Notion:', notionError.message);
+        }
     }
-    return null;
+
+    return step;
+}
+
+// Função para exibir resumo por vídeo
+function printSummary(results) {
+    const succeeded = results.filter(result => result.success && !result.skipped);
+    const skipped = results.filter(result => result.skipped);
+    const failed = results.filter(result => !result.success);
+
+    console.log('════════════════════════════════════════════════════════════');
+    console.log(failed.length === 0 ? '🎉 PIPELINE COMPLETO!' : '⚠️ PIPELINE CONCLUÍDO COM FALHAS');
+    console.log('📊 Resumo por vídeo:');
+
+    results.forEach((result, index) => {
+        const duration = `${result.durationSeconds.toFixed(1)}s`;
+        if (result.skipped) {
+            console.log(` ${index + 1}. ⏭️ ${result.title} → ignorado (${result.reason || 'em processamento por outra execução'})`);
+        } else if (result.success) {
+            console.log(` ${index + 1}. ✅ ${result.title} → ${result.videoUrl} (${duration})`);
+        } else {
+            console.log(` ${index + 1}. ❌ ${result.title} → falhou em "${result.step}": ${result.error} (${duration})`);
+        }
+    });
+
+    console.log('──────────────────────────────────────────────────');
+    console.log(` ✅ Sucesso: ${succeeded.length} | ⏭️ Ignorados: ${skipped.length} | ❌ Falhas: ${failed.length} | 📊 Total: ${results.length}`);
+    console.log('════════════════════════════════════════════════════════════');
 }
 
 // Função para executar pipeline com tratamento de erro
@@ -46,110 +270,221 @@ async function runPipeline(options = {}) {
         maxVideos = 1,
         sync = true,
         preview = false,
-        quiet = false
+        quiet = false,
+        pageId = null,
+        stream = TRANSFER_MODE === 'stream'
     } = options;
+    const runId = options.runId || createRunId();
+
+    if (!acquireRunLock(runId)) {
+        logEvent(EVENT_TYPES.RUN_FAILED, { runId, step: 'locked', message: 'Pipeline já em execução' });
+        return { success: false, step: 'locked', runId };
+    }
+
+    const runStart = Date.now();
+    logEvent(EVENT_TYPES.RUN_STARTED, { runId, maxVideos, sync, preview, stream });
 
     try {
         console.log('🚀 AUTO PUBLISHER - PIPELINE COMPLETO');
         console.log('════════════════════════════════════════════════════════════');
         console.log('⚙️ Configurações:');
-        console.log(` 📊 Máximo de vídeos: ${maxVideos}`);
+        console.log(` 🆔 Execução: ${runId}`);
+        console.log(` 📊 Máximo de vídeos: ${pageId ? 1 : maxVideos}`);
+        if (pageId) {
+            console.log(` 📄 Página específica: ${pageId}`);
+        }
         console.log(` 🔄 Sincronizar Drive: ${sync ? 'Sim' : 'Não'}`);
         console.log(` 🎭 Modo preview: ${preview ? 'Sim' : 'Não'}`);
+        console.log(` 🌊 Transferência: ${stream ? 'streaming (Drive → YouTube, sem disco)' : 'download para disco'}`);
         console.log('════════════════════════════════════════════════════════════');
 
+        // Manutenção da pasta temp (com o lock, nenhum outro download está em andamento)
+        try {
+            initTempDirectory();
+        } catch (error) {
+            console.log('⚠️ Erro na manutenção da pasta temp:', error.message);
+        }
+
         // Passo 1: Sincronizar Google Drive (se habilitado)
         if (sync) {
             console.log('🚀 Sincronizando Google Drive → Notion');
             console.log('📝 Comando: node 5syncgdrive.js');
             console.log('──────────────────────────────────────────────────');
             
+            const syncStart = Date.now();
+            logEvent(EVENT_TYPES.STEP_STARTED, { runId, step: 'sync' });
+            
             const syncResult = await runCommand('node', ['5syncgdrive.js']);
             if (!syncResult.success) {
                 console.log('❌ Erro na sincronização!');
-                return { success: false, step: 'sync' };
+                logEvent(EVENT_TYPES.STEP_FAILED, { runId, step: 'sync', errorCode: syncResult.code, durationMs: Date.now() - syncStart });
+                logEvent(EVENT_TYPES.RUN_FAILED, { runId, step: 'sync', errorCode: syncResult.code, durationMs: Date.now() - runStart });
+                return { success: false, step: 'sync', runId };
             }
+            logStepCompleted(runId, null, 'sync', syncStart);
             console.log('✅ Sincronização concluída!');
         }
 
-        // Passo 2: Buscar vídeos pendentes
-        console.log('🚀 Buscando vídeos pendentes');
-        console.log('📝 Comando: node 1fetchvideos.js');
-        console.log('──────────────────────────────────────────────────');
-        
-        const fetchResult = await runCommand('node', ['1fetchvideos.js']);
-        if (!fetchResult.success) {
-            console.log('❌ Erro ao buscar vídeos!');
-            return { success: false, step: 'fetch' };
-        }
-        console.log('✅ Busca de vídeos concluída!');
-
-        // Ler dados do vídeo encontrado
-        const videoData = readTempData();
-        if (!videoData || !videoData.pageId) {
-            console.log('❌ Nenhum vídeo encontrado para processar!');
-            return { success: false, step: 'no_video' };
+        // Thumbnails escolhidas no Notion para vídeos publicados com thumbnail automática
+        if (!preview) {
+            try {
+                const overrides = await applyThumbnailOverrides();
+                if (overrides.length > 0) {
+                    console.log(`🖼️ Thumbnails trocadas: ${overrides.filter(override => override.applied).length}/${overrides.length}`);
+                }
+            } catch (error) {
+                console.log('⚠️ Erro ao verificar thumbnails escolhidas no Notion:', error.message);
+            }
         }
 
-        console.log(`📹 Vídeo selecionado: ${videoData.title}`);
-        console.log(`📄 Page ID: ${videoData.pageId}`);
+        // Passo 2: Retomar jobs interrompidos e completar com vídeos pendentes
+        let resumable = [];
+        let videos = [];
 
-        // Passo 3: Download do vídeo (se não for preview)
-        if (!preview) {
-            console.log('🚀 Fazendo download do vídeo');
-            console.log(`📝 Comando: node 2downloadvideo.js ${videoData.pageId}`);
-            console.log('──────────────────────────────────────────────────');
-            
-            const downloadResult = await runCommand('node', ['2downloadvideo.js', videoData.pageId]);
-            if (!downloadResult.success) {
-                console.log('❌ Erro no download do vídeo!');
-                return { success: false, step: 'download' };
+        if (pageId) {
+            // Página específica: retoma o job dela ou busca direto no Notion
+            resumable = getResumableJobs().filter(job => job.pageId === pageId);
+            if (resumable.length === 0) {
+                const video = await fetchVideoById(pageId);
+                if (!video.isValid) {
+                    console.log('❌ Página com dados inválidos:', video.validations.join(', '));
+                    logEvent(EVENT_TYPES.RUN_FAILED, { runId, pageId, step: 'fetch', message: 'Dados inválidos', durationMs: Date.now() - runStart });
+                    return { success: false, step: 'fetch', runId };
+                }
+                videos = [video];
             }
-            console.log('✅ Download concluído!');
+        } else {
+            resumable = getResumableJobs().slice(0, maxVideos);
 
-            // Passo 4: Upload para YouTube
-            console.log('🚀 Fazendo upload para YouTube');
-            console.log(`📝 Comando: node 3uploadyoutube.js ${videoData.pageId}`);
-            console.log('──────────────────────────────────────────────────');
-            
-            const uploadResult = await runCommand('node', ['3uploadyoutube.js', videoData.pageId]);
-            if (!uploadResult.success) {
-                console.log('❌ Erro no upload para YouTube!');
-                return { success: false, step: 'upload' };
-            }
-            console.log('✅ Upload para YouTube concluído!');
+            if (resumable.length < maxVideos) {
+                console.log('🚀 Buscando vídeos pendentes');
+                console.log('──────────────────────────────────────────────────');
 
-            // Passo 5: Atualizar Notion
-            console.log('🚀 Atualizando status no Notion');
-            console.log(`📝 Comando: node 4updatenotion.js ${videoData.pageId}`);
-            console.log('──────────────────────────────────────────────────');
-            
-            const updateResult = await runCommand('node', ['4updatenotion.js', videoData.pageId]);
-            if (!updateResult.success) {
-                console.log('❌ Erro ao atualizar Notion!');
-                return { success: false, step: 'update' };
+                const resumableIds = new Set(resumable.map(job => job.pageId));
+                const pending = await fetchPendingVideos(maxVideos);
+                videos = pending
+                    .filter(video => !resumableIds.has(video.pageId))
+                    .slice(0, maxVideos - resumable.length);
             }
-            console.log('✅ Notion atualizado!');
-        } else {
+        }
+
+        resumable.forEach(job => {
+            console.log(`♻️ Retomando job interrompido: "${job.title}" (estado: ${job.state})`);
+        });
+
+        if (resumable.length === 0 && videos.length === 0) {
+            // Fila vazia não é erro: a execução agendada termina com sucesso
+            console.log('📭 Nenhum vídeo pendente para processar');
+            logEvent(EVENT_TYPES.RUN_COMPLETED, { runId, processed: 0, durationMs: Date.now() - runStart });
+            return { success: true, step: 'no_video', runId };
+        }
+
+        if (preview) {
+            console.log(`📹 ${resumable.length + videos.length} vídeo(s) selecionado(s):`);
+            [...resumable, ...videos].forEach((video, index) => {
+                console.log(`   ${index + 1}. ${video.title} (${video.pageId})`);
+            });
             console.log('🎭 Modo preview ativo - Download e upload não executados');
+            logEvent(EVENT_TYPES.RUN_COMPLETED, { runId, preview: true, durationMs: Date.now() - runStart });
+            return { success: true, preview: true, runId };
         }
 
-        console.log('════════════════════════════════════════════════════════════');
-        console.log('🎉 PIPELINE COMPLETO!');
-        console.log(`✅ Vídeo "${videoData.title}" processado com sucesso!`);
-        console.log('════════════════════════════════════════════════════════════');
-        
-        // Limpar arquivo temporário
-        if (fs.existsSync('temp_video_data.json')) {
-            fs.unlinkSync('temp_video_data.json');
+        const jobs = [...resumable, ...videos.map(video => enqueueJob(video))];
+
+        // Passo 3: Download → Upload → Notion para cada vídeo (falhas isoladas)
+        const results = [];
+
+        for (let i = 0; i < jobs.length; i++) {
+            let job = jobs[i];
+            const startTime = Date.now();
+
+            console.log('════════════════════════════════════════════════════════════');
+            console.log(`📹 Vídeo ${i + 1}/${jobs.length}: ${job.title}`);
+            console.log(`📄 Page ID: ${job.pageId}`);
+
+            // Sem quota para o vídeo inteiro (ou limite de Shorts do dia): adia sem assumir a página (continua Pending)
+            const budget = checkJobQuota(job);
+            const shortsBudget = isJobShort(job) ? checkShortsBudget() : null;
+            let deferral = null;
+            if (!budget.allowed) {
+                deferral = {
+                    reason: `quota insuficiente: precisa ${budget.needed}, restam ${budget.remaining} até ${new Date(budget.resetAt).toLocaleString('pt-BR')}`,
+                    fields: { step: 'quota', needed: budget.needed, remaining: budget.remaining }
+                };
+            } else if (shortsBudget && !shortsBudget.allowed) {
+                deferral = {
+                    reason: `limite diário de Shorts: ${shortsBudget.used}/${shortsBudget.limit} até ${new Date(shortsBudget.resetAt).toLocaleString('pt-BR')}`,
+                    fields: { step: 'shorts', used: shortsBudget.used, limit: shortsBudget.limit }
+                };
+            }
+            if (deferral) {
+                const { reason } = deferral;
+                console.log(`⏸️ Vídeo adiado: ${reason}`);
+                logEvent(EVENT_TYPES.VIDEO_DEFERRED, { runId, pageId: job.pageId, ...deferral.fields });
+                results.push({
+                    pageId: job.pageId,
+                    title: job.title,
+                    success: true,
+                    skipped: true,
+                    deferred: true,
+                    reason,
+                    durationSeconds: (Date.now() - startTime) / 1000
+                });
+                continue;
+            }
+
+            try {
+                const claimed = await claimJob(job, runId);
+                if (!claimed) {
+                    results.push({
+                        pageId: job.pageId,
+                        title: job.title,
+                        success: true,
+                        skipped: true,
+                        durationSeconds: (Date.now() - startTime) / 1000
+                    });
+                    continue;
+                }
+
+                job = await processJob(claimed, runId, { stream });
+                results.push({
+                    pageId: job.pageId,
+                    title: job.title,
+                    success: true,
+                    videoUrl: job.upload.videoUrl,
+                    durationSeconds: (Date.now() - startTime) / 1000
+                });
+            } catch (error) {
+                const step = await handleJobFailure(job, error, runId);
+                results.push({
+                    pageId: job.pageId,
+                    title: job.title,
+                    success: false,
+                    step,
+                    error: error.message,
+                    durationSeconds: (Date.now() - startTime) / 1000
+                });
+            }
         }
-        
-        return { success: true };
+
+        printSummary(results);
+
+        const failed = results.filter(result => !result.success).length;
+        logEvent(EVENT_TYPES.RUN_COMPLETED, {
+            runId,
+            processed: results.length,
+            failed,
+            durationMs: Date.now() - runStart
+        });
+        return { success: failed === 0, runId, results };
 
     } catch (error) {
         console.log('💥 ERRO NO PIPELINE:', error.message);
+        logEvent(EVENT_TYPES.RUN_FAILED, { runId, errorCode: error.code, message: error.message, durationMs: Date.now() - runStart });
         console.log('════════════════════════════════════════════════════════════');
-        return { success: false, error: error.message };
+        return { success: false, error: error.message, runId };
+    } finally {
+        releaseRunLock(runId);
     }
 }
 
@@ -169,6 +504,9 @@ async function main() {
   --preview     Modo preview (não faz download/upload real)
   --no-sync     Não sincronizar Drive
   --limit=N     Processar até N vídeos (padrão: 1)
+  --page=ID     Processar somente a página do Notion informada
+  --stream      Enviar direto do Drive para o YouTube (sem disco)
+  --disk        Baixar para temp/ antes do upload (padrão)
   --quiet       Menos logs
   --help, -h    Mostrar esta ajuda
 
@@ -176,6 +514,7 @@ async function main() {
   node run-pipeline.js              # Execução normal
   node run-pipeline.js --preview    # Modo preview
   node run-pipeline.js --limit=3    # Processar até 3 vídeos
+  node run-pipeline.js --page=abc123  # Processar uma página específica
   node run-pipeline.js --no-sync    # Sem sincronização Drive
         `);
         return;
@@ -189,12 +528,23 @@ async function main() {
         maxVideos: 1
     };
 
+    // Parsear modo de transferência (sobrepõe TRANSFER_MODE)
+    if (args.includes('--stream') || args.includes('--disk')) {
+        options.stream = args.includes('--stream');
+    }
+
     // Parsear limite
     const limitArg = args.find(arg => arg.startsWith('--limit='));
     if (limitArg) {
         options.maxVideos = parseInt(limitArg.split('=')[1]) || 1;
     }
 
+    // Parsear página específica
+    const pageArg = args.find(arg => arg.startsWith('--page='));
+    if (pageArg) {
+        options.pageId = pageArg.split('=')[1];
+    }
+
     // Executar pipeline
     const result = await runPipeline(options);
     process.exit(result.success ? 0 : 1);
@@ -205,4 +555,4 @@ if (require.main === module) {
     main();
 }
 
-module.exports = { runPipeline };
+module.exports = { runPipeline, createRunId };
@@ -0,0 +1,203 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { downloadFileResumable, verifyDownload } = require('../utils/resumable-download');
+
+// Segmentos pequenos para dividir o arquivo de teste (DOWNLOAD_SEGMENT_MIN_MB é lido a cada download)
+const SEGMENT_MIN_BYTES = 16 * 1024;
+const FILE_SIZE = 4 * SEGMENT_MIN_BYTES + 1000;
+
+let server;
+let baseUrl;
+let tempDir;
+let fileData;
+let fileMd5;
+let segmentMinBackup;
+
+/**
+ * Arquivo fake do Drive: responde ao Range como o endpoint alt=media
+ * @param {Object} behavior - Ajustes por teste (dropFirst, failFrom, stallOthers)
+ * @returns {Object} - Estado do arquivo fake
+ */
+function createFakeFile(behavior = {}) {
+    return { ranges: [], closed: 0, ...behavior };
+}
+
+const files = {};
+
+function handleRequest(req, res) {
+    const { pathname } = new URL(req.url, baseUrl);
+    const fake = files[pathname.slice(1)];
+    const [, start, end] = /bytes=(\d+)-(\d+)/.exec(req.headers.range).map(Number);
+    fake.ranges.push(req.headers.range);
+
+    // Segmento que falha de forma definitiva depois que os demais já começaram
+    if (fake.failFrom === start) {
+        setTimeout(() => {
+            res.writeHead(403);
+            res.end();
+        }, 100);
+        return;
+    }
+
+    const body = fileData.subarray(start, end + 1);
+    res.writeHead(206, {
+        'Content-Range': `bytes ${start}-${end}/${FILE_SIZE}`,
+        'Content-Length': body.length
+    });
+
+    // Interrupção: envia metade e derruba a conexão (só na primeira requisição)
+    if (fake.dropFirst && fake.ranges.length === 1) {
+        res.write(body.subarray(0, body.length / 2), () => res.socket.destroy());
+        return;
+    }
+
+    // Segmento travado: envia metade e nunca termina (só para se o cliente fechar)
+    if (fake.stallOthers) {
+        res.on('close', () => fake.closed++);
+        res.write(body.subarray(0, body.length / 2));
+        return;
+    }
+
+    res.end(body);
+}
+
+/**
+ * Baixa o arquivo de teste do servidor fake
+ * @param {string} name - ID do arquivo fake
+ * @param {Object} fake - Estado do arquivo fake
+ * @param {Object} options - Opções extras do downloadFileResumable
+ * @returns {Promise<Object>} - Resultado do download
+ */
+function downloadFrom(name, fake, options = {}) {
+    files[name] = fake;
+
+    return downloadFileResumable({
+        fileId: name,
+        filePath: path.join(tempDir, `${name}.mp4`),
+        fileSize: FILE_SIZE,
+        md5Checksum: fileMd5,
+        getAccessToken: async () => 'token',
+        downloadUrl: baseUrl,
+        segments: 1,
+        maxRetries: 3,
+        ...options
+    });
+}
+
+before(async () => {
+    // Logs de progresso do download não interessam ao teste
+    mock.method(console, 'log', () => {});
+
+    segmentMinBackup = process.env.DOWNLOAD_SEGMENT_MIN_MB;
+    process.env.DOWNLOAD_SEGMENT_MIN_MB = String(SEGMENT_MIN_BYTES / 1024 / 1024);
+
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'resumable-download-'));
+    fileData = Buffer.alloc(FILE_SIZE);
+    for (let i = 0; i < FILE_SIZE; i++) fileData[i] = i % 251;
+    fileMd5 = crypto.createHash('md5').update(fileData).digest('hex');
+
+    server = http.createServer(handleRequest);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.closeAllConnections();
+    server.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+
+    if (segmentMinBackup === undefined) {
+        delete process.env.DOWNLOAD_SEGMENT_MIN_MB;
+    } else {
+        process.env.DOWNLOAD_SEGMENT_MIN_MB = segmentMinBackup;
+    }
+});
+
+test('baixa em segmentos paralelos e confere o MD5', async () => {
+    const fake = createFakeFile();
+    const result = await downloadFrom('segments', fake, { segments: 4 });
+
+    assert.equal(fake.ranges.length, 4);
+    assert.equal(result.md5Checksum, fileMd5);
+    assert.equal(result.resumedBytes, 0);
+    assert.ok(fs.readFileSync(result.filePath).equals(fileData));
+    assert.ok(!fs.existsSync(`${result.filePath}.part`), '.part deve virar o arquivo final');
+    assert.ok(!fs.existsSync(`${result.filePath}.part.json`), 'progresso deve ser removido');
+});
+
+test('retoma com Range a partir do último byte gravado após queda de conexão', async () => {
+    const fake = createFakeFile({ dropFirst: true });
+    const result = await downloadFrom('dropped', fake);
+
+    assert.equal(fake.ranges.length, 2);
+    assert.equal(fake.ranges[0], `bytes=0-${FILE_SIZE - 1}`);
+    const [, resumedFrom] = /bytes=(\d+)-/.exec(fake.ranges[1]).map(Number);
+    assert.ok(resumedFrom > 0, 'segunda requisição não deve recomeçar do zero');
+    assert.ok(fs.readFileSync(result.filePath).equals(fileData));
+});
+
+test('retoma .part salvo por uma execução anterior', async () => {
+    const filePath = path.join(tempDir, 'saved.mp4');
+    const half = Math.floor(FILE_SIZE / 2);
+    fs.writeFileSync(`${filePath}.part`, fileData.subarray(0, half));
+    fs.writeFileSync(`${filePath}.part.json`, JSON.stringify({
+        fileId: 'saved',
+        fileSize: FILE_SIZE,
+        md5Checksum: fileMd5,
+        segments: [{ start: 0, end: FILE_SIZE - 1, downloaded: half }]
+    }));
+
+    const fake = createFakeFile();
+    const result = await downloadFrom('saved', fake);
+
+    assert.deepEqual(fake.ranges, [`bytes=${half}-${FILE_SIZE - 1}`]);
+    assert.equal(result.resumedBytes, half);
+    assert.ok(fs.readFileSync(filePath).equals(fileData));
+});
+
+test('falha definitiva em um segmento interrompe os demais e mantém o .part', { timeout: 10000 }, async () => {
+    const fake = createFakeFile({ failFrom: Math.ceil(FILE_SIZE / 4), stallOthers: true });
+    const filePath = path.join(tempDir, 'aborted.mp4');
+
+    await assert.rejects(downloadFrom('aborted', fake, { segments: 4 }), { code: 403 });
+
+    // Segmentos travados só terminam se o cliente encerrar as conexões
+    while (fake.closed < 3) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    const state = JSON.parse(fs.readFileSync(`${filePath}.part.json`, 'utf8'));
+    const downloaded = state.segments.reduce((total, segment) => total + segment.downloaded, 0);
+    assert.ok(fs.existsSync(`${filePath}.part`), '.part deve ser mantido para retomar');
+    assert.ok(downloaded < FILE_SIZE);
+    assert.ok(!fs.existsSync(filePath));
+});
+
+test('MD5 divergente falha com CHECKSUM_MISMATCH e apaga o .part', async () => {
+    const fake = createFakeFile();
+    const filePath = path.join(tempDir, 'corrupted.mp4');
+
+    await assert.rejects(
+        downloadFrom('corrupted', fake, { md5Checksum: '0'.repeat(32) }),
+        { code: 'CHECKSUM_MISMATCH' }
+    );
+
+    assert.ok(!fs.existsSync(filePath));
+    assert.ok(!fs.existsSync(`${filePath}.part`));
+    assert.ok(!fs.existsSync(`${filePath}.part.json`));
+});
+
+test('tamanho divergente falha com CHECKSUM_MISMATCH', async () => {
+    const filePath = path.join(tempDir, 'short.mp4');
+    fs.writeFileSync(filePath, fileData.subarray(0, FILE_SIZE - 1));
+
+    await assert.rejects(
+        verifyDownload(filePath, { fileSize: FILE_SIZE, md5Checksum: fileMd5 }),
+        { code: 'CHECKSUM_MISMATCH' }
+    );
+});
@@ -0,0 +1,183 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    uploadFileResumable,
+    saveSession,
+    getSavedSession,
+    CHUNK_GRANULARITY
+} = require('../utils/resumable-upload');
+
+// Sessões de upload ficam na raiz do projeto: preservar as reais durante o teste
+const SESSIONS_FILE = path.join(__dirname, '..', 'upload_sessions.json');
+const FILE_SIZE = 4 * CHUNK_GRANULARITY + 1000;
+
+let server;
+let baseUrl;
+let sessionsBackup = null;
+let tempDir;
+let filePath;
+let fileData;
+
+/**
+ * Servidor fake da sessão resumível: grava os bytes recebidos e responde como o YouTube
+ * @param {Object} behavior - Ajustes por teste (partialCommit, dropChunk, failQueries)
+ * @returns {Object} - Estado da sessão fake
+ */
+function createFakeSession(behavior = {}) {
+    return { received: [], requests: [], queries: 0, chunks: 0, ...behavior };
+}
+
+const sessions = {};
+
+function handleRequest(req, res) {
+    const fake = sessions[req.url];
+    const pieces = [];
+
+    req.on('data', piece => pieces.push(piece));
+    req.on('end', () => {
+        const body = Buffer.concat(pieces);
+        const range = req.headers['content-range'];
+        const committed = Buffer.concat(fake.received);
+        fake.requests.push(range);
+
+        const respondStatus = (length) => {
+            if (length >= FILE_SIZE) {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ id: 'video123' }));
+                return;
+            }
+            res.writeHead(308, length > 0 ? { Range: `bytes=0-${length - 1}` } : {});
+            res.end();
+        };
+
+        // Consulta de status (bytes */total)
+        if (range.startsWith('bytes */')) {
+            fake.queries++;
+            if (fake.failQueries > 0) {
+                fake.failQueries--;
+                res.writeHead(503);
+                res.end();
+                return;
+            }
+            respondStatus(committed.length);
+            return;
+        }
+
+        const [, start] = /bytes (\d+)-(\d+)\/(\d+)/.exec(range).map(Number);
+        assert.equal(start, committed.length, 'chunk deve começar no offset confirmado');
+        fake.chunks++;
+
+        // Interrupção: grava metade do chunk e derruba a conexão
+        if (fake.dropChunk === fake.chunks) {
+            fake.received.push(body.subarray(0, body.length / 2));
+            req.socket.destroy();
+            return;
+        }
+
+        // Servidor confirma menos bytes que o enviado
+        const accepted = fake.partialCommit === fake.chunks ? body.subarray(0, CHUNK_GRANULARITY / 2) : body;
+        fake.received.push(accepted);
+        respondStatus(committed.length + accepted.length);
+    });
+}
+
+/**
+ * Faz upload do arquivo de teste para uma sessão fake já salva
+ * @param {string} name - Nome da sessão fake
+ * @param {Object} fake - Estado da sessão fake
+ * @returns {Object} - Vídeo retornado
+ */
+async function uploadTo(name, fake) {
+    sessions[`/${name}`] = fake;
+    const sessionKey = `test:${name}`;
+    saveSession(sessionKey, { sessionUri: `${baseUrl}/${name}`, fileSize: FILE_SIZE, mimeType: 'video/mp4', offset: 0 });
+
+    const video = await uploadFileResumable({
+        filePath,
+        fileSize: FILE_SIZE,
+        mimeType: 'video/mp4',
+        requestBody: {},
+        sessionKey,
+        getAccessToken: async () => 'token',
+        chunkSize: CHUNK_GRANULARITY,
+        maxRetries: 3
+    });
+
+    assert.equal(getSavedSession(sessionKey), null, 'sessão concluída deve ser removida');
+    return video;
+}
+
+before(async () => {
+    // Logs de progresso do upload não interessam ao teste
+    mock.method(console, 'log', () => {});
+
+    if (fs.existsSync(SESSIONS_FILE)) {
+        sessionsBackup = fs.readFileSync(SESSIONS_FILE);
+    }
+
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'resumable-upload-'));
+    filePath = path.join(tempDir, 'video.mp4');
+    fileData = Buffer.alloc(FILE_SIZE);
+    for (let i = 0; i < FILE_SIZE; i++) fileData[i] = i % 251;
+    fs.writeFileSync(filePath, fileData);
+
+    server = http.createServer(handleRequest);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+
+    if (sessionsBackup) {
+        fs.writeFileSync(SESSIONS_FILE, sessionsBackup);
+    } else {
+        fs.rmSync(SESSIONS_FILE, { force: true });
+    }
+});
+
+test('envia o arquivo em chunks de 256KB com Content-Range sequencial', async () => {
+    const fake = createFakeSession();
+    const video = await uploadTo('chunks', fake);
+
+    assert.equal(video.id, 'video123');
+    assert.deepEqual(fake.requests, [
+        `bytes */${FILE_SIZE}`,
+        `bytes 0-${CHUNK_GRANULARITY - 1}/${FILE_SIZE}`,
+        `bytes ${CHUNK_GRANULARITY}-${2 * CHUNK_GRANULARITY - 1}/${FILE_SIZE}`,
+        `bytes ${2 * CHUNK_GRANULARITY}-${3 * CHUNK_GRANULARITY - 1}/${FILE_SIZE}`,
+        `bytes ${3 * CHUNK_GRANULARITY}-${4 * CHUNK_GRANULARITY - 1}/${FILE_SIZE}`,
+        `bytes ${4 * CHUNK_GRANULARITY}-${FILE_SIZE - 1}/${FILE_SIZE}`
+    ]);
+    assert.ok(Buffer.concat(fake.received).equals(fileData));
+});
+
+test('continua do Range confirmado quando o 308 aceita só parte do chunk', async () => {
+    const fake = createFakeSession({ partialCommit: 2 });
+    await uploadTo('partial', fake);
+
+    assert.equal(fake.requests[3], `bytes ${CHUNK_GRANULARITY + CHUNK_GRANULARITY / 2}-${2 * CHUNK_GRANULARITY + CHUNK_GRANULARITY / 2 - 1}/${FILE_SIZE}`);
+    assert.ok(Buffer.concat(fake.received).equals(fileData));
+});
+
+test('retoma após conexão interrompida mesmo se a consulta de status falhar', async () => {
+    const fake = createFakeSession({ dropChunk: 2, failQueries: 1 });
+    await uploadTo('interrupted', fake);
+
+    assert.equal(fake.queries, 3, 'consulta com 503 deve ser repetida');
+    assert.ok(Buffer.concat(fake.received).equals(fileData));
+});
+
+test('retoma sessão salva a partir do offset informado pelo servidor', async () => {
+    const fake = createFakeSession({ received: [fileData.subarray(0, 3 * CHUNK_GRANULARITY)] });
+    await uploadTo('saved', fake);
+
+    assert.equal(fake.requests[0], `bytes */${FILE_SIZE}`);
+    assert.equal(fake.requests[1], `bytes ${3 * CHUNK_GRANULARITY}-${4 * CHUNK_GRANULARITY - 1}/${FILE_SIZE}`);
+    assert.ok(Buffer.concat(fake.received).equals(fileData));
+});
@@ -0,0 +1,194 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { uploadDriveStreamResumable } = require('../utils/stream-transfer');
+const { saveSession, getSavedSession, clearSession, CHUNK_GRANULARITY } = require('../utils/resumable-upload');
+
+// Sessões de upload ficam na raiz do projeto: remover só as chaves deste teste
+const SESSIONS_FILE = path.join(__dirname, '..', 'upload_sessions.json');
+const FILE_SIZE = 4 * CHUNK_GRANULARITY + 1000;
+
+let server;
+let baseUrl;
+let sessionsFileExisted;
+let fileData;
+let fileMd5;
+
+/**
+ * Arquivo no Drive + sessão no YouTube fakes para uma transferência
+ * @param {Object} behavior - Ajustes por teste (dropDriveAt, received)
+ * @returns {Object} - Estado da transferência fake
+ */
+function createFakeTransfer(behavior = {}) {
+    return { received: [], requests: [], driveRanges: [], ...behavior };
+}
+
+const transfers = {};
+
+/**
+ * Drive fake: responde ao Range como o endpoint alt=media
+ * @param {Object} fake - Estado da transferência fake
+ * @param {Object} req - Requisição
+ * @param {Object} res - Resposta
+ */
+function handleDrive(fake, req, res) {
+    const [, start, end] = /bytes=(\d+)-(\d+)/.exec(req.headers.range).map(Number);
+    fake.driveRanges.push(req.headers.range);
+
+    const body = fileData.subarray(start, end + 1);
+    res.writeHead(206, {
+        'Content-Range': `bytes ${start}-${end}/${FILE_SIZE}`,
+        'Content-Length': body.length
+    });
+
+    // Interrupção: envia até o byte informado e derruba a conexão (só na primeira abertura)
+    if (fake.dropDriveAt && fake.driveRanges.length === 1) {
+        res.write(body.subarray(0, fake.dropDriveAt), () => res.socket.destroy());
+        return;
+    }
+
+    res.end(body);
+}
+
+/**
+ * Sessão resumível fake: grava os bytes recebidos e responde como o YouTube
+ * @param {Object} fake - Estado da transferência fake
+ * @param {Object} req - Requisição
+ * @param {Object} res - Resposta
+ */
+function handleUpload(fake, req, res) {
+    const pieces = [];
+
+    req.on('data', piece => pieces.push(piece));
+    req.on('end', () => {
+        const body = Buffer.concat(pieces);
+        const range = req.headers['content-range'];
+        const committed = Buffer.concat(fake.received);
+        fake.requests.push(range);
+
+        const respondStatus = (length) => {
+            if (length >= FILE_SIZE) {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ id: 'video123' }));
+                return;
+            }
+            res.writeHead(308, length > 0 ? { Range: `bytes=0-${length - 1}` } : {});
+            res.end();
+        };
+
+        // Consulta de status (bytes */total)
+        if (range.startsWith('bytes */')) {
+            respondStatus(committed.length);
+            return;
+        }
+
+        const [, start] = /bytes (\d+)-(\d+)\/(\d+)/.exec(range).map(Number);
+        assert.equal(start, committed.length, 'chunk deve começar no offset confirmado');
+        fake.received.push(body);
+        respondStatus(committed.length + body.length);
+    });
+}
+
+function handleRequest(req, res) {
+    const [, kind, name] = new URL(req.url, baseUrl).pathname.split('/');
+    const fake = transfers[name];
+
+    if (kind === 'drive') {
+        handleDrive(fake, req, res);
+    } else {
+        handleUpload(fake, req, res);
+    }
+}
+
+/**
+ * Transfere o arquivo de teste do Drive fake para uma sessão fake já salva
+ * @param {string} name - Nome da transferência fake
+ * @param {Object} fake - Estado da transferência fake
+ * @param {Object} options - Opções extras do uploadDriveStreamResumable
+ * @returns {Promise<Object>} - Vídeo retornado
+ */
+function transfer(name, fake, options = {}) {
+    transfers[name] = fake;
+    const offset = Buffer.concat(fake.received).length;
+    saveSession(`stream-test:${name}`, { sessionUri: `${baseUrl}/upload/${name}`, fileSize: FILE_SIZE, mimeType: 'video/mp4', offset });
+
+    return uploadDriveStreamResumable({
+        fileId: name,
+        fileSize: FILE_SIZE,
+        md5Checksum: fileMd5,
+        mimeType: 'video/mp4',
+        requestBody: {},
+        sessionKey: `stream-test:${name}`,
+        getAccessToken: async () => 'token',
+        downloadUrl: `${baseUrl}/drive`,
+        chunkSize: CHUNK_GRANULARITY,
+        maxRetries: 3,
+        ...options
+    });
+}
+
+before(async () => {
+    // Logs de progresso da transferência não interessam ao teste
+    mock.method(console, 'log', () => {});
+
+    sessionsFileExisted = fs.existsSync(SESSIONS_FILE);
+
+    fileData = Buffer.alloc(FILE_SIZE);
+    for (let i = 0; i < FILE_SIZE; i++) fileData[i] = i % 251;
+    fileMd5 = crypto.createHash('md5').update(fileData).digest('hex');
+
+    server = http.createServer(handleRequest);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+
+    Object.keys(transfers).forEach(name => clearSession(`stream-test:${name}`));
+    if (!sessionsFileExisted && fs.existsSync(SESSIONS_FILE) && fs.readFileSync(SESSIONS_FILE, 'utf8').trim() === '{}') {
+        fs.rmSync(SESSIONS_FILE);
+    }
+});
+
+test('transfere do Drive em chunks de 256KB conferindo o MD5', async () => {
+    const fake = createFakeTransfer();
+    const video = await transfer('chunks', fake);
+
+    assert.equal(video.id, 'video123');
+    assert.deepEqual(fake.driveRanges, [`bytes=0-${FILE_SIZE - 1}`]);
+    assert.equal(fake.requests.length, 6, '1 consulta + 5 chunks');
+    assert.ok(Buffer.concat(fake.received).equals(fileData));
+    assert.equal(getSavedSession('stream-test:chunks'), null, 'sessão concluída deve ser removida');
+});
+
+test('reabre o Drive a partir do offset confirmado pelo YouTube após queda', async () => {
+    const fake = createFakeTransfer({ dropDriveAt: CHUNK_GRANULARITY + CHUNK_GRANULARITY / 2 });
+    await transfer('dropped', fake);
+
+    assert.deepEqual(fake.driveRanges, [
+        `bytes=0-${FILE_SIZE - 1}`,
+        `bytes=${CHUNK_GRANULARITY}-${FILE_SIZE - 1}`
+    ]);
+    assert.ok(Buffer.concat(fake.received).equals(fileData), 'MD5 deve conferir mesmo com trechos reenviados pelo Drive');
+});
+
+test('retoma sessão salva lendo o Drive a partir do offset do servidor', async () => {
+    const fake = createFakeTransfer({ received: [fileData.subarray(0, 3 * CHUNK_GRANULARITY)] });
+    await transfer('saved', fake);
+
+    assert.deepEqual(fake.driveRanges, [`bytes=${3 * CHUNK_GRANULARITY}-${FILE_SIZE - 1}`]);
+    assert.ok(Buffer.concat(fake.received).equals(fileData));
+});
+
+test('MD5 divergente falha com CHECKSUM_MISMATCH sem enviar o último chunk', async () => {
+    const fake = createFakeTransfer();
+
+    await assert.rejects(transfer('corrupted', fake, { md5Checksum: '0'.repeat(32) }), { code: 'CHECKSUM_MISMATCH' });
+
+    assert.equal(Buffer.concat(fake.received).length, 4 * CHUNK_GRANULARITY, 'último chunk retido');
+    assert.equal(getSavedSession('stream-test:corrupted'), null, 'sessão corrompida deve ser descartada');
+});
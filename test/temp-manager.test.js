@@ -0,0 +1,63 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { TEMP_DIR, ensureFreeSpace, touchCachedFile, forgetCachedFile } = require('../utils/temp-manager');
+
+// Vídeos fictícios do cache, do menos para o mais recentemente usado
+const FILE_SIZE = 1000;
+const FILE_NAMES = ['video_test_lru_a.mp4', 'video_test_lru_b.mp4', 'video_test_lru_c.mp4'];
+const filePaths = FILE_NAMES.map(fileName => path.join(TEMP_DIR, fileName));
+
+// Arquivos reais que já estavam em temp/ nunca entram no teste
+let existingFiles = [];
+let createdTempDir = false;
+
+before(() => {
+    mock.method(console, 'log', () => {});
+    process.env.TEMP_SPACE_MARGIN_MB = '0';
+
+    createdTempDir = !fs.existsSync(TEMP_DIR);
+    fs.mkdirSync(TEMP_DIR, { recursive: true });
+    existingFiles = fs.readdirSync(TEMP_DIR).map(fileName => path.join(TEMP_DIR, fileName));
+
+    filePaths.forEach((filePath, index) => {
+        fs.writeFileSync(filePath, Buffer.alloc(FILE_SIZE));
+        touchCachedFile(filePath);
+        const time = new Date(Date.UTC(2000, 0, index + 1));
+        fs.utimesSync(filePath, time, time);
+    });
+
+    // Índice com último uso antigo e crescente (a → c)
+    const indexPath = path.join(TEMP_DIR, 'cache-index.json');
+    const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    FILE_NAMES.forEach((fileName, i) => {
+        index[fileName].lastUsedAt = new Date(Date.UTC(2000, 0, i + 1)).toISOString();
+    });
+    fs.writeFileSync(indexPath, JSON.stringify(index, null, 2));
+});
+
+after(() => {
+    filePaths.forEach(filePath => {
+        fs.rmSync(filePath, { force: true });
+        forgetCachedFile(filePath);
+    });
+    delete process.env.TEMP_SPACE_MARGIN_MB;
+
+    if (createdTempDir) {
+        fs.rmSync(TEMP_DIR, { recursive: true, force: true });
+    }
+});
+
+test('ensureFreeSpace libera só os vídeos necessários, do menos usado para o mais usado', () => {
+    // Disco "cheio": o espaço livre é o que os vídeos do teste liberarem
+    mock.method(fs, 'statfsSync', () => ({
+        bsize: 1,
+        bavail: filePaths.filter(filePath => !fs.existsSync(filePath)).length * FILE_SIZE
+    }));
+
+    const result = ensureFreeSpace(1500, { keep: existingFiles });
+
+    assert.equal(result.free, 2 * FILE_SIZE);
+    assert.deepEqual(filePaths.map(filePath => fs.existsSync(filePath)), [false, false, true]);
+});
@@ -0,0 +1,107 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    buildVideoMetadata,
+    validateMetadata,
+    getTagsLength,
+    MAX_TITLE_LENGTH,
+    MAX_DESCRIPTION_BYTES,
+    MAX_TAGS_LENGTH
+} = require('../utils/youtube-metadata');
+
+/**
+ * Vídeo mínimo como vem do Notion
+ * @param {Object} overrides - Campos a sobrescrever
+ * @returns {Object} - Dados do vídeo
+ */
+function createVideo(overrides = {}) {
+    return {
+        title: 'Culto de domingo',
+        description: 'Mensagem da semana',
+        tags: 'fé, culto',
+        category: 'Education',
+        privacy: 'Public',
+        format: 'Standard',
+        ...overrides
+    };
+}
+
+/**
+ * Corpo válido para validateMetadata
+ * @param {Object} snippet - Campos do snippet a sobrescrever
+ * @param {Object} status - Campos do status a sobrescrever
+ * @returns {Object} - { snippet, status }
+ */
+function createRequestBody(snippet = {}, status = {}) {
+    return {
+        snippet: { title: 'Título', description: 'Descrição', tags: ['fé'], categoryId: '27', ...snippet },
+        status: { privacyStatus: 'public', ...status }
+    };
+}
+
+test('trunca título acima de 100 caracteres e registra o ajuste', () => {
+    const { requestBody, report } = buildVideoMetadata(createVideo({ title: 'a'.repeat(150) }));
+
+    assert.equal(requestBody.snippet.title.length, MAX_TITLE_LENGTH);
+    assert.ok(report.isValid);
+    assert.ok(report.warnings.some(warning => warning.includes('Título truncado')));
+});
+
+test('trunca descrição em 5000 bytes sem quebrar caracteres multibyte', () => {
+    const { requestBody, report } = buildVideoMetadata(createVideo({ description: 'é'.repeat(4000) }));
+    const bytes = Buffer.byteLength(requestBody.snippet.description, 'utf8');
+
+    assert.ok(bytes <= MAX_DESCRIPTION_BYTES);
+    assert.ok(!requestBody.snippet.description.includes('�'));
+    assert.ok(report.isValid);
+    assert.ok(report.warnings.some(warning => warning.includes('Descrição truncada')));
+});
+
+test('descarta tags que estouram o limite de 500 caracteres', () => {
+    const tags = Array.from({ length: 60 }, (_, index) => `tag número ${index}`).join(',');
+    const { requestBody, report } = buildVideoMetadata(createVideo({ tags }));
+
+    assert.ok(getTagsLength(requestBody.snippet.tags) <= MAX_TAGS_LENGTH);
+    assert.ok(requestBody.snippet.tags.length < 60);
+    assert.ok(report.warnings.some(warning => warning.includes('ignorada')));
+});
+
+test('agendamento força vídeo privado com publishAt', () => {
+    const publishAt = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000).toISOString();
+    const { requestBody, report } = buildVideoMetadata(createVideo({ privacy: 'Public', publishAt }));
+
+    assert.equal(requestBody.status.privacyStatus, 'private');
+    assert.equal(requestBody.status.publishAt, publishAt);
+    assert.ok(report.isValid);
+});
+
+test('categoria desconhecida no Notion usa Education (27)', () => {
+    const { requestBody } = buildVideoMetadata(createVideo({ category: 'Categoria Inventada' }));
+
+    assert.equal(requestBody.snippet.categoryId, '27');
+});
+
+test('validateMetadata aponta categoria inválida como aviso', () => {
+    const report = validateMetadata(createRequestBody({ categoryId: '999' }));
+
+    assert.ok(report.isValid);
+    assert.ok(report.warnings.some(warning => warning.includes('Categoria 999')));
+});
+
+test('validateMetadata rejeita limites estourados', () => {
+    const report = validateMetadata(createRequestBody({
+        title: 'a'.repeat(MAX_TITLE_LENGTH + 1),
+        description: 'b'.repeat(MAX_DESCRIPTION_BYTES + 1),
+        tags: ['c'.repeat(MAX_TAGS_LENGTH + 1)]
+    }));
+
+    assert.equal(report.isValid, false);
+    assert.equal(report.errors.length, 3);
+});
+
+test('validateMetadata rejeita agendamento público', () => {
+    const report = validateMetadata(createRequestBody({}, { privacyStatus: 'public', publishAt: '2030-01-01T12:00:00Z' }));
+
+    assert.equal(report.isValid, false);
+    assert.ok(report.errors.some(error => error.includes('agendados precisam ser privados')));
+});
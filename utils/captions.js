@@ -0,0 +1,332 @@
+const fs = require('fs');
+const path = require('path');
+const {
+    extractFileIdFromUrl,
+    findSiblingFiles,
+    downloadDriveFile,
+    ensureTempDirectory,
+    cleanupTempFile
+} = require('./drive-downloader');
+const { uploadCaption } = require('./youtube-uploader');
+require('dotenv').config();
+
+// Idioma usado quando o nome do arquivo não traz sufixo (ex: Sermão.srt)
+const DEFAULT_CAPTION_LANGUAGE = process.env.CAPTION_DEFAULT_LANGUAGE || 'pt-BR';
+
+const SUBTITLE_EXTENSIONS = ['.srt', '.vtt'];
+
+// Ex: "Sermão.pt-BR.srt", "Sermão.en.vtt", "Sermão.pt_br.srt"
+const LANGUAGE_SUFFIX_PATTERN = /\.([a-z]{2,3}(?:[-_][a-z0-9]{2,4})?)\.(srt|vtt)$/i;
+
+// Nomes de idiomas do ICU: códigos sem nome (ex: "dom" de "Culto.dom.srt") não são idioma
+const LANGUAGE_NAMES = new Intl.DisplayNames(['pt-BR'], { type: 'language', fallback: 'none' });
+
+// Ex: "00:01:02,345", "00:01:02.345" ou "01:02.345"
+const TIMESTAMP_PATTERN = /^(?:(\d{1,2}):)?(\d{2}):(\d{2})[,.](\d{3})$/;
+
+/**
+ * Indica se o nome de arquivo é uma legenda suportada
+ * @param {string} fileName - Nome do arquivo
+ * @returns {boolean} - Se é .srt ou .vtt
+ */
+function isSubtitleFile(fileName) {
+    return SUBTITLE_EXTENSIONS.includes(path.extname(fileName || '').toLowerCase());
+}
+
+/**
+ * Normaliza código de idioma (pt_br → pt-BR, EN → en)
+ * @param {string} code - Código informado
+ * @returns {string} - Código BCP-47
+ */
+function normalizeLanguageCode(code) {
+    const [language, region] = code.replace('_', '-').split('-');
+    return region ? `${language.toLowerCase()}-${region.toUpperCase()}` : language.toLowerCase();
+}
+
+/**
+ * Indica se o código é um idioma BCP-47 conhecido (ex: en, pt-BR; não "dom")
+ * @param {string} code - Código normalizado
+ * @returns {boolean} - Se é idioma reconhecido
+ */
+function isKnownLanguage(code) {
+    try {
+        return Boolean(LANGUAGE_NAMES.of(code));
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Extrai o sufixo de idioma do nome, se for um idioma conhecido
+ * @param {string} fileName - Nome do arquivo (ex: Sermão.en.srt)
+ * @returns {string|null} - Código normalizado ou null
+ */
+function getLanguageSuffix(fileName) {
+    const match = LANGUAGE_SUFFIX_PATTERN.exec(fileName || '');
+    if (!match) return null;
+
+    const code = normalizeLanguageCode(match[1]);
+    return isKnownLanguage(code) ? code : null;
+}
+
+/**
+ * Infere idioma da legenda pelo sufixo do nome
+ * @param {string} fileName - Nome do arquivo (ex: Sermão.en.srt)
+ * @returns {string} - Código do idioma
+ */
+function inferCaptionLanguage(fileName) {
+    return getLanguageSuffix(fileName) || DEFAULT_CAPTION_LANGUAGE;
+}
+
+/**
+ * Remove extensão e sufixo de idioma para comparar com o nome do vídeo
+ * @param {string} fileName - Nome da legenda
+ * @returns {string} - Nome base
+ */
+function getSubtitleBaseName(fileName) {
+    return getLanguageSuffix(fileName)
+        ? fileName.replace(LANGUAGE_SUFFIX_PATTERN, '')
+        : fileName.replace(/\.(srt|vtt)$/i, '');
+}
+
+/**
+ * Converte timestamp de legenda para milissegundos
+ * @param {string} value - Timestamp
+ * @returns {number|null} - Milissegundos ou null se inválido
+ */
+function parseTimestamp(value) {
+    const match = TIMESTAMP_PATTERN.exec(value.trim());
+    if (!match) return null;
+
+    const [, hours = '0', minutes, seconds, millis] = match;
+    return ((parseInt(hours) * 60 + parseInt(minutes)) * 60 + parseInt(seconds)) * 1000 + parseInt(millis);
+}
+
+/**
+ * Formata milissegundos como timestamp SRT ou VTT
+ * @param {number} ms - Milissegundos
+ * @param {string} format - 'srt' ou 'vtt'
+ * @returns {string} - Timestamp formatado
+ */
+function formatTimestamp(ms, format) {
+    const pad = (value, size = 2) => String(value).padStart(size, '0');
+    const hours = Math.floor(ms / 3600000);
+    const minutes = Math.floor((ms % 3600000) / 60000);
+    const seconds = Math.floor((ms % 60000) / 1000);
+    const separator = format === 'srt' ? ',' : '.';
+
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+/**
+ * Lê cues de uma legenda SRT ou VTT
+ * @param {string} content - Conteúdo do arquivo
+ * @param {string} format - 'srt' ou 'vtt'
+ * @returns {Object} - { cues, warnings }
+ */
+function parseSubtitle(content, format) {
+    const warnings = [];
+    const text = content.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').trim();
+
+    if (format === 'vtt' && !text.startsWith('WEBVTT')) {
+        warnings.push('⚠️ Cabeçalho WEBVTT ausente (será adicionado)');
+    }
+
+    const blocks = text.split(/\n{2,}/);
+    const cues = [];
+
+    blocks.forEach((block, index) => {
+        const lines = block.split('\n');
+
+        // Blocos de metadados do VTT
+        if (/^(WEBVTT|NOTE|STYLE|REGION)\b/.test(lines[0])) return;
+
+        const timingIndex = lines.findIndex(line => line.includes('-->'));
+        if (timingIndex === -1) {
+            warnings.push(`⚠️ Bloco ${index + 1} sem marcação de tempo (ignorado)`);
+            return;
+        }
+
+        const [startRaw, endRaw] = lines[timingIndex].split('-->');
+        const [endValue, ...settings] = endRaw.trim().split(/\s+/);
+        const start = parseTimestamp(startRaw);
+        const end = parseTimestamp(endValue);
+        const cueText = lines.slice(timingIndex + 1).join('\n').trim();
+
+        if (start === null || end === null) {
+            throw new Error(`❌ Tempo inválido no bloco ${index + 1}: "${lines[timingIndex]}"`);
+        }
+
+        if (end <= start) {
+            throw new Error(`❌ Fim antes do início no bloco ${index + 1}: "${lines[timingIndex]}"`);
+        }
+
+        if (!cueText) {
+            warnings.push(`⚠️ Bloco ${index + 1} sem texto (ignorado)`);
+            return;
+        }
+
+        cues.push({ start, end, settings: settings.join(' '), text: cueText });
+    });
+
+    if (cues.length === 0) {
+        throw new Error('❌ Nenhuma legenda válida encontrada no arquivo');
+    }
+
+    // Garantir ordem cronológica
+    const sorted = [...cues].sort((a, b) => a.start - b.start);
+    if (sorted.some((cue, i) => cue !== cues[i])) {
+        warnings.push('⚠️ Legendas fora de ordem (reordenadas)');
+    }
+
+    return { cues: sorted, warnings };
+}
+
+/**
+ * Valida e normaliza legenda (BOM, quebras de linha, numeração, timestamps)
+ * @param {string} content - Conteúdo original
+ * @param {string} format - 'srt' ou 'vtt'
+ * @returns {Object} - { content, cueCount, warnings }
+ */
+function normalizeSubtitle(content, format) {
+    const { cues, warnings } = parseSubtitle(content, format);
+
+    const body = cues.map((cue, index) => {
+        const timing = `${formatTimestamp(cue.start, format)} --> ${formatTimestamp(cue.end, format)}`;
+        return format === 'srt'
+            ? `${index + 1}\n${timing}\n${cue.text}`
+            : `${timing}${cue.settings ? ' ' + cue.settings : ''}\n${cue.text}`;
+    }).join('\n\n');
+
+    const normalized = format === 'vtt' ? `WEBVTT\n\n${body}\n` : `${body}\n`;
+
+    return { content: normalized, cueCount: cues.length, warnings };
+}
+
+/**
+ * Extrai links de legendas da propriedade rich_text "Subtitles"
+ * Links que não são do Drive são ignorados
+ * @param {Array} richTextArray - Array rich_text do Notion
+ * @returns {Array} - [{ name, url }]
+ */
+function extractSubtitleLinks(richTextArray) {
+    if (!richTextArray || !Array.isArray(richTextArray)) {
+        return [];
+    }
+
+    return richTextArray
+        .filter(item => item.href)
+        .map(item => ({ name: item.plain_text.trim(), url: item.href }))
+        .filter(item => isSubtitleFile(item.name))
+        .filter(item => {
+            try {
+                extractFileIdFromUrl(item.url);
+                return true;
+            } catch (error) {
+                console.warn(`⚠️ Legenda "${item.name}" ignorada: link não é do Google Drive`);
+                return false;
+            }
+        });
+}
+
+/**
+ * Cria rich_text com um link por legenda (para a propriedade "Subtitles")
+ * @param {Array} subtitles - [{ name, link }]
+ * @returns {Array} - Array rich_text do Notion
+ */
+function createSubtitleRichText(subtitles) {
+    const richText = [];
+
+    subtitles.forEach((subtitle, index) => {
+        if (index > 0) {
+            richText.push({ type: 'text', text: { content: '\n' } });
+        }
+        richText.push({ type: 'text', text: { content: subtitle.name, link: { url: subtitle.link } } });
+    });
+
+    return richText;
+}
+
+/**
+ * Envia todas as legendas do vídeo para o YouTube
+ * Usa os links do Notion; se não houver, procura arquivos ao lado do vídeo no Drive
+ * @param {string} videoId - ID do vídeo no YouTube
+ * @param {Object} videoData - Dados do vídeo
+ * @returns {Array} - Resultado por legenda
+ */
+async function uploadSubtitles(videoId, videoData) {
+    let subtitles = (videoData.subtitles || []).map(subtitle => ({
+        name: subtitle.name,
+        url: subtitle.url
+    }));
+
+    if (subtitles.length === 0 && videoData.driveLink) {
+        try {
+            const { files } = await findSiblingFiles(extractFileIdFromUrl(videoData.driveLink));
+            subtitles = files
+                .filter(file => isSubtitleFile(file.name))
+                .map(file => ({ name: file.name, fileId: file.id }));
+        } catch (error) {
+            console.warn('⚠️ Erro ao procurar legendas no Drive:', error.message);
+        }
+    }
+
+    if (subtitles.length === 0) {
+        console.log('📭 Nenhuma legenda encontrada');
+        return [];
+    }
+
+    console.log(`💬 Enviando ${subtitles.length} legenda(s)...`);
+
+    const tempDir = ensureTempDirectory();
+    const results = [];
+
+    for (const subtitle of subtitles) {
+        const format = path.extname(subtitle.name).toLowerCase().slice(1);
+        const language = inferCaptionLanguage(subtitle.name);
+        let filePath = null;
+
+        // Falha em uma legenda (inclusive link inválido) nunca derruba o upload já feito
+        try {
+            console.log(`   💬 ${subtitle.name} (${language})`);
+
+            const fileId = subtitle.fileId || extractFileIdFromUrl(subtitle.url);
+            filePath = path.join(tempDir, `caption_${fileId}.${format}`);
+            await downloadDriveFile(fileId, filePath);
+            const normalized = normalizeSubtitle(fs.readFileSync(filePath, 'utf8'), format);
+            normalized.warnings.forEach(warning => console.warn(`      ${warning}`));
+            fs.writeFileSync(filePath, normalized.content);
+
+            const result = await uploadCaption(videoId, {
+                filePath,
+                language,
+                name: language === DEFAULT_CAPTION_LANGUAGE ? '' : language
+            });
+
+            results.push({ name: subtitle.name, language, cueCount: normalized.cueCount, ...result });
+
+        } catch (error) {
+            console.warn(`   ⚠️ Legenda ${subtitle.name} ignorada: ${error.message}`);
+            results.push({ name: subtitle.name, language, success: false, error: error.message });
+
+        } finally {
+            if (filePath) cleanupTempFile(filePath);
+        }
+    }
+
+    const sent = results.filter(result => result.success).length;
+    console.log(`✅ ${sent}/${results.length} legenda(s) enviada(s)`);
+
+    return results;
+}
+
+module.exports = {
+    uploadSubtitles,
+    normalizeSubtitle,
+    parseSubtitle,
+    inferCaptionLanguage,
+    getSubtitleBaseName,
+    isSubtitleFile,
+    extractSubtitleLinks,
+    createSubtitleRichText
+};
@@ -3,6 +3,9 @@ const fs = require('fs');
 const path = require('path');
 require('dotenv').config();
 const axios = require('axios');
+const { downloadFileResumable, getDownloadUrl, computeMd5 } = require('./resumable-download');
+const { ensureFreeSpace, touchCachedFile, forgetCachedFile, evictCachedFiles } = require('./temp-manager');
+const { detectContainer, detectFileContainer, resolveMediaType } = require('./media-type');
 
 // Configurar autenticação Google
 const oauth2Client = new google.auth.OAuth2(
@@ -17,6 +20,9 @@ oauth2Client.setCredentials({
 
 const drive = google.drive({ version: 'v3', auth: oauth2Client });
 
+// Download por link público (sem OAuth) só quando habilitado: DRIVE_PUBLIC_FALLBACK=true
+const DRIVE_PUBLIC_FALLBACK = process.env.DRIVE_PUBLIC_FALLBACK === 'true';
+
 /**
  * Extrai o ID do arquivo de diferentes formatos de URL do Google Drive
  * @param {string} url - URL do Google Drive
@@ -56,13 +62,15 @@ async function getFileInfo(fileId) {
         
         const response = await drive.files.get({
             fileId: fileId,
-            fields: 'name, mimeType, size, videoMediaMetadata'
+            fields: 'name, mimeType, size, md5Checksum, videoMediaMetadata',
+            supportsAllDrives: true
         });
 
         const fileInfo = {
             name: response.data.name,
             mimeType: response.data.mimeType,
             size: parseInt(response.data.size),
+            md5Checksum: response.data.md5Checksum || null,
             sizeFormatted: formatFileSize(parseInt(response.data.size))
         };
 
@@ -88,6 +96,15 @@ async function getFileInfo(fileId) {
     }
 }
 
+/**
+ * Obtém access token válido (renovado automaticamente pelo cliente OAuth2)
+ * @returns {string} - Access token
+ */
+async function getAccessToken() {
+    const { token } = await oauth2Client.getAccessToken();
+    return token;
+}
+
 /**
  * Formata o tamanho do arquivo para leitura humana
  * @param {number} bytes - Tamanho em bytes
@@ -118,12 +135,198 @@ function ensureTempDirectory() {
     return tempDir;
 }
 
+/**
+ * Salva stream em arquivo com progresso, checando os primeiros bytes
+ * @param {Stream} stream - Conteúdo do arquivo
+ * @param {string} filePath - Destino
+ * @param {Object} options - { totalBytes, rejectHtml }
+ * @returns {Object} - { bytes, detected }
+ */
+function saveStream(stream, filePath, options = {}) {
+    const { totalBytes = 0, rejectHtml = false } = options;
+    const startTime = Date.now();
+    
+    return new Promise((resolve, reject) => {
+        const writeStream = fs.createWriteStream(filePath);
+        let downloadedBytes = 0;
+        let detected = null;
+        
+        const fail = (error) => {
+            stream.destroy();
+            writeStream.destroy();
+            reject(error);
+        };
+        
+        stream.on('data', (chunk) => {
+            if (!detected) {
+                detected = detectContainer(chunk);
+                if (rejectHtml && detected.kind === 'html') {
+                    return fail(new Error('❌ Drive retornou uma página HTML em vez do arquivo'));
+                }
+            }
+            
+            downloadedBytes += chunk.length;
+            if (totalBytes > 0) {
+                const progress = ((downloadedBytes / totalBytes) * 100).toFixed(1);
+                process.stdout.write(`\r📥 Progresso: ${progress}% (${formatFileSize(downloadedBytes)}/${formatFileSize(totalBytes)})`);
+            } else {
+                process.stdout.write(`\r📥 Baixado: ${formatFileSize(downloadedBytes)}`);
+            }
+        });
+        
+        stream.on('error', (error) => {
+            console.error('\n❌ Erro no stream:', error.message);
+            fail(error);
+        });
+        
+        writeStream.on('error', (error) => {
+            console.error('\n❌ Erro ao salvar arquivo:', error.message);
+            fail(error);
+        });
+        
+        writeStream.on('finish', () => {
+            const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+            console.log(`\n✅ Download concluído em ${duration}s`);
+            resolve({ bytes: downloadedBytes, detected: detected || detectContainer(Buffer.alloc(0)) });
+        });
+        
+        stream.pipe(writeStream);
+    });
+}
+
+/**
+ * Baixa o conteúdo pela API autenticada (files.get alt=media)
+ * Funciona com arquivos privados, drives compartilhados e arquivos grandes
+ * Download retomável (.part + Range) e conferido com size/md5Checksum do Drive
+ * @param {string} fileId - ID do arquivo
+ * @param {string} filePath - Destino
+ * @param {Object} fileInfo - Informações já obtidas com getFileInfo (opcional)
+ * @returns {Object} - { fileInfo, detected, md5Checksum }
+ */
+async function downloadWithApi(fileId, filePath, fileInfo = null) {
+    fileInfo = fileInfo || await getFileInfo(fileId);
+    
+    console.log('⬇️ Baixando pela API do Drive...');
+    const startTime = Date.now();
+    const result = await downloadFileResumable({
+        fileId: fileId,
+        filePath: filePath,
+        fileSize: fileInfo.size,
+        md5Checksum: fileInfo.md5Checksum,
+        getAccessToken,
+        onProgress: (downloadedBytes) => {
+            const progress = ((downloadedBytes / fileInfo.size) * 100).toFixed(1);
+            process.stdout.write(`\r📥 Progresso: ${progress}% (${formatFileSize(downloadedBytes)}/${fileInfo.sizeFormatted})`);
+        }
+    });
+    
+    const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+    console.log(`\n✅ Download concluído em ${duration}s`);
+    
+    return { fileInfo, detected: detectFileContainer(filePath), md5Checksum: result.md5Checksum };
+}
+
+/**
+ * Fallback explícito: download por link público (arquivo compartilhado com "qualquer pessoa com o link")
+ * O tipo do conteúdo é identificado pelos primeiros bytes; páginas HTML (erro/aviso de vírus) são rejeitadas
+ * @param {string} fileId - ID do arquivo
+ * @param {string} filePath - Destino
+ * @returns {Object} - { bytes, detected }
+ */
+async function downloadPublicFile(fileId, filePath) {
+    const downloadUrls = [
+        `https://drive.usercontent.google.com/download?id=${fileId}&export=download&confirm=t`,
+        `https://drive.google.com/uc?export=download&id=${fileId}&confirm=t`
+    ];
+    
+    for (let i = 0; i < downloadUrls.length; i++) {
+        try {
+            console.log(`🔗 Link público ${i + 1}/${downloadUrls.length}...`);
+            
+            const response = await axios({
+                method: 'GET',
+                url: downloadUrls[i],
+                responseType: 'stream',
+                timeout: 60000, // 60 segundos sem resposta
+                maxRedirects: 5
+            });
+            
+            const totalBytes = parseInt(response.headers['content-length']) || 0;
+            return await saveStream(response.data, filePath, { totalBytes, rejectHtml: true });
+            
+        } catch (error) {
+            console.log(`❌ Link público ${i + 1} falhou: ${error.message}`);
+            
+            if (fs.existsSync(filePath)) {
+                fs.unlinkSync(filePath);
+            }
+            
+            if (i === downloadUrls.length - 1) {
+                throw error;
+            }
+        }
+    }
+}
+
+/**
+ * Reaproveita vídeo já baixado (cache) se tamanho e MD5 conferem com o Drive
+ * @param {string} filePath - Caminho esperado do vídeo
+ * @param {Object} fileInfo - Informações do Drive (size, md5Checksum)
+ * @returns {Object|null} - { fileInfo, detected, md5Checksum, cached } ou null
+ */
+async function reuseCachedDownload(filePath, fileInfo) {
+    if (!fs.existsSync(filePath) || fs.statSync(filePath).size !== fileInfo.size) {
+        return null;
+    }
+    
+    if (fileInfo.md5Checksum) {
+        console.log('🔐 Conferindo vídeo do cache...');
+        if (await computeMd5(filePath) !== fileInfo.md5Checksum) {
+            return null;
+        }
+    }
+    
+    console.log('♻️ Vídeo já baixado e íntegro, reaproveitando do cache');
+    return { fileInfo, detected: detectFileContainer(filePath), md5Checksum: fileInfo.md5Checksum, cached: true };
+}
+
+/**
+ * Nome local do vídeo baixado
+ * @param {string} fileId - ID do arquivo
+ * @param {string} extension - Extensão (ex: .mov); vazio quando desconhecida
+ * @returns {string} - Nome do arquivo na pasta temp
+ */
+function buildLocalFileName(fileId, extension) {
+    return `video_${fileId}${(extension || '').toLowerCase()}`;
+}
+
+/**
+ * Localiza vídeo já baixado pelo ID, com qualquer extensão
+ * (após o download o arquivo é renomeado para a extensão do contêiner detectado)
+ * @param {string} tempDir - Pasta temp
+ * @param {string} fileId - ID do arquivo
+ * @returns {string|null} - Caminho do vídeo em cache ou null
+ */
+function findCachedFile(tempDir, fileId) {
+    const base = buildLocalFileName(fileId, '');
+    const fileName = fs.readdirSync(tempDir).find(name => {
+        // Só "video_<id>" ou "video_<id>.<ext>" (nunca .part/.part.json de download em andamento)
+        const extension = name.slice(base.length);
+        return name.startsWith(base) && (extension === '' || extension === path.extname(name)) && !['.part', '.tmp'].includes(extension);
+    });
+    
+    return fileName ? path.join(tempDir, fileName) : null;
+}
+
 /**
  * Baixa arquivo do Google Drive
  * @param {string} driveUrl - URL do Google Drive
+ * @param {Object} options - { publicFallback: tentar link público se a API falhar (padrão DRIVE_PUBLIC_FALLBACK) }
  * @returns {Object} - Informações do arquivo baixado
  */
-async function downloadFromDrive(driveUrl) {
+async function downloadFromDrive(driveUrl, options = {}) {
+    const { publicFallback = DRIVE_PUBLIC_FALLBACK } = options;
+    
     try {
         console.log('📥 Iniciando download do Google Drive...');
         
@@ -131,152 +334,120 @@ async function downloadFromDrive(driveUrl) {
         const fileId = extractFileIdFromUrl(driveUrl);
         console.log(`🔍 ID extraído: ${fileId}`);
         
-        // 2. Preparar pasta e caminho do arquivo
+        // 2. Metadados do Drive (nome e tipo originais); sem eles só o link público resta
+        let fileInfo = null;
+        let infoError = null;
+        try {
+            fileInfo = await getFileInfo(fileId);
+        } catch (error) {
+            if (!publicFallback) {
+                throw error;
+            }
+            infoError = error;
+        }
+        
+        // 3. Preparar pasta e caminho do arquivo (ID evita colisões; extensão vem do nome original)
         const tempDir = ensureTempDirectory();
-        const fileName = `video_${fileId}.mp4`; // Nome genérico
-        const filePath = path.join(tempDir, fileName);
+        let fileName = buildLocalFileName(fileId, path.extname(fileInfo?.name || ''));
+        let filePath = path.join(tempDir, fileName);
         
-        // 3. Remover arquivo existente se houver
-        if (fs.existsSync(filePath)) {
-            fs.unlinkSync(filePath);
+        // 4. Reaproveitar vídeo do cache (procurado pelo ID) se ainda confere com o Drive; senão remover (o .part é mantido para retomar)
+        const cachedPath = findCachedFile(tempDir, fileId);
+        let result = cachedPath && fileInfo ? await reuseCachedDownload(cachedPath, fileInfo) : null;
+        
+        if (result) {
+            filePath = cachedPath;
+            fileName = path.basename(cachedPath);
+        } else if (cachedPath) {
+            fs.unlinkSync(cachedPath);
+            forgetCachedFile(cachedPath);
             console.log('🗑️ Arquivo anterior removido');
         }
         
-        // 4. Tentar múltiplas URLs de download
-        const downloadUrls = [
-            `https://drive.google.com/uc?export=download&id=${fileId}`,
-            `https://docs.google.com/uc?export=download&id=${fileId}`,
-            `https://drive.usercontent.google.com/download?id=${fileId}&export=download`,
-            `https://drive.google.com/uc?id=${fileId}&export=download`
-        ];
-        
-        console.log('⬇️ Testando URLs de download...');
-        const startTime = Date.now();
+        // 5. Espaço para o que falta baixar + folga (libera cache antigo se preciso)
+        if (!result) {
+            const partPath = `${filePath}.part`;
+            const partBytes = fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+            ensureFreeSpace((fileInfo?.size || 0) - partBytes, { keep: [filePath] });
+        }
         
-        for (let i = 0; i < downloadUrls.length; i++) {
+        // 6. Download autenticado; link público só se habilitado explicitamente
+        if (!result) {
             try {
-                console.log(`🔗 Tentativa ${i + 1}: Testando URL...`);
-                
-                const response = await axios({
-                    method: 'GET',
-                    url: downloadUrls[i],
-                    responseType: 'stream',
-                    timeout: 60000, // 60 segundos
-                    headers: {
-                        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-                        'Accept': '*/*',
-                        'Accept-Encoding': 'gzip, deflate, br',
-                        'Accept-Language': 'en-US,en;q=0.9',
-                        'Cache-Control': 'no-cache',
-                        'Pragma': 'no-cache'
-                    },
-                    maxRedirects: 5,
-                    validateStatus: function (status) {
-                        return status >= 200 && status < 400; // Aceita redirects
-                    }
-                });
-                
-                // Verificar se é realmente um arquivo de vídeo (não uma página de erro)
-                const contentType = response.headers['content-type'] || '';
-                const contentLength = response.headers['content-length'] || 0;
-                
-                console.log(`📊 Status: ${response.status}`);
-                console.log(`📋 Content-Type: ${contentType}`);
-                console.log(`📐 Content-Length: ${contentLength} bytes`);
-                
-                // Se retornou HTML, é provável que seja página de erro
-                if (contentType.includes('text/html')) {
-                    console.log(`❌ URL ${i + 1}: Retornou HTML (página de erro)`);
-                    continue;
-                }
-                
-                // Se chegou aqui, parece ser um arquivo válido
-                console.log(`✅ URL ${i + 1} funcionou! Iniciando download...`);
-                
-                // 5. Fazer download com progress
-                await new Promise((resolve, reject) => {
-                    const writeStream = fs.createWriteStream(filePath);
-                    let downloadedBytes = 0;
-                    const totalBytes = parseInt(contentLength) || 0;
-                    
-                    response.data.on('data', (chunk) => {
-                        downloadedBytes += chunk.length;
-                        if (totalBytes > 0) {
-                            const progress = ((downloadedBytes / totalBytes) * 100).toFixed(1);
-                            process.stdout.write(`\r📥 Progresso: ${progress}% (${formatFileSize(downloadedBytes)}/${formatFileSize(totalBytes)})`);
-                        } else {
-                            process.stdout.write(`\r📥 Baixado: ${formatFileSize(downloadedBytes)}`);
-                        }
-                    });
-                    
-                    response.data.pipe(writeStream);
-                    
-                    writeStream.on('finish', () => {
-                        const duration = ((Date.now() - startTime) / 1000).toFixed(1);
-                        console.log(`\n✅ Download concluído em ${duration}s`);
-                        resolve();
-                    });
-                    
-                    writeStream.on('error', (error) => {
-                        console.error('\n❌ Erro ao salvar arquivo:', error.message);
-                        reject(error);
-                    });
-                    
-                    response.data.on('error', (error) => {
-                        console.error('\n❌ Erro no stream:', error.message);
-                        reject(error);
-                    });
-                });
-                
-                // 6. Verificar se arquivo foi criado corretamente
-                if (!fs.existsSync(filePath)) {
-                    throw new Error('❌ Arquivo não foi criado após download');
-                }
-                
-                const finalSize = fs.statSync(filePath).size;
-                console.log(`📁 Arquivo salvo: ${filePath}`);
-                console.log(`📊 Tamanho final: ${formatFileSize(finalSize)}`);
-                
-                // Verificar se arquivo não está vazio
-                if (finalSize === 0) {
-                    fs.unlinkSync(filePath);
-                    throw new Error('❌ Arquivo baixado está vazio');
+                if (infoError) {
+                    throw infoError;
                 }
-                
-                // Verificar se é realmente um arquivo de vídeo (verificação básica)
-                if (finalSize < 1024) { // Menor que 1KB é suspeito
-                    console.warn('⚠️ Arquivo muito pequeno, pode não ser um vídeo válido');
-                }
-                
-                return {
-                    filePath: filePath,
-                    fileName: fileName,
-                    fileSize: finalSize,
-                    fileSizeFormatted: formatFileSize(finalSize),
-                    mimeType: 'video/mp4'
-                };
-                
-            } catch (error) {
-                console.log(`❌ URL ${i + 1} falhou: ${error.message}`);
-                
-                // Limpar arquivo parcial se existir
+                result = await downloadWithApi(fileId, filePath, fileInfo);
+            } catch (apiError) {
                 if (fs.existsSync(filePath)) {
                     fs.unlinkSync(filePath);
                 }
                 
-                // Se não é a última tentativa, continua
-                if (i < downloadUrls.length - 1) {
-                    console.log(`🔄 Tentando próxima URL...`);
-                    continue;
-                } else {
-                    // Era a última tentativa
-                    throw error;
+                // Arquivo corrompido não deve ser substituído por outra fonte sem verificação
+                if (!publicFallback || apiError.code === 'CHECKSUM_MISMATCH') {
+                    throw apiError;
                 }
+                
+                console.log(`⚠️ Download pela API falhou (${apiError.message}), tentando link público...`);
+                result = await downloadPublicFile(fileId, filePath);
             }
         }
         
-        // Se chegou aqui, todas as URLs falharam
-        throw new Error('❌ Todas as URLs de download falharam');
+        // 7. Verificar se arquivo foi criado corretamente
+        if (!fs.existsSync(filePath)) {
+            throw new Error('❌ Arquivo não foi criado após download');
+        }
+        
+        const finalSize = fs.statSync(filePath).size;
+        
+        // Verificar se arquivo não está vazio
+        if (finalSize === 0) {
+            fs.unlinkSync(filePath);
+            throw new Error('❌ Arquivo baixado está vazio');
+        }
+        
+        // 8. Tipo real pelo conteúdo; extensão local acompanha o contêiner detectado
+        if (result.detected.kind !== 'video') {
+            console.warn('⚠️ Conteúdo não reconhecido como vídeo pelos primeiros bytes');
+        }
+        
+        const mediaType = resolveMediaType({
+            detected: result.detected,
+            mimeType: fileInfo?.mimeType,
+            fileName: fileInfo?.name
+        });
+        
+        if (mediaType.extension && mediaType.extension !== path.extname(fileName).toLowerCase()) {
+            const renamedPath = path.join(tempDir, buildLocalFileName(fileId, mediaType.extension));
+            fs.renameSync(filePath, renamedPath);
+            filePath = renamedPath;
+            fileName = path.basename(renamedPath);
+        }
+        
+        if (fileInfo?.mimeType && fileInfo.mimeType !== mediaType.mimeType) {
+            console.log(`🔎 Tipo informado pelo Drive (${fileInfo.mimeType}) difere do conteúdo (${mediaType.mimeType})`);
+        }
+        
+        // 9. Registrar no cache LRU e manter o cache dentro do limite
+        touchCachedFile(filePath);
+        evictCachedFiles({ keep: [filePath] });
+        
+        console.log(`📁 Arquivo salvo: ${filePath}`);
+        console.log(`📊 Tamanho final: ${formatFileSize(finalSize)}`);
+        console.log(`🎬 Tipo: ${mediaType.mimeType} (${mediaType.source})`);
+        
+        return {
+            filePath: filePath,
+            fileName: fileName,
+            originalName: fileInfo?.name || null,
+            fileSize: finalSize,
+            fileSizeFormatted: formatFileSize(finalSize),
+            mimeType: mediaType.mimeType,
+            driveMimeType: fileInfo?.mimeType || null,
+            container: mediaType.container,
+            expectedSize: fileInfo?.size || null,
+            md5Checksum: result.md5Checksum || null
+        };
         
     } catch (error) {
         console.error('❌ Erro no download:', error.message);
@@ -284,6 +455,50 @@ async function downloadFromDrive(driveUrl) {
     }
 }
 
+/**
+ * Prepara a transferência Drive → YouTube sem disco (modo streaming)
+ * Lê só os metadados e os primeiros bytes para identificar o contêiner
+ * @param {string} driveUrl - URL do Google Drive
+ * @returns {Object} - Origem do upload (driveFileId, originalName, fileSize, mimeType, md5Checksum)
+ */
+async function prepareDriveStream(driveUrl) {
+    const fileId = extractFileIdFromUrl(driveUrl);
+    const fileInfo = await getFileInfo(fileId);
+    
+    const response = await axios({
+        method: 'GET',
+        url: getDownloadUrl(fileId),
+        responseType: 'arraybuffer',
+        timeout: 60000,
+        headers: {
+            'Authorization': `Bearer ${await getAccessToken()}`,
+            'Range': 'bytes=0-511'
+        }
+    });
+    
+    const detected = detectContainer(Buffer.from(response.data).subarray(0, 512));
+    if (detected.kind === 'html') {
+        throw new Error('❌ Drive retornou uma página HTML em vez do arquivo');
+    }
+    
+    const mediaType = resolveMediaType({ detected, mimeType: fileInfo.mimeType, fileName: fileInfo.name });
+    console.log(`🌊 Origem para streaming: ${fileInfo.name} (${mediaType.mimeType}, ${fileInfo.sizeFormatted})`);
+    
+    return {
+        streamFromDrive: true,
+        driveFileId: fileId,
+        fileName: fileInfo.name,
+        originalName: fileInfo.name,
+        fileSize: fileInfo.size,
+        fileSizeFormatted: fileInfo.sizeFormatted,
+        mimeType: mediaType.mimeType,
+        driveMimeType: fileInfo.mimeType,
+        container: mediaType.container,
+        expectedSize: fileInfo.size,
+        md5Checksum: fileInfo.md5Checksum
+    };
+}
+
 // Função auxiliar para formatar tamanho de arquivo (caso não exista)
 function formatFileSize(bytes) {
     if (bytes === 0) return '0 Bytes';
@@ -294,6 +509,66 @@ function formatFileSize(bytes) {
 }
 
 
+/**
+ * Lista arquivos na mesma pasta que começam com o nome base do arquivo
+ * (ex: "Sermão.jpg" ou "Sermão.pt-BR.srt" ao lado de "Sermão.mp4")
+ * @param {string} fileId - ID do arquivo de vídeo
+ * @returns {Object} - { baseName, files }
+ */
+async function findSiblingFiles(fileId) {
+    const { data: file } = await drive.files.get({
+        fileId: fileId,
+        fields: 'id, name, parents',
+        supportsAllDrives: true
+    });
+    
+    const baseName = file.name.replace(/\.[^/.]+$/, '');
+    const parentId = file.parents && file.parents[0];
+    
+    if (!parentId) {
+        return { baseName, files: [] };
+    }
+    
+    const escapedName = baseName.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+    const response = await drive.files.list({
+        q: `'${parentId}' in parents and name contains '${escapedName}' and trashed=false`,
+        fields: 'files(id, name, mimeType, size, webViewLink)',
+        supportsAllDrives: true,
+        includeItemsFromAllDrives: true,
+        pageSize: 100
+    });
+    
+    const prefix = `${baseName}.`.toLowerCase();
+    const files = (response.data.files || []).filter(sibling =>
+        sibling.id !== fileId && sibling.name.toLowerCase().startsWith(prefix)
+    );
+    
+    return { baseName, files };
+}
+
+/**
+ * Baixa arquivo pequeno (imagem, legenda) usando a API autenticada
+ * @param {string} fileId - ID do arquivo
+ * @param {string} destPath - Caminho de destino
+ * @returns {string} - Caminho do arquivo salvo
+ */
+async function downloadDriveFile(fileId, destPath) {
+    const response = await drive.files.get(
+        { fileId: fileId, alt: 'media', supportsAllDrives: true },
+        { responseType: 'stream' }
+    );
+    
+    await new Promise((resolve, reject) => {
+        const writeStream = fs.createWriteStream(destPath);
+        response.data.on('error', reject);
+        writeStream.on('error', reject);
+        writeStream.on('finish', resolve);
+        response.data.pipe(writeStream);
+    });
+    
+    return destPath;
+}
+
 /**
  * Remove arquivo temporário
  * @param {string} filePath - Caminho do arquivo
@@ -304,6 +579,7 @@ function cleanupTempFile(filePath) {
             fs.unlinkSync(filePath);
             console.log('🗑️ Arquivo temporário removido:', path.basename(filePath));
         }
+        forgetCachedFile(filePath);
     } catch (error) {
         console.warn('⚠️ Erro ao remover arquivo temporário:', error.message);
     }
@@ -330,11 +606,17 @@ function cleanupTempDirectory() {
 
 module.exports = {
     downloadFromDrive,
+    downloadWithApi,
+    prepareDriveStream,
+    downloadPublicFile,
     extractFileIdFromUrl,
     getFileInfo,
     cleanupTempFile,
     cleanupTempDirectory,
-    formatFileSize
+    formatFileSize,
+    findSiblingFiles,
+    downloadDriveFile,
+    ensureTempDirectory
 };
 
 
@@ -342,9 +624,16 @@ module.exports = {
 // 🎯 PRINCIPAIS FUNCIONALIDADES:
 //✅ O QUE FAZ:
 //Extrai ID de qualquer formato de URL do Drive
-//Baixa vídeos com barra de progresso
+//Baixa vídeos pela API autenticada (files.get alt=media) com barra de progresso
+//Download retomável em .part (HTTP Range, segmentos paralelos opcionais)
+//Modo streaming: só metadados e primeiros bytes, conteúdo vai direto ao YouTube
+//Confere tamanho e md5Checksum do Drive antes de liberar para upload
+//Link público só como fallback explícito (DRIVE_PUBLIC_FALLBACK=true)
+//Tipo do conteúdo identificado pelos primeiros bytes (utils/media-type)
+//Mantém nome, extensão e MIME type originais do Drive
 //Valida arquivos (tamanho, tipo, permissões)
 //Gerencia pasta temp automaticamente
+//Reaproveita vídeos do cache (utils/temp-manager) e confere espaço livre antes do download
 //Limpa arquivos após uso
 //🛡️ VALIDAÇÕES:
 //✅ URLs em vários formatos
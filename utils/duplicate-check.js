@@ -0,0 +1,193 @@
+const { google } = require('googleapis');
+const crypto = require('crypto');
+const fs = require('fs');
+const { recordQuotaUsage } = require('./quota-ledger');
+require('dotenv').config();
+
+// Configurar autenticação Google
+const oauth2Client = new google.auth.OAuth2(
+    process.env.GOOGLE_CLIENT_ID,
+    process.env.GOOGLE_CLIENT_SECRET,
+    'http://localhost:3333/oauth/callback'
+);
+
+oauth2Client.setCredentials({
+    refresh_token: process.env.GOOGLE_REFRESH_TOKEN
+});
+
+const youtube = google.youtube({ version: 'v3', auth: oauth2Client });
+
+// Desativar com DUPLICATE_CHECK=false
+const DUPLICATE_CHECK_ENABLED = process.env.DUPLICATE_CHECK !== 'false';
+
+// Quantos uploads recentes do canal comparar
+const DUPLICATE_CHECK_LIMIT = parseInt(process.env.DUPLICATE_CHECK_LIMIT) || 50;
+
+// Mesmo título só bloqueia com DUPLICATE_CHECK_TITLE=true (títulos recorrentes, ex: "Culto de Domingo")
+const DUPLICATE_CHECK_TITLE = process.env.DUPLICATE_CHECK_TITLE === 'true';
+
+// Prefixo da tag (invisível ao público) que identifica o arquivo enviado
+const HASH_TAG_PREFIX = 'ap-md5-';
+
+/**
+ * Calcula hash MD5 do arquivo (em streaming)
+ * @param {string} filePath - Caminho do arquivo
+ * @returns {Promise<string>} - Hash hexadecimal
+ */
+function computeFileHash(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('md5');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+/**
+ * Monta tag com o hash do arquivo
+ * @param {string} fileHash - Hash MD5
+ * @returns {string} - Tag (ex: ap-md5-1a2b3c4d5e6f)
+ */
+function buildHashTag(fileHash) {
+    return `${HASH_TAG_PREFIX}${fileHash.slice(0, 16)}`;
+}
+
+/**
+ * Normaliza título para comparação
+ * @param {string} title - Título
+ * @returns {string} - Título normalizado
+ */
+function normalizeTitle(title) {
+    return (title || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Lista os uploads mais recentes do canal
+ * @param {number} limit - Quantidade máxima
+ * @returns {Array} - [{ id, title, tags }]
+ */
+async function listRecentUploads(limit = DUPLICATE_CHECK_LIMIT) {
+    recordQuotaUsage('channels.list');
+    const channel = await youtube.channels.list({
+        part: ['contentDetails'],
+        mine: true
+    });
+
+    const uploadsPlaylistId = channel.data.items?.[0]?.contentDetails?.relatedPlaylists?.uploads;
+    if (!uploadsPlaylistId) return [];
+
+    const videoIds = [];
+    let pageToken = undefined;
+
+    do {
+        recordQuotaUsage('playlistItems.list');
+        const response = await youtube.playlistItems.list({
+            part: ['contentDetails'],
+            playlistId: uploadsPlaylistId,
+            maxResults: Math.min(50, limit - videoIds.length),
+            pageToken
+        });
+
+        (response.data.items || []).forEach(item => videoIds.push(item.contentDetails.videoId));
+        pageToken = response.data.nextPageToken;
+    } while (pageToken && videoIds.length < limit);
+
+    const videos = [];
+    for (let i = 0; i < videoIds.length; i += 50) {
+        recordQuotaUsage('videos.list');
+        const response = await youtube.videos.list({
+            part: ['snippet'],
+            id: videoIds.slice(i, i + 50)
+        });
+
+        (response.data.items || []).forEach(video => videos.push({
+            id: video.id,
+            title: video.snippet.title,
+            tags: video.snippet.tags || []
+        }));
+    }
+
+    return videos;
+}
+
+/**
+ * Monta o resultado de uma duplicata encontrada
+ * @param {Object} video - Vídeo do canal ({ id, title })
+ * @param {string} matchedBy - 'hash' ou 'title'
+ * @returns {Object} - { videoId, videoUrl, title, matchedBy }
+ */
+function toDuplicate(video, matchedBy) {
+    return {
+        videoId: video.id,
+        videoUrl: `https://www.youtube.com/watch?v=${video.id}`,
+        title: video.title,
+        matchedBy
+    };
+}
+
+/**
+ * Procura no canal vídeo com mesmo hash de arquivo (ou mesmo título, se DUPLICATE_CHECK_TITLE=true)
+ * Hash tem prioridade; mesmo título sem DUPLICATE_CHECK_TITLE só gera aviso
+ * @param {Object} criteria - { title, hashTag }
+ * @returns {Object|null} - { videoId, videoUrl, title, matchedBy } ou null
+ */
+async function findDuplicateVideo(criteria) {
+    if (!DUPLICATE_CHECK_ENABLED) return null;
+
+    console.log(`🔎 Verificando duplicatas nos últimos ${DUPLICATE_CHECK_LIMIT} uploads do canal...`);
+
+    const title = normalizeTitle(criteria.title);
+    const uploads = await listRecentUploads();
+    let titleMatch = null;
+
+    for (const video of uploads) {
+        if (criteria.hashTag && video.tags.includes(criteria.hashTag)) {
+            return toDuplicate(video, 'hash');
+        }
+
+        if (!titleMatch && title && normalizeTitle(video.title) === title) {
+            titleMatch = video;
+        }
+    }
+
+    if (titleMatch) {
+        if (DUPLICATE_CHECK_TITLE) {
+            return toDuplicate(titleMatch, 'title');
+        }
+        console.warn(`⚠️ Já existe vídeo com o mesmo título no canal: ${toDuplicate(titleMatch, 'title').videoUrl} (enviando mesmo assim)`);
+    }
+
+    console.log(`✅ Nenhuma duplicata entre ${uploads.length} vídeo(s)`);
+    return null;
+}
+
+module.exports = {
+    findDuplicateVideo,
+    computeFileHash,
+    buildHashTag,
+    listRecentUploads,
+    DUPLICATE_CHECK_ENABLED,
+    DUPLICATE_CHECK_LIMIT,
+    DUPLICATE_CHECK_TITLE
+};
+
+/*
+🎯 PRINCIPAIS FUNCIONALIDADES:
+🔎 VERIFICAÇÃO DE DUPLICATAS:
+Compara com os uploads recentes do canal antes do videos.insert
+Duplicata por hash do arquivo
+Mesmo título (normalizado) só bloqueia com DUPLICATE_CHECK_TITLE=true; senão é aviso
+🏷️ HASH DO ARQUIVO:
+✅ MD5 calculado em streaming
+✅ Gravado como tag ap-md5-<hash> no vídeo enviado
+⚙️ CONFIGURAÇÃO:
+✅ DUPLICATE_CHECK=false desativa
+✅ DUPLICATE_CHECK_LIMIT define quantos uploads comparar
+✅ DUPLICATE_CHECK_TITLE=true bloqueia também por título
+*/
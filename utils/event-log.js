@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+// Log estruturado (um JSON por linha)
+const EVENT_LOG_FILE = process.env.EVENT_LOG_FILE || path.join(__dirname, '..', 'auto-publisher-events.jsonl');
+
+// Rotação por tamanho: events.jsonl → events.1.jsonl → events.2.jsonl ...
+const EVENT_LOG_MAX_BYTES = (parseFloat(process.env.EVENT_LOG_MAX_MB) || 5) * 1024 * 1024;
+const EVENT_LOG_MAX_FILES = parseInt(process.env.EVENT_LOG_MAX_FILES) || 3;
+
+/**
+ * Tipos de eventos registrados
+ */
+const EVENT_TYPES = {
+    SERVER_STARTED: 'server.started',
+    RUN_STARTED: 'run.started',
+    RUN_COMPLETED: 'run.completed',
+    RUN_FAILED: 'run.failed',
+    STEP_STARTED: 'step.started',
+    STEP_COMPLETED: 'step.completed',
+    STEP_FAILED: 'step.failed',
+    VIDEO_UPLOADED: 'video.uploaded',
+    VIDEO_DEFERRED: 'video.deferred'
+};
+
+/**
+ * Caminho do arquivo rotacionado de índice N (0 = arquivo atual)
+ * @param {number} index - Índice da rotação
+ * @returns {string} - Caminho do arquivo
+ */
+function getRotatedPath(index) {
+    if (index === 0) return EVENT_LOG_FILE;
+
+    const extension = path.extname(EVENT_LOG_FILE);
+    return `${EVENT_LOG_FILE.slice(0, -extension.length || undefined)}.${index}${extension}`;
+}
+
+/**
+ * Rotaciona o log quando passa do tamanho máximo
+ */
+function rotateIfNeeded() {
+    if (!fs.existsSync(EVENT_LOG_FILE) || fs.statSync(EVENT_LOG_FILE).size < EVENT_LOG_MAX_BYTES) {
+        return;
+    }
+
+    const oldest = getRotatedPath(EVENT_LOG_MAX_FILES - 1);
+    if (fs.existsSync(oldest)) {
+        fs.unlinkSync(oldest);
+    }
+
+    for (let index = EVENT_LOG_MAX_FILES - 2; index >= 0; index--) {
+        const source = getRotatedPath(index);
+        if (fs.existsSync(source)) {
+            fs.renameSync(source, getRotatedPath(index + 1));
+        }
+    }
+}
+
+/**
+ * Registra evento no log estruturado
+ * @param {string} type - Tipo do evento (ver EVENT_TYPES)
+ * @param {Object} fields - { runId, pageId, step, durationMs, bytes, errorCode, message, ... }
+ * @returns {Object} - Evento registrado
+ */
+function logEvent(type, fields = {}) {
+    const event = { at: new Date().toISOString(), type };
+
+    Object.entries(fields).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) {
+            event[key] = value;
+        }
+    });
+
+    try {
+        rotateIfNeeded();
+        fs.appendFileSync(EVENT_LOG_FILE, JSON.stringify(event) + '\n');
+    } catch (error) {
+        console.error('❌ Erro ao salvar evento:', error.message);
+    }
+
+    return event;
+}
+
+/**
+ * Lê eventos de um arquivo (linhas inválidas são ignoradas)
+ * @param {string} filePath - Arquivo JSONL
+ * @returns {Array} - Eventos
+ */
+function readEventFile(filePath) {
+    if (!fs.existsSync(filePath)) return [];
+
+    return fs.readFileSync(filePath, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                return null;
+            }
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Consulta eventos (inclui arquivos rotacionados)
+ * @param {Object} filter - { from, to, pageId, runId, type, limit }
+ * @returns {Array} - Eventos em ordem cronológica (os mais recentes, até o limite)
+ */
+function queryEvents(filter = {}) {
+    const { from, to, pageId, runId, limit = 100 } = filter;
+    const types = filter.type ? [].concat(filter.type).flatMap(type => type.split(',')).map(type => type.trim()) : null;
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+
+    const events = [];
+    for (let index = EVENT_LOG_MAX_FILES - 1; index >= 0; index--) {
+        events.push(...readEventFile(getRotatedPath(index)));
+    }
+
+    const matches = events.filter(event => {
+        const time = new Date(event.at).getTime();
+        if (fromTime !== null && time < fromTime) return false;
+        if (toTime !== null && time > toTime) return false;
+        if (pageId && event.pageId !== pageId) return false;
+        if (runId && event.runId !== runId) return false;
+        // "step.*" casa com todos os eventos de etapa
+        if (types && !types.some(type => type.endsWith('.*') ? event.type.startsWith(type.slice(0, -1)) : event.type === type)) return false;
+        return true;
+    });
+
+    return matches.slice(-limit);
+}
+
+/**
+ * Retorna o evento mais recente de um tipo
+ * @param {string} type - Tipo do evento
+ * @returns {Object|null} - Evento ou null
+ */
+function getLastEvent(type) {
+    const [event] = queryEvents({ type, limit: 1 });
+    return event || null;
+}
+
+module.exports = {
+    EVENT_TYPES,
+    logEvent,
+    queryEvents,
+    getLastEvent,
+    EVENT_LOG_FILE
+};
+
+/*
+🎯 PRINCIPAIS FUNCIONALIDADES:
+📝 LOG ESTRUTURADO:
+Um evento JSON por linha (auto-publisher-events.jsonl)
+Campos: at, type, runId, pageId, step, durationMs, bytes, errorCode, message
+🔄 ROTAÇÃO:
+✅ Por tamanho (EVENT_LOG_MAX_MB, padrão 5MB)
+✅ Mantém EVENT_LOG_MAX_FILES arquivos (padrão 3)
+🔍 CONSULTA:
+✅ Filtro por período, página, execução e tipo (aceita "step.*")
+✅ Usado pelo endpoint GET /events
+*/
@@ -1,6 +1,7 @@
 const { google } = require('googleapis');
 const fs = require('fs');
 const path = require('path');
+const { getQuotaStatus, recordQuotaUsage } = require('./quota-ledger');
 require('dotenv').config();
 
 /**
@@ -13,6 +14,7 @@ class GoogleAuth {
         this.scopes = [
             'https://www.googleapis.com/auth/youtube.upload',
             'https://www.googleapis.com/auth/youtube.readonly',
+            'https://www.googleapis.com/auth/youtube.force-ssl', // Legendas
             'https://www.googleapis.com/auth/drive.readonly',
             'https://www.googleapis.com/auth/drive.metadata.readonly'
         ];
@@ -272,6 +274,7 @@ class GoogleAuth {
     async getChannelInfo() {
         try {
             const youtube = this.getYouTubeClient();
+            recordQuotaUsage('channels.list');
             const response = await youtube.channels.list({
                 part: ['snippet', 'statistics', 'brandingSettings'],
                 mine: true
@@ -324,7 +327,7 @@ class GoogleAuth {
             
             // 4. Testar quota
             const quotaInfo = await this.checkQuotaUsage();
-            console.log(`📊 Quota YouTube: ${quotaInfo.used}/${quotaInfo.limit} pontos`);
+            console.log(`📊 Quota YouTube: ${quotaInfo.used}/${quotaInfo.limit} pontos (restam ${quotaInfo.remaining})`);
             
             return {
                 success: true,
@@ -340,18 +343,18 @@ class GoogleAuth {
     }
     
     /**
-     * Verifica uso de quota da API (estimado)
+     * Verifica uso de quota da API (registro local das chamadas feitas hoje)
      */
     async checkQuotaUsage() {
         try {
-            // YouTube API v3 tem limite de 10.000 pontos/dia
-            // Esta é uma estimativa básica
+            const status = getQuotaStatus();
             return {
-                used: 'Unknown',
-                limit: '10,000',
-                resetTime: 'Midnight PST'
+                used: status.used,
+                limit: status.limit,
+                remaining: status.remaining,
+                resetTime: status.resetAt
             };
-            
+
         } catch (error) {
             console.warn('⚠️ Não foi possível verificar quota:', error.message);
             return {
@@ -441,7 +444,7 @@ Múltiplos ambientes (local/produção)
 📊 MONITORAMENTO:
 ✅ Informações do usuário/canal
 ✅ Teste de conectividade APIs
-✅ Verificação de quota (básica)
+✅ Verificação de quota (registro local)
 ✅ Logs detalhados de status
 🔧 RECURSOS AVANÇADOS:
 ✅ Singleton pattern para uma instância
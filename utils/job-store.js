@@ -0,0 +1,405 @@
+const fs = require('fs');
+const path = require('path');
+
+// Arquivos de estado (na raiz do projeto, como o antigo temp_video_data.json)
+const JOBS_FILE = path.join(__dirname, '..', 'jobs.json');
+const STORE_LOCK_FILE = path.join(__dirname, '..', 'jobs.lock');
+const RUN_LOCK_FILE = path.join(__dirname, '..', 'pipeline.lock');
+
+// Tempo máximo de espera pelo lock do arquivo de jobs
+const STORE_LOCK_TIMEOUT_MS = 10000;
+const STORE_LOCK_STALE_MS = 30000;
+
+/**
+ * Estados possíveis de um job
+ */
+const JOB_STATES = {
+    QUEUED: 'queued',
+    DOWNLOADING: 'downloading',
+    DOWNLOADED: 'downloaded',
+    UPLOADING: 'uploading',
+    UPLOADED: 'uploaded',
+    NOTION_SYNCED: 'notion-synced',
+    FAILED: 'failed'
+};
+
+/**
+ * Transições permitidas (estado atual → próximos estados)
+ * Reentrar em downloading/uploading permite retomar após um crash
+ * uploading → downloading refaz o download quando o arquivo sumiu antes do fim do upload
+ * queued → uploading é o modo streaming (Drive direto para o YouTube, sem download)
+ * uploaded nunca falha: o vídeo já está no YouTube, só a atualização do Notion é refeita
+ */
+const TRANSITIONS = {
+    'queued': ['downloading', 'uploading', 'failed'],
+    'downloading': ['downloading', 'downloaded', 'failed'],
+    'downloaded': ['uploading', 'downloading', 'failed'],
+    'uploading': ['uploading', 'uploaded', 'downloading', 'failed'],
+    'uploaded': ['notion-synced'],
+    'notion-synced': ['queued', 'uploaded'],
+    'failed': ['queued', 'uploaded']
+};
+
+const TERMINAL_STATES = [JOB_STATES.NOTION_SYNCED, JOB_STATES.FAILED];
+
+/**
+ * Pausa síncrona (usada apenas na espera curta pelo lock)
+ * @param {number} ms - Milissegundos
+ */
+function sleepSync(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Executa função com lock exclusivo sobre o arquivo de jobs
+ * @param {Function} fn - Função que lê/altera o store
+ * @returns {*} - Retorno da função
+ */
+function withStoreLock(fn) {
+    const startTime = Date.now();
+    let fd = null;
+
+    while (fd === null) {
+        try {
+            fd = fs.openSync(STORE_LOCK_FILE, 'wx');
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+
+            // Lock abandonado por processo que morreu
+            try {
+                const age = Date.now() - fs.statSync(STORE_LOCK_FILE).mtimeMs;
+                if (age > STORE_LOCK_STALE_MS) {
+                    fs.unlinkSync(STORE_LOCK_FILE);
+                    continue;
+                }
+            } catch (statError) {
+                continue;
+            }
+
+            if (Date.now() - startTime > STORE_LOCK_TIMEOUT_MS) {
+                throw new Error('❌ Tempo esgotado aguardando lock do job store');
+            }
+            sleepSync(50);
+        }
+    }
+
+    try {
+        return fn();
+    } finally {
+        fs.closeSync(fd);
+        fs.unlinkSync(STORE_LOCK_FILE);
+    }
+}
+
+/**
+ * Lê todos os jobs do disco
+ * @returns {Object} - Mapa id → job
+ */
+function readJobs() {
+    if (!fs.existsSync(JOBS_FILE)) {
+        return {};
+    }
+    return JSON.parse(fs.readFileSync(JOBS_FILE, 'utf8'));
+}
+
+/**
+ * Grava jobs de forma atômica (arquivo temporário + rename)
+ * @param {Object} jobs - Mapa id → job
+ */
+function writeJobs(jobs) {
+    const tmpFile = `${JOBS_FILE}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(jobs, null, 2));
+    fs.renameSync(tmpFile, JOBS_FILE);
+}
+
+/**
+ * Adiciona vídeo na fila (ou reaproveita job existente)
+ * @param {Object} videoData - Dados do vídeo vindos do Notion
+ * @returns {Object} - Job na fila
+ */
+function enqueueJob(videoData) {
+    return withStoreLock(() => {
+        const jobs = readJobs();
+        const id = videoData.pageId;
+        const now = new Date().toISOString();
+        const existing = jobs[id];
+
+        // Job em andamento: mantém o estado para retomar de onde parou
+        if (existing && !TERMINAL_STATES.includes(existing.state)) {
+            return existing;
+        }
+
+        // Vídeo já enviado ao YouTube: nunca volta para a fila, só refaz a atualização do Notion
+        if (existing && existing.upload && existing.upload.videoId) {
+            const job = {
+                ...existing,
+                state: JOB_STATES.UPLOADED,
+                error: null,
+                runs: existing.runs + 1,
+                updatedAt: now,
+                history: [...existing.history, { from: existing.state, to: JOB_STATES.UPLOADED, at: now }]
+            };
+
+            jobs[id] = job;
+            writeJobs(jobs);
+
+            console.log(`♻️ Vídeo já enviado (${existing.upload.videoId}), refazendo só o Notion: "${job.title}" (${id})`);
+            return job;
+        }
+
+        const job = {
+            id,
+            pageId: videoData.pageId,
+            title: videoData.title,
+            state: JOB_STATES.QUEUED,
+            videoData,
+            download: null,
+            upload: null,
+            error: null,
+            failures: existing ? existing.failures || [] : [],
+            runs: existing ? existing.runs + 1 : 1,
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now,
+            history: [
+                ...(existing ? existing.history : []),
+                { from: existing ? existing.state : null, to: JOB_STATES.QUEUED, at: now }
+            ]
+        };
+
+        jobs[id] = job;
+        writeJobs(jobs);
+
+        console.log(`📥 Job na fila: "${job.title}" (${id})`);
+        return job;
+    });
+}
+
+/**
+ * Move job para outro estado, validando a transição
+ * @param {string} id - ID do job (ID da página)
+ * @param {string} toState - Novo estado
+ * @param {Object} patch - Campos a mesclar no job (download, upload, error...)
+ * @returns {Object} - Job atualizado
+ */
+function transitionJob(id, toState, patch = {}) {
+    return withStoreLock(() => {
+        const jobs = readJobs();
+        const job = jobs[id];
+
+        if (!job) {
+            throw new Error(`❌ Job não encontrado: ${id}`);
+        }
+
+        const allowed = TRANSITIONS[job.state] || [];
+        if (!allowed.includes(toState)) {
+            throw new Error(`❌ Transição inválida: ${job.state} → ${toState}`);
+        }
+
+        const now = new Date().toISOString();
+        const updated = {
+            ...job,
+            ...patch,
+            state: toState,
+            updatedAt: now,
+            history: [...job.history, { from: job.state, to: toState, at: now }]
+        };
+
+        jobs[id] = updated;
+        writeJobs(jobs);
+
+        console.log(`🔀 Job ${id}: ${job.state} → ${toState}`);
+        return updated;
+    });
+}
+
+/**
+ * Atualiza campos do job sem mudar o estado
+ * @param {string} id - ID do job
+ * @param {Object} patch - Campos a mesclar
+ * @returns {Object} - Job atualizado
+ */
+function patchJob(id, patch) {
+    return withStoreLock(() => {
+        const jobs = readJobs();
+        const job = jobs[id];
+
+        if (!job) {
+            throw new Error(`❌ Job não encontrado: ${id}`);
+        }
+
+        const updated = { ...job, ...patch, state: job.state, updatedAt: new Date().toISOString() };
+        jobs[id] = updated;
+        writeJobs(jobs);
+
+        return updated;
+    });
+}
+
+/**
+ * Marca job como falho registrando o erro e a etapa
+ * Job já enviado (uploaded) só registra o erro e continua retomável
+ * @param {string} id - ID do job
+ * @param {string} step - Etapa que falhou
+ * @param {string} errorMessage - Mensagem de erro
+ * @param {Object} attempt - { code, kind } quando a falha conta como tentativa (vai para o histórico)
+ * @returns {Object} - Job atualizado
+ */
+function failJob(id, step, errorMessage, attempt = null) {
+    const error = {
+        step,
+        message: errorMessage,
+        at: new Date().toISOString()
+    };
+    const job = getJob(id);
+    const failures = job?.failures || [];
+    const patch = {
+        error,
+        failures: attempt ? [...failures, { ...error, ...attempt }] : failures
+    };
+
+    if (job && job.state === JOB_STATES.UPLOADED) {
+        console.log(`⚠️ Job ${id} já enviado ao YouTube: mantido em uploaded`);
+        return patchJob(id, patch);
+    }
+
+    return transitionJob(id, JOB_STATES.FAILED, patch);
+}
+
+/**
+ * Retorna um job pelo ID
+ * @param {string} id - ID do job
+ * @returns {Object|null} - Job ou null
+ */
+function getJob(id) {
+    return readJobs()[id] || null;
+}
+
+/**
+ * Lista jobs, opcionalmente filtrando por estado
+ * @param {Object} filter - Filtro ({ state })
+ * @returns {Array} - Jobs ordenados por criação
+ */
+function listJobs(filter = {}) {
+    const jobs = Object.values(readJobs());
+    const states = filter.state ? [].concat(filter.state) : null;
+
+    return jobs
+        .filter(job => !states || states.includes(job.state))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Lista jobs que ainda não terminaram (para retomar)
+ * @returns {Array} - Jobs não terminais
+ */
+function getResumableJobs() {
+    return listJobs().filter(job => !TERMINAL_STATES.includes(job.state));
+}
+
+/**
+ * Verifica se um processo ainda está vivo
+ * @param {number} pid - ID do processo
+ * @returns {boolean} - Se está rodando
+ */
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+/**
+ * Adquire lock de execução do pipeline (evita duas execuções simultâneas)
+ * @param {string} runId - ID da execução
+ * @returns {boolean} - Se o lock foi adquirido
+ */
+function acquireRunLock(runId) {
+    const lock = { runId, pid: process.pid, startedAt: new Date().toISOString() };
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+            fs.writeFileSync(RUN_LOCK_FILE, JSON.stringify(lock, null, 2), { flag: 'wx' });
+            return true;
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+
+            const current = getRunLock();
+            if (current && isProcessAlive(current.pid)) {
+                console.log(`🔒 Pipeline já em execução (run ${current.runId}, pid ${current.pid})`);
+                return false;
+            }
+
+            console.log('🔓 Lock de execução abandonado, removendo...');
+            fs.unlinkSync(RUN_LOCK_FILE);
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Lê lock de execução atual
+ * @returns {Object|null} - Dados do lock ou null
+ */
+function getRunLock() {
+    try {
+        return JSON.parse(fs.readFileSync(RUN_LOCK_FILE, 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Retorna lock de execução somente se o processo dono ainda estiver vivo
+ * @returns {Object|null} - Dados do lock ou null
+ */
+function getActiveRunLock() {
+    const current = getRunLock();
+    return current && isProcessAlive(current.pid) ? current : null;
+}
+
+/**
+ * Libera lock de execução (somente se pertencer ao runId informado)
+ * @param {string} runId - ID da execução
+ */
+function releaseRunLock(runId) {
+    const current = getRunLock();
+    if (current && current.runId === runId) {
+        fs.unlinkSync(RUN_LOCK_FILE);
+    }
+}
+
+module.exports = {
+    JOB_STATES,
+    TRANSITIONS,
+    enqueueJob,
+    transitionJob,
+    patchJob,
+    failJob,
+    getJob,
+    listJobs,
+    getResumableJobs,
+    acquireRunLock,
+    releaseRunLock,
+    getRunLock,
+    getActiveRunLock
+};
+
+/*
+🎯 PRINCIPAIS FUNCIONALIDADES:
+📦 FILA PERSISTENTE:
+Jobs gravados em jobs.json (escrita atômica)
+Um job por página do Notion
+Histórico de transições por job
+🔀 MÁQUINA DE ESTADOS:
+queued → downloading → downloaded → uploading → uploaded → notion-synced
+Qualquer etapa antes do upload → failed
+Vídeo já enviado nunca volta para a fila (só o Notion é refeito)
+Retomada exatamente da etapa interrompida
+🔒 CONCORRÊNCIA:
+✅ Lock de arquivo para cada alteração no store
+✅ Lock de execução do pipeline (pipeline.lock)
+✅ Detecção de locks abandonados
+*/
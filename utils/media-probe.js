@@ -0,0 +1,217 @@
+const { execFile } = require('child_process');
+require('dotenv').config();
+
+// Executável do ffprobe (instalado localmente; ausente = inspeção ignorada)
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+const PROBE_TIMEOUT_MS = 60000;
+
+// Vídeos sem áudio são rejeitados, a menos que PROBE_REQUIRE_AUDIO=false
+const PROBE_REQUIRE_AUDIO = process.env.PROBE_REQUIRE_AUDIO !== 'false';
+
+// Short: vertical e com até 60 segundos
+const SHORTS_MAX_DURATION_SECONDS = 60;
+
+// Mensagens do ffprobe que indicam arquivo incompleto ou corrompido
+const TRUNCATED_PATTERN = /moov atom not found|partial file|invalid data found|truncat|end of file|stream ends prematurely/i;
+
+let ffprobeMissing = false;
+
+/**
+ * Executa o ffprobe e retorna o JSON de formato e streams
+ * @param {string} filePath - Caminho do vídeo
+ * @returns {Object} - { data, stderr } ou { missing: true }
+ */
+function runFfprobe(filePath) {
+    const args = ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', filePath];
+
+    return new Promise((resolve, reject) => {
+        execFile(FFPROBE_PATH, args, { timeout: PROBE_TIMEOUT_MS, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+            if (error && error.code === 'ENOENT') {
+                return resolve({ missing: true });
+            }
+
+            let data = null;
+            try {
+                data = JSON.parse(stdout || '{}');
+            } catch (parseError) {
+                data = {};
+            }
+
+            if (error && !data.streams) {
+                return reject(Object.assign(
+                    new Error(`❌ ffprobe não conseguiu ler o arquivo: ${(stderr || error.message).trim().split('\n')[0]}`),
+                    { stderr }
+                ));
+            }
+
+            resolve({ data, stderr: stderr || '' });
+        });
+    });
+}
+
+/**
+ * Converte fração do ffprobe (ex: "30000/1001") em número
+ * @param {string} value - Fração
+ * @returns {number|null} - Valor ou null
+ */
+function parseRate(value) {
+    if (!value) return null;
+    const [num, den] = String(value).split('/').map(Number);
+    if (!num || (den !== undefined && !den)) return null;
+    return Math.round((den ? num / den : num) * 100) / 100;
+}
+
+/**
+ * Rotação do vídeo (tag rotate antiga ou display matrix)
+ * @param {Object} stream - Stream de vídeo
+ * @returns {number} - Graus (0, 90, 180, 270)
+ */
+function getRotation(stream) {
+    const tag = parseInt(stream.tags?.rotate);
+    const matrix = (stream.side_data_list || []).find(item => item.rotation !== undefined);
+    const degrees = !isNaN(tag) ? tag : (matrix ? Number(matrix.rotation) : 0);
+    return ((Math.round(degrees) % 360) + 360) % 360;
+}
+
+/**
+ * Extrai as informações relevantes do JSON do ffprobe
+ * @param {Object} data - Saída do ffprobe
+ * @param {string} stderr - Erros reportados pelo ffprobe
+ * @returns {Object} - Informações da mídia
+ */
+function parseProbe(data, stderr = '') {
+    const streams = data.streams || [];
+    const video = streams.find(stream => stream.codec_type === 'video' && stream.disposition?.attached_pic !== 1);
+    const audio = streams.find(stream => stream.codec_type === 'audio');
+    const format = data.format || {};
+
+    const duration = parseFloat(format.duration) || parseFloat(video?.duration) || 0;
+    const rotation = video ? getRotation(video) : 0;
+    const swapped = rotation === 90 || rotation === 270;
+    const width = video ? (swapped ? video.height : video.width) : null;
+    const height = video ? (swapped ? video.width : video.height) : null;
+    const isVertical = Boolean(width && height && height > width);
+
+    return {
+        duration: Math.round(duration * 10) / 10,
+        width,
+        height,
+        resolution: width && height ? `${width}x${height}` : null,
+        rotation,
+        isVertical,
+        isShort: isVertical && duration > 0 && duration <= SHORTS_MAX_DURATION_SECONDS,
+        videoCodec: video?.codec_name || null,
+        audioCodec: audio?.codec_name || null,
+        hasVideo: Boolean(video),
+        hasAudio: Boolean(audio),
+        frameRate: video ? parseRate(video.avg_frame_rate) || parseRate(video.r_frame_rate) : null,
+        container: format.format_name || null,
+        bitRate: parseInt(format.bit_rate) || null,
+        truncated: TRUNCATED_PATTERN.test(stderr)
+    };
+}
+
+/**
+ * Regras de rejeição antes do upload
+ * @param {Object} media - Resultado de parseProbe
+ * @returns {Array} - Erros encontrados (vazio = válido)
+ */
+function validateMedia(media) {
+    const errors = [];
+
+    if (media.truncated) {
+        errors.push('arquivo truncado ou corrompido');
+    }
+    if (!media.hasVideo) {
+        errors.push('nenhuma faixa de vídeo');
+    }
+    if (!media.duration) {
+        errors.push('duração zero');
+    }
+    if (PROBE_REQUIRE_AUDIO && !media.hasAudio) {
+        errors.push('vídeo sem áudio');
+    }
+
+    return errors;
+}
+
+/**
+ * Formata duração em H:MM:SS
+ * @param {number} seconds - Duração em segundos
+ * @returns {string} - Duração formatada
+ */
+function formatDuration(seconds) {
+    const total = Math.round(seconds || 0);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = String(total % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+/**
+ * Inspeciona o vídeo com ffprobe e aplica as regras de rejeição
+ * Sem ffprobe instalado retorna { available: false } e o upload segue como antes
+ * @param {string} filePath - Caminho do vídeo
+ * @returns {Object} - { available, media, errors, isValid }
+ */
+async function inspectVideo(filePath) {
+    if (ffprobeMissing) {
+        return { available: false, media: null, errors: [], isValid: true };
+    }
+
+    console.log('🔬 Inspecionando mídia com ffprobe...');
+
+    let probe;
+    try {
+        probe = await runFfprobe(filePath);
+    } catch (error) {
+        // ffprobe presente mas sem conseguir ler: arquivo inválido
+        const errors = [TRUNCATED_PATTERN.test(error.stderr || error.message) ? 'arquivo truncado ou corrompido' : error.message];
+        console.log(`❌ Mídia rejeitada: ${errors.join(', ')}`);
+        return { available: true, media: null, errors, isValid: false };
+    }
+
+    if (probe.missing) {
+        ffprobeMissing = true;
+        console.warn(`⚠️ ffprobe não encontrado (${FFPROBE_PATH}), inspeção de mídia ignorada`);
+        return { available: false, media: null, errors: [], isValid: true };
+    }
+
+    const media = parseProbe(probe.data, probe.stderr);
+    const errors = validateMedia(media);
+
+    console.log(`   ⏱️ Duração: ${formatDuration(media.duration)}`);
+    console.log(`   📐 Resolução: ${media.resolution || '?'}${media.rotation ? ` (rotação ${media.rotation}°)` : ''}`);
+    console.log(`   🎞️ Codecs: ${media.videoCodec || '-'} / ${media.audioCodec || 'sem áudio'} @ ${media.frameRate || '?'}fps`);
+    console.log(`   📱 Formato: ${media.isShort ? 'Short' : 'Vídeo padrão'}`);
+
+    if (errors.length > 0) {
+        console.log(`❌ Mídia rejeitada: ${errors.join(', ')}`);
+    } else {
+        console.log('✅ Mídia válida');
+    }
+
+    return { available: true, media, errors, isValid: errors.length === 0 };
+}
+
+module.exports = {
+    inspectVideo,
+    parseProbe,
+    validateMedia,
+    formatDuration,
+    SHORTS_MAX_DURATION_SECONDS
+};
+
+/*
+🎯 PRINCIPAIS FUNCIONALIDADES:
+🔬 INSPEÇÃO LOCAL (ffprobe):
+Duração, resolução, codecs, frame rate, áudio e rotação
+Resolução corrigida pela rotação (vídeos de celular)
+Sem ffprobe instalado: aviso e upload segue normalmente
+🛡️ REJEIÇÃO ANTES DO UPLOAD:
+✅ Arquivo truncado/corrompido
+✅ Duração zero ou sem faixa de vídeo
+✅ Sem áudio (PROBE_REQUIRE_AUDIO=false desativa)
+📱 SHORTS:
+✅ Vertical e até 60s = Short (decidido automaticamente)
+*/
@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+
+// Bytes lidos do início do arquivo para identificar o contêiner
+const HEAD_BYTES = 512;
+
+// Contêineres reconhecidos: extensão e MIME type usados no upload
+const CONTAINERS = {
+    mp4: { extension: '.mp4', mimeType: 'video/mp4' },
+    m4v: { extension: '.m4v', mimeType: 'video/x-m4v' },
+    mov: { extension: '.mov', mimeType: 'video/quicktime' },
+    '3gp': { extension: '.3gp', mimeType: 'video/3gpp' },
+    matroska: { extension: '.mkv', mimeType: 'video/x-matroska' },
+    webm: { extension: '.webm', mimeType: 'video/webm' },
+    avi: { extension: '.avi', mimeType: 'video/x-msvideo' },
+    flv: { extension: '.flv', mimeType: 'video/x-flv' },
+    wmv: { extension: '.wmv', mimeType: 'video/x-ms-wmv' },
+    mpeg: { extension: '.mpg', mimeType: 'video/mpeg' },
+    mpegts: { extension: '.ts', mimeType: 'video/mp2t' }
+};
+
+// MIME type por extensão (quando os bytes não identificam o arquivo)
+const MIME_BY_EXTENSION = {
+    '.mp4': 'video/mp4',
+    '.m4v': 'video/x-m4v',
+    '.mov': 'video/quicktime',
+    '.3gp': 'video/3gpp',
+    '.mkv': 'video/x-matroska',
+    '.webm': 'video/webm',
+    '.avi': 'video/x-msvideo',
+    '.flv': 'video/x-flv',
+    '.wmv': 'video/x-ms-wmv',
+    '.mpg': 'video/mpeg',
+    '.mpeg': 'video/mpeg',
+    '.ts': 'video/mp2t',
+    '.mts': 'video/mp2t'
+};
+
+/**
+ * Monta o resultado da detecção para um contêiner conhecido
+ * @param {string} container - Nome do contêiner
+ * @returns {Object} - { kind, container, extension, mimeType }
+ */
+function videoResult(container) {
+    return { kind: 'video', container, ...CONTAINERS[container] };
+}
+
+/**
+ * Identifica o contêiner pelos primeiros bytes (não confia no nome nem no Content-Type)
+ * @param {Buffer} head - Primeiros bytes do arquivo
+ * @returns {Object} - { kind: 'video'|'html'|'unknown', container, extension, mimeType }
+ */
+function detectContainer(head) {
+    const text = head.slice(0, HEAD_BYTES).toString('utf8').trimStart().toLowerCase();
+    if (text.startsWith('<!doctype html') || text.startsWith('<html') || text.startsWith('<?xml') || text.startsWith('<head')) {
+        return { kind: 'html', container: 'html', extension: '.html', mimeType: 'text/html' };
+    }
+
+    // ISO BMFF: caixa "ftyp" + major brand (qt = QuickTime)
+    if (head.length >= 12 && head.toString('ascii', 4, 8) === 'ftyp') {
+        const brand = head.toString('ascii', 8, 12);
+        if (brand === 'qt  ') return videoResult('mov');
+        if (brand.startsWith('3g')) return videoResult('3gp');
+        if (brand === 'M4V ' || brand === 'M4VH' || brand === 'M4VP') return videoResult('m4v');
+        return videoResult('mp4');
+    }
+
+    // QuickTime antigo sem ftyp (moov/mdat/wide/free no início)
+    if (head.length >= 8 && ['moov', 'mdat', 'wide', 'free', 'skip'].includes(head.toString('ascii', 4, 8))) {
+        return videoResult('mov');
+    }
+
+    // EBML: Matroska ou WebM (DocType no cabeçalho)
+    if (head.length >= 4 && head.readUInt32BE(0) === 0x1A45DFA3) {
+        return videoResult(head.slice(0, 64).includes('webm') ? 'webm' : 'matroska');
+    }
+
+    // RIFF AVI
+    if (head.length >= 12 && head.toString('ascii', 0, 4) === 'RIFF' && head.toString('ascii', 8, 12) === 'AVI ') {
+        return videoResult('avi');
+    }
+
+    if (head.length >= 3 && head.toString('ascii', 0, 3) === 'FLV') {
+        return videoResult('flv');
+    }
+
+    // ASF (WMV): GUID 3026B275-8E66-CF11
+    if (head.length >= 8 && head.readUInt32BE(0) === 0x3026B275 && head.readUInt32BE(4) === 0x8E66CF11) {
+        return videoResult('wmv');
+    }
+
+    if (head.length >= 4 && (head.readUInt32BE(0) === 0x000001BA || head.readUInt32BE(0) === 0x000001B3)) {
+        return videoResult('mpeg');
+    }
+
+    // MPEG-TS: byte de sincronismo 0x47 a cada 188 bytes
+    if (head.length >= 1 && head[0] === 0x47 && (head.length < 189 || head[188] === 0x47)) {
+        return videoResult('mpegts');
+    }
+
+    return { kind: 'unknown', container: null, extension: null, mimeType: null };
+}
+
+/**
+ * Lê o início do arquivo e identifica o contêiner
+ * @param {string} filePath - Caminho do arquivo
+ * @returns {Object} - Resultado de detectContainer
+ */
+function detectFileContainer(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const head = Buffer.alloc(HEAD_BYTES);
+        const bytesRead = fs.readSync(fd, head, 0, HEAD_BYTES, 0);
+        return detectContainer(head.slice(0, bytesRead));
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * MIME type a partir da extensão do nome
+ * @param {string} fileName - Nome do arquivo
+ * @returns {string|null} - MIME type ou null
+ */
+function getMimeTypeFromName(fileName) {
+    return MIME_BY_EXTENSION[path.extname(fileName || '').toLowerCase()] || null;
+}
+
+/**
+ * Resolve o tipo do arquivo: bytes > MIME do Drive > extensão do nome
+ * @param {Object} options - { detected, mimeType, fileName }
+ * @returns {Object} - { mimeType, extension, container, source }
+ */
+function resolveMediaType({ detected, mimeType, fileName }) {
+    if (detected && detected.kind === 'video') {
+        return { mimeType: detected.mimeType, extension: detected.extension, container: detected.container, source: 'bytes' };
+    }
+
+    const extension = path.extname(fileName || '').toLowerCase() || null;
+
+    if (mimeType && mimeType.startsWith('video/')) {
+        return { mimeType, extension, container: null, source: 'drive' };
+    }
+
+    const fromName = getMimeTypeFromName(fileName);
+    if (fromName) {
+        return { mimeType: fromName, extension, container: null, source: 'extension' };
+    }
+
+    return { mimeType: 'application/octet-stream', extension, container: null, source: 'unknown' };
+}
+
+module.exports = {
+    detectContainer,
+    detectFileContainer,
+    getMimeTypeFromName,
+    resolveMediaType,
+    CONTAINERS
+};
+
+/*
+🎯 PRINCIPAIS FUNCIONALIDADES:
+🔍 DETECÇÃO DE CONTÊINER:
+Identificação pelos primeiros bytes (ftyp, EBML, RIFF, FLV, ASF, MPEG)
+MP4 x MOV x 3GP pela major brand do ftyp
+Matroska x WebM pelo DocType
+Páginas HTML (erro do Drive) reconhecidas e rejeitadas
+🎬 TIPO PARA UPLOAD:
+✅ Ordem de confiança: bytes > MIME do Drive > extensão
+✅ Extensão e MIME type coerentes com o conteúdo real
+*/
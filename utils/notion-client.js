@@ -0,0 +1,234 @@
+const fs = require('fs');
+const path = require('path');
+const { Client } = require('@notionhq/client');
+require('dotenv').config();
+
+// Tentativas quando o Notion responde 429 (limite médio de 3 req/s por integração)
+const NOTION_MAX_RETRIES = parseInt(process.env.NOTION_MAX_RETRIES) || 5;
+
+// Tamanho máximo de página do databases.query
+const NOTION_PAGE_SIZE = 100;
+
+// Condições por filtro "or" na busca de existentes (limite do Notion: 100)
+const PUSHDOWN_BATCH_SIZE = 100;
+
+// Upload de arquivos (File Upload API, fora do cliente oficial desta versão)
+const NOTION_API_URL = 'https://api.notion.com/v1';
+const NOTION_VERSION = '2022-06-28';
+
+/**
+ * Pausa assíncrona
+ * @param {number} ms - Milissegundos
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Calcula espera antes de repetir a requisição
+ * @param {Object} response - Resposta 429 do Notion
+ * @param {number} attempt - Tentativa atual (0 = primeira repetição)
+ * @returns {number} - Espera em milissegundos
+ */
+function getRetryDelayMs(response, attempt) {
+    const retryAfter = parseFloat(response.headers.get('retry-after'));
+    if (!isNaN(retryAfter) && retryAfter >= 0) {
+        return retryAfter * 1000;
+    }
+
+    return Math.min(1000 * Math.pow(2, attempt), 30000);
+}
+
+/**
+ * fetch usado pelo cliente: repete requisições limitadas (429) respeitando o Retry-After
+ * @param {string} url - URL da requisição
+ * @param {Object} init - Opções do fetch
+ * @returns {Object} - Resposta
+ */
+async function rateLimitedFetch(url, init) {
+    for (let attempt = 0; ; attempt++) {
+        const response = await fetch(url, init);
+
+        if (response.status !== 429 || attempt >= NOTION_MAX_RETRIES) {
+            return response;
+        }
+
+        const delayMs = getRetryDelayMs(response, attempt);
+        console.warn(`⏳ Notion limitou as requisições (429), aguardando ${(delayMs / 1000).toFixed(1)}s (${attempt + 1}/${NOTION_MAX_RETRIES})...`);
+        await sleep(delayMs);
+    }
+}
+
+// Cliente compartilhado por todos os módulos
+const notion = new Client({
+    auth: process.env.NOTION_TOKEN,
+    fetch: rateLimitedFetch
+});
+
+/**
+ * Percorre todas as páginas de uma consulta seguindo o next_cursor
+ * @param {Object} params - Parâmetros do databases.query (database_id, filter, sorts)
+ * @yields {Object} - Página do Notion
+ */
+async function* iterateDatabase(params) {
+    let startCursor = undefined;
+
+    do {
+        const response = await notion.databases.query({
+            ...params,
+            page_size: params.page_size || NOTION_PAGE_SIZE,
+            start_cursor: startCursor
+        });
+
+        for (const page of response.results) {
+            yield page;
+        }
+
+        startCursor = response.has_more ? response.next_cursor : undefined;
+    } while (startCursor);
+}
+
+/**
+ * Consulta o banco inteiro (ou até o limite), com paginação
+ * @param {Object} params - Parâmetros do databases.query (database_id padrão: NOTION_DATABASE_ID)
+ * @param {Object} options - { limit }
+ * @returns {Array} - Páginas encontradas
+ */
+async function queryDatabase(params = {}, options = {}) {
+    const { limit = Infinity } = options;
+    const pages = [];
+    const query = {
+        database_id: process.env.NOTION_DATABASE_ID,
+        ...params,
+        page_size: Math.min(params.page_size || NOTION_PAGE_SIZE, limit, NOTION_PAGE_SIZE)
+    };
+
+    for await (const page of iterateDatabase(query)) {
+        pages.push(page);
+        if (pages.length >= limit) break;
+    }
+
+    return pages;
+}
+
+/**
+ * Consulta páginas que casam com qualquer uma das condições (filtro "or" em lotes)
+ * Usado para deduplicar sem varrer o banco inteiro
+ * @param {Array} conditions - Filtros de propriedade (ex: { property: 'Drive Link', url: { equals } })
+ * @param {Object} params - Parâmetros extras do databases.query
+ * @returns {Array} - Páginas encontradas (sem repetição)
+ */
+async function queryByConditions(conditions, params = {}) {
+    const pages = new Map();
+
+    for (let i = 0; i < conditions.length; i += PUSHDOWN_BATCH_SIZE) {
+        const batch = conditions.slice(i, i + PUSHDOWN_BATCH_SIZE);
+        const results = await queryDatabase({ ...params, filter: { or: batch } });
+        results.forEach(page => pages.set(page.id, page));
+    }
+
+    return [...pages.values()];
+}
+
+/**
+ * Requisição direta à API do Notion (endpoints sem método no cliente)
+ * @param {string} url - URL completa
+ * @param {Object} init - Opções do fetch
+ * @returns {Object} - Corpo JSON da resposta
+ */
+async function notionApiRequest(url, init = {}) {
+    const response = await rateLimitedFetch(url, {
+        ...init,
+        headers: {
+            'Authorization': `Bearer ${process.env.NOTION_TOKEN}`,
+            'Notion-Version': NOTION_VERSION,
+            ...init.headers
+        }
+    });
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        throw Object.assign(
+            new Error(`❌ Notion respondeu ${response.status}: ${body.message || response.statusText}`),
+            { code: response.status }
+        );
+    }
+
+    return body;
+}
+
+/**
+ * Envia um arquivo local ao Notion (File Upload API, envio único até 20MB)
+ * O arquivo precisa ser anexado a uma página em até 1 hora
+ * @param {string} filePath - Caminho do arquivo
+ * @param {string} contentType - Tipo MIME (ex: image/jpeg)
+ * @returns {Object} - Valor para propriedades "Files & media": { type: 'file_upload', file_upload: { id }, name }
+ */
+async function uploadFileToNotion(filePath, contentType) {
+    const name = path.basename(filePath);
+
+    const upload = await notionApiRequest(`${NOTION_API_URL}/file_uploads`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ filename: name, content_type: contentType })
+    });
+
+    const form = new FormData();
+    form.append('file', new Blob([fs.readFileSync(filePath)], { type: contentType }), name);
+
+    await notionApiRequest(upload.upload_url || `${NOTION_API_URL}/file_uploads/${upload.id}/send`, {
+        method: 'POST',
+        body: form
+    });
+
+    return { type: 'file_upload', file_upload: { id: upload.id }, name };
+}
+
+/**
+ * Extrai origem da thumbnail da propriedade "Thumbnail" (arquivo ou URL)
+ * @param {Object} property - Propriedade do Notion
+ * @returns {Object|null} - { url, name } ou null
+ */
+function extractThumbnailSource(property) {
+    if (!property) return null;
+
+    // Propriedade do tipo Files & media
+    if (property.type === 'files' && property.files?.length > 0) {
+        const file = property.files[0];
+        const url = file.type === 'external' ? file.external?.url : file.file?.url;
+        return url ? { url, name: file.name } : null;
+    }
+
+    // Propriedade do tipo URL
+    if (property.type === 'url' && property.url) {
+        return { url: property.url, name: null };
+    }
+
+    return null;
+}
+
+module.exports = {
+    notion,
+    uploadFileToNotion,
+    iterateDatabase,
+    queryDatabase,
+    queryByConditions,
+    rateLimitedFetch,
+    extractThumbnailSource
+};
+
+/*
+🎯 PRINCIPAIS FUNCIONALIDADES:
+📚 ACESSO AO NOTION:
+Cliente único compartilhado por todos os scripts
+Consultas seguem o next_cursor (bancos com milhares de linhas)
+⏳ LIMITE DE REQUISIÇÕES:
+✅ 429 repetido automaticamente respeitando Retry-After
+✅ Backoff exponencial quando o cabeçalho não vem
+✅ NOTION_MAX_RETRIES define o número de tentativas
+🔍 FILTRO NO SERVIDOR:
+✅ Condições "or" em lotes de 100 (deduplicação sem varrer o banco)
+📎 ARQUIVOS:
+✅ Upload de arquivos locais para propriedades "Files & media"
+✅ Origem da thumbnail lida de "Files & media" ou URL
+*/
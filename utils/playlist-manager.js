@@ -0,0 +1,273 @@
+const { google } = require('googleapis');
+const fs = require('fs');
+const path = require('path');
+const { recordQuotaUsage } = require('./quota-ledger');
+require('dotenv').config();
+
+// Configurar autenticação Google
+const oauth2Client = new google.auth.OAuth2(
+    process.env.GOOGLE_CLIENT_ID,
+    process.env.GOOGLE_CLIENT_SECRET,
+    'http://localhost:3333/oauth/callback'
+);
+
+oauth2Client.setCredentials({
+    refresh_token: process.env.GOOGLE_REFRESH_TOKEN
+});
+
+const youtube = google.youtube({ version: 'v3', auth: oauth2Client });
+
+// Cache local nome → ID das playlists do canal
+const PLAYLIST_CACHE_FILE = path.join(__dirname, '..', 'playlist_cache.json');
+
+// Privacidade das playlists criadas automaticamente
+const DEFAULT_PLAYLIST_PRIVACY = process.env.PLAYLIST_DEFAULT_PRIVACY || 'public';
+
+// Posição do vídeo na playlist: 'top' (início) ou 'bottom' (fim)
+const DEFAULT_PLAYLIST_POSITION = process.env.PLAYLIST_POSITION || 'bottom';
+
+/**
+ * Normaliza nome da playlist para comparação
+ * @param {string} name - Nome da playlist
+ * @returns {string} - Nome normalizado
+ */
+function normalizePlaylistName(name) {
+    return name.toLowerCase().trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Lê cache de playlists do disco
+ * @returns {Object} - { updatedAt, playlists }
+ */
+function loadPlaylistCache() {
+    try {
+        if (fs.existsSync(PLAYLIST_CACHE_FILE)) {
+            return JSON.parse(fs.readFileSync(PLAYLIST_CACHE_FILE, 'utf8'));
+        }
+    } catch (error) {
+        console.warn('⚠️ Erro ao ler cache de playlists:', error.message);
+    }
+    return { updatedAt: null, playlists: {} };
+}
+
+/**
+ * Grava cache de playlists no disco
+ * @param {Object} cache - { updatedAt, playlists }
+ */
+function savePlaylistCache(cache) {
+    fs.writeFileSync(PLAYLIST_CACHE_FILE, JSON.stringify(cache, null, 2));
+}
+
+/**
+ * Recarrega as playlists do canal e mescla no cache
+ * Mescla em vez de substituir: uma playlist recém-criada pode ainda não aparecer na listagem
+ * @returns {Object} - Cache atualizado
+ */
+async function refreshPlaylistCache() {
+    console.log('📚 Atualizando cache de playlists do canal...');
+
+    const playlists = {};
+    let pageToken = undefined;
+
+    do {
+        recordQuotaUsage('playlists.list');
+        const response = await youtube.playlists.list({
+            part: ['snippet'],
+            mine: true,
+            maxResults: 50,
+            pageToken
+        });
+
+        (response.data.items || []).forEach(playlist => {
+            playlists[normalizePlaylistName(playlist.snippet.title)] = {
+                id: playlist.id,
+                title: playlist.snippet.title
+            };
+        });
+
+        pageToken = response.data.nextPageToken;
+    } while (pageToken);
+
+    // Relê o cache só agora para não perder entradas gravadas durante a listagem
+    const cache = loadPlaylistCache();
+    Object.assign(cache.playlists, playlists);
+    cache.updatedAt = new Date().toISOString();
+    savePlaylistCache(cache);
+
+    console.log(`✅ ${Object.keys(playlists).length} playlist(s) no canal, ${Object.keys(cache.playlists).length} no cache`);
+    return cache;
+}
+
+/**
+ * Cria nova playlist no canal
+ * @param {string} title - Nome da playlist
+ * @param {string} privacy - public, unlisted ou private
+ * @returns {string} - ID da playlist criada
+ */
+async function createPlaylist(title, privacy = DEFAULT_PLAYLIST_PRIVACY) {
+    console.log(`➕ Criando playlist "${title}" (${privacy})...`);
+
+    recordQuotaUsage('playlists.insert');
+    const response = await youtube.playlists.insert({
+        part: ['snippet', 'status'],
+        requestBody: {
+            snippet: {
+                title: title,
+                defaultLanguage: 'pt'
+            },
+            status: {
+                privacyStatus: privacy
+            }
+        }
+    });
+
+    const cache = loadPlaylistCache();
+    cache.playlists[normalizePlaylistName(title)] = { id: response.data.id, title };
+    savePlaylistCache(cache);
+
+    console.log(`✅ Playlist criada: ${response.data.id}`);
+    return response.data.id;
+}
+
+/**
+ * Resolve nome da playlist para ID (cache → API → criação)
+ * @param {string} name - Nome da playlist
+ * @param {Object} options - { create, privacy, refreshState: { refreshed } compartilhado entre chamadas para recarregar no máximo uma vez }
+ * @returns {string|null} - ID da playlist ou null
+ */
+async function resolvePlaylistId(name, options = {}) {
+    const { create = true, privacy = DEFAULT_PLAYLIST_PRIVACY, refreshState = { refreshed: false } } = options;
+    const key = normalizePlaylistName(name);
+
+    // 1. Cache local
+    let cache = loadPlaylistCache();
+    if (cache.playlists[key]) {
+        return cache.playlists[key].id;
+    }
+
+    // 2. Recarregar do canal (playlist pode ter sido criada manualmente)
+    if (!refreshState.refreshed) {
+        refreshState.refreshed = true;
+        cache = await refreshPlaylistCache();
+        if (cache.playlists[key]) {
+            return cache.playlists[key].id;
+        }
+    }
+
+    // 3. Criar playlist
+    if (!create) {
+        console.warn(`⚠️ Playlist "${name}" não encontrada`);
+        return null;
+    }
+
+    return createPlaylist(name.trim(), privacy);
+}
+
+/**
+ * Remove entrada do cache (ex: playlist apagada no YouTube)
+ * @param {string} name - Nome da playlist
+ */
+function invalidatePlaylist(name) {
+    const cache = loadPlaylistCache();
+    delete cache.playlists[normalizePlaylistName(name)];
+    savePlaylistCache(cache);
+}
+
+/**
+ * Adiciona vídeo a uma playlist
+ * @param {string} videoId - ID do vídeo
+ * @param {string} playlistId - ID da playlist
+ * @param {string} position - 'top' ou 'bottom'
+ */
+async function insertPlaylistItem(videoId, playlistId, position) {
+    const snippet = {
+        playlistId: playlistId,
+        resourceId: {
+            kind: 'youtube#video',
+            videoId: videoId
+        }
+    };
+
+    if (position === 'top') {
+        snippet.position = 0;
+    }
+
+    recordQuotaUsage('playlistItems.insert');
+    const response = await youtube.playlistItems.insert({
+        part: ['snippet'],
+        requestBody: { snippet }
+    });
+
+    return response.data.id;
+}
+
+/**
+ * Adiciona vídeo às playlists informadas (criando as que não existem)
+ * @param {string} videoId - ID do vídeo
+ * @param {Array} names - Nomes das playlists
+ * @param {Object} options - { position, privacy, create }
+ * @returns {Array} - Resultado por playlist
+ */
+async function addVideoToPlaylists(videoId, names, options = {}) {
+    const position = options.position || DEFAULT_PLAYLIST_POSITION;
+    const results = [];
+
+    // Uma única listagem do canal por chamada, mesmo com várias playlists fora do cache
+    const resolveOptions = { ...options, refreshState: { refreshed: false } };
+
+    if (!names || names.length === 0) {
+        return results;
+    }
+
+    console.log(`📚 Adicionando vídeo a ${names.length} playlist(s)...`);
+
+    for (const name of names) {
+        try {
+            let playlistId = await resolvePlaylistId(name, resolveOptions);
+            if (!playlistId) {
+                results.push({ name, success: false, error: 'Playlist não encontrada' });
+                continue;
+            }
+
+            try {
+                await insertPlaylistItem(videoId, playlistId, position);
+            } catch (insertError) {
+                // ID em cache pode estar desatualizado (playlist removida)
+                if (insertError.code !== 404) throw insertError;
+
+                invalidatePlaylist(name);
+                playlistId = await resolvePlaylistId(name, resolveOptions);
+                await insertPlaylistItem(videoId, playlistId, position);
+            }
+
+            console.log(`   ✅ ${name}${position === 'top' ? ' (no topo)' : ''}`);
+            results.push({ name, playlistId, success: true });
+
+        } catch (error) {
+            console.warn(`   ⚠️ Erro na playlist "${name}":`, error.message);
+            results.push({ name, success: false, error: error.message });
+        }
+    }
+
+    return results;
+}
+
+module.exports = {
+    addVideoToPlaylists,
+    resolvePlaylistId,
+    refreshPlaylistCache,
+    createPlaylist,
+    normalizePlaylistName
+};
+
+/*
+🎯 PRINCIPAIS FUNCIONALIDADES:
+📚 PLAYLISTS:
+Vídeo adicionado às playlists do Notion (multi-select "Playlists")
+Criação automática de playlists inexistentes
+Posição configurável (topo ou fim)
+💾 CACHE LOCAL:
+✅ Nome → ID salvo em playlist_cache.json
+✅ Recarrega do canal só quando o nome não está no cache (no máximo uma vez por vídeo, mesclando)
+✅ Invalida IDs de playlists removidas
+*/
@@ -0,0 +1,115 @@
+require('dotenv').config();
+
+// Fuso horário padrão das estreias (horário de Brasília)
+const PUBLISH_TIMEZONE = process.env.PUBLISH_TIMEZONE || 'America/Sao_Paulo';
+
+// Horário usado quando o Notion traz apenas a data (sem hora)
+const DEFAULT_PUBLISH_TIME = process.env.DEFAULT_PUBLISH_TIME || '14:00';
+
+// Antecedência mínima para o YouTube aceitar o agendamento
+const MIN_SCHEDULE_MINUTES = 5;
+
+/**
+ * Calcula o offset (em minutos) de um fuso horário em determinado instante
+ * @param {Date} date - Instante de referência
+ * @param {string} timeZone - Fuso IANA (ex: America/Sao_Paulo)
+ * @returns {number} - Offset em minutos em relação ao UTC
+ */
+function getTimeZoneOffsetMinutes(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date);
+
+    const values = Object.fromEntries(parts.map(part => [part.type, part.value]));
+    const asUtc = Date.UTC(
+        parseInt(values.year),
+        parseInt(values.month) - 1,
+        parseInt(values.day),
+        parseInt(values.hour),
+        parseInt(values.minute),
+        parseInt(values.second)
+    );
+
+    return Math.round((asUtc - date.getTime()) / 60000);
+}
+
+/**
+ * Converte data/hora local (sem offset) de um fuso para Date em UTC
+ * @param {string} localDateTime - Data no formato YYYY-MM-DDTHH:mm[:ss]
+ * @param {string} timeZone - Fuso IANA
+ * @returns {Date} - Instante correspondente
+ */
+function zonedTimeToUtc(localDateTime, timeZone) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?/.exec(localDateTime);
+    if (!match) {
+        throw new Error(`❌ Data inválida: ${localDateTime}`);
+    }
+
+    const [, year, month, day, hour, minute, second = '0'] = match;
+    const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+
+    // Duas passadas resolvem mudanças de horário de verão
+    let offset = getTimeZoneOffsetMinutes(new Date(guess), timeZone);
+    offset = getTimeZoneOffsetMinutes(new Date(guess - offset * 60000), timeZone);
+
+    return new Date(guess - offset * 60000);
+}
+
+/**
+ * Interpreta a propriedade de data "Publish At" do Notion
+ * @param {Object} notionDate - Objeto date do Notion ({ start, time_zone })
+ * @returns {string|null} - Data ISO em UTC ou null se não definida
+ */
+function parsePublishAt(notionDate) {
+    if (!notionDate || !notionDate.start) return null;
+
+    const start = notionDate.start;
+    const timeZone = notionDate.time_zone || PUBLISH_TIMEZONE;
+
+    // Data com offset explícito (ex: 2025-06-01T14:00:00.000-03:00)
+    if (/T.*(Z|[+-]\d{2}:\d{2})$/.test(start)) {
+        return new Date(start).toISOString();
+    }
+
+    // Apenas data: usar horário padrão
+    const localDateTime = start.includes('T') ? start : `${start}T${DEFAULT_PUBLISH_TIME}`;
+
+    return zonedTimeToUtc(localDateTime, timeZone).toISOString();
+}
+
+/**
+ * Formata data no fuso de publicação para logs e comentários
+ * @param {string} isoDate - Data ISO
+ * @returns {string} - Data formatada em pt-BR
+ */
+function formatPublishAt(isoDate) {
+    return new Date(isoDate).toLocaleString('pt-BR', { timeZone: PUBLISH_TIMEZONE });
+}
+
+/**
+ * Verifica se o agendamento ainda é válido (precisa estar no futuro)
+ * @param {string} publishAt - Data ISO em UTC
+ * @returns {boolean} - Se pode ser usado como status.publishAt
+ */
+function isSchedulable(publishAt) {
+    if (!publishAt) return false;
+
+    const minimum = Date.now() + MIN_SCHEDULE_MINUTES * 60 * 1000;
+    return new Date(publishAt).getTime() > minimum;
+}
+
+module.exports = {
+    PUBLISH_TIMEZONE,
+    parsePublishAt,
+    formatPublishAt,
+    isSchedulable,
+    zonedTimeToUtc,
+    getTimeZoneOffsetMinutes
+};
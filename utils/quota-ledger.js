@@ -0,0 +1,259 @@
+const fs = require('fs');
+const path = require('path');
+const { zonedTimeToUtc, getTimeZoneOffsetMinutes } = require('./publish-schedule');
+require('dotenv').config();
+
+// Registro local do consumo de quota (a API não informa o uso real)
+const QUOTA_LEDGER_FILE = path.join(__dirname, '..', 'quota_ledger.json');
+
+// Limite diário do projeto no Google Cloud (padrão 10.000 unidades)
+const YOUTUBE_DAILY_QUOTA = parseInt(process.env.YOUTUBE_DAILY_QUOTA) || 10000;
+
+// Limite próprio de Shorts publicados por dia (0 = sem limite)
+const SHORTS_DAILY_LIMIT = isNaN(parseInt(process.env.SHORTS_DAILY_LIMIT)) ? 3 : parseInt(process.env.SHORTS_DAILY_LIMIT);
+
+// A quota do YouTube zera à meia-noite do horário do Pacífico
+const QUOTA_TIMEZONE = 'America/Los_Angeles';
+
+/**
+ * Custo em unidades de cada chamada da YouTube Data API v3
+ */
+const QUOTA_COSTS = {
+    'videos.insert': 1600,
+    'videos.list': 1,
+    'thumbnails.set': 50,
+    'captions.insert': 400,
+    'captions.list': 50,
+    'playlists.list': 1,
+    'playlists.insert': 50,
+    'playlistItems.list': 1,
+    'playlistItems.insert': 50,
+    'channels.list': 1
+};
+
+/**
+ * Dia corrente da quota (data no horário do Pacífico)
+ * @param {Date} date - Instante de referência
+ * @returns {string} - Data no formato YYYY-MM-DD
+ */
+function getQuotaDay(date = new Date()) {
+    const offset = getTimeZoneOffsetMinutes(date, QUOTA_TIMEZONE);
+    return new Date(date.getTime() + offset * 60000).toISOString().slice(0, 10);
+}
+
+/**
+ * Próximo reset da quota (meia-noite do Pacífico)
+ * @param {Date} date - Instante de referência
+ * @returns {Date} - Instante do reset
+ */
+function getNextResetTime(date = new Date()) {
+    const [year, month, day] = getQuotaDay(date).split('-').map(Number);
+    const nextDay = new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10);
+    return zonedTimeToUtc(`${nextDay}T00:00`, QUOTA_TIMEZONE);
+}
+
+/**
+ * Lê o registro do dia (começa zerado se o dia mudou)
+ * @returns {Object} - { day, used, calls, shorts, updatedAt }
+ */
+function loadLedger() {
+    const today = getQuotaDay();
+
+    try {
+        if (fs.existsSync(QUOTA_LEDGER_FILE)) {
+            const ledger = JSON.parse(fs.readFileSync(QUOTA_LEDGER_FILE, 'utf8'));
+            if (ledger.day === today) {
+                return { shorts: 0, ...ledger };
+            }
+        }
+    } catch (error) {
+        console.warn('⚠️ Registro de quota inválido, recomeçando:', error.message);
+    }
+
+    return { day: today, used: 0, calls: {}, shorts: 0, updatedAt: null };
+}
+
+/**
+ * Salva o registro de forma atômica
+ * @param {Object} ledger - Registro do dia
+ */
+function saveLedger(ledger) {
+    const tmpFile = `${QUOTA_LEDGER_FILE}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(ledger, null, 2));
+    fs.renameSync(tmpFile, QUOTA_LEDGER_FILE);
+}
+
+/**
+ * Registra o custo de uma chamada à API (chamadas com erro também consomem quota)
+ * @param {string} operation - Operação (ex: videos.insert)
+ * @param {number} count - Quantidade de chamadas
+ * @returns {number} - Unidades consumidas no dia
+ */
+function recordQuotaUsage(operation, count = 1) {
+    const cost = QUOTA_COSTS[operation];
+    if (cost === undefined) {
+        console.warn(`⚠️ Custo de quota desconhecido: ${operation}`);
+        return loadLedger().used;
+    }
+
+    try {
+        const ledger = loadLedger();
+        const entry = ledger.calls[operation] || { count: 0, units: 0 };
+
+        ledger.calls[operation] = { count: entry.count + count, units: entry.units + cost * count };
+        ledger.used += cost * count;
+        ledger.updatedAt = new Date().toISOString();
+        saveLedger(ledger);
+
+        return ledger.used;
+    } catch (error) {
+        console.error('❌ Erro ao registrar quota:', error.message);
+        return 0;
+    }
+}
+
+/**
+ * Marca a quota do dia como esgotada (YouTube respondeu quotaExceeded)
+ */
+function markQuotaExhausted() {
+    try {
+        const ledger = loadLedger();
+        ledger.used = Math.max(ledger.used, YOUTUBE_DAILY_QUOTA);
+        ledger.exhaustedAt = new Date().toISOString();
+        ledger.updatedAt = ledger.exhaustedAt;
+        saveLedger(ledger);
+
+        console.warn(`⚠️ Quota do YouTube esgotada até ${getNextResetTime().toISOString()}`);
+    } catch (error) {
+        console.error('❌ Erro ao registrar quota esgotada:', error.message);
+    }
+}
+
+/**
+ * Registra um Short publicado no dia (limite separado da quota em unidades)
+ * @returns {number} - Shorts publicados no dia
+ */
+function recordShortUpload() {
+    try {
+        const ledger = loadLedger();
+        ledger.shorts += 1;
+        ledger.updatedAt = new Date().toISOString();
+        saveLedger(ledger);
+
+        return ledger.shorts;
+    } catch (error) {
+        console.error('❌ Erro ao registrar Short:', error.message);
+        return 0;
+    }
+}
+
+/**
+ * Verifica se ainda cabe um Short hoje (SHORTS_DAILY_LIMIT)
+ * @returns {Object} - { allowed, used, limit, remaining, resetAt }
+ */
+function checkShortsBudget() {
+    const { shorts } = loadLedger();
+    const unlimited = SHORTS_DAILY_LIMIT <= 0;
+
+    return {
+        allowed: unlimited || shorts < SHORTS_DAILY_LIMIT,
+        used: shorts,
+        limit: unlimited ? null : SHORTS_DAILY_LIMIT,
+        remaining: unlimited ? null : Math.max(SHORTS_DAILY_LIMIT - shorts, 0),
+        resetAt: getNextResetTime().toISOString()
+    };
+}
+
+/**
+ * Situação atual da quota
+ * @returns {Object} - { day, used, limit, remaining, resetAt, exhaustedAt, calls, shorts }
+ */
+function getQuotaStatus() {
+    const ledger = loadLedger();
+
+    return {
+        day: ledger.day,
+        used: ledger.used,
+        limit: YOUTUBE_DAILY_QUOTA,
+        remaining: Math.max(YOUTUBE_DAILY_QUOTA - ledger.used, 0),
+        resetAt: getNextResetTime().toISOString(),
+        exhaustedAt: ledger.exhaustedAt || null,
+        calls: ledger.calls,
+        shorts: {
+            used: ledger.shorts,
+            limit: SHORTS_DAILY_LIMIT > 0 ? SHORTS_DAILY_LIMIT : null
+        }
+    };
+}
+
+/**
+ * Estima quantas unidades um vídeo vai consumir no pipeline
+ * @param {Object} videoData - Dados do vídeo
+ * @param {Object} options - { uploaded: upload já feito (só falta o Notion), duplicateCheckLimit }
+ * @returns {number} - Unidades estimadas
+ */
+function estimateVideoCost(videoData, options = {}) {
+    if (options.uploaded) return 0;
+
+    const { duplicateCheckLimit = 0 } = options;
+    const playlists = (videoData.playlists || []).length;
+    const subtitles = (videoData.subtitles || []).length;
+    const listPages = Math.ceil(duplicateCheckLimit / 50);
+
+    return QUOTA_COSTS['channels.list'] +
+        (duplicateCheckLimit > 0 ? QUOTA_COSTS['channels.list'] + listPages * (QUOTA_COSTS['playlistItems.list'] + QUOTA_COSTS['videos.list']) : 0) +
+        QUOTA_COSTS['videos.insert'] +
+        QUOTA_COSTS['videos.list'] +
+        QUOTA_COSTS['thumbnails.set'] +
+        subtitles * QUOTA_COSTS['captions.insert'] +
+        (playlists > 0 ? QUOTA_COSTS['playlists.list'] + playlists * (QUOTA_COSTS['playlists.insert'] + QUOTA_COSTS['playlistItems.insert']) : 0);
+}
+
+/**
+ * Verifica se ainda há quota para uma operação
+ * @param {number} units - Unidades necessárias
+ * @returns {Object} - { allowed, needed, remaining, resetAt }
+ */
+function checkQuotaBudget(units) {
+    const status = getQuotaStatus();
+
+    return {
+        allowed: units <= status.remaining,
+        needed: units,
+        remaining: status.remaining,
+        resetAt: status.resetAt
+    };
+}
+
+module.exports = {
+    QUOTA_COSTS,
+    YOUTUBE_DAILY_QUOTA,
+    SHORTS_DAILY_LIMIT,
+    recordQuotaUsage,
+    recordShortUpload,
+    checkShortsBudget,
+    markQuotaExhausted,
+    getQuotaStatus,
+    estimateVideoCost,
+    checkQuotaBudget,
+    getQuotaDay,
+    getNextResetTime
+};
+
+/*
+🎯 PRINCIPAIS FUNCIONALIDADES:
+📊 REGISTRO DE QUOTA:
+Custo de cada chamada da YouTube API salvo em quota_ledger.json
+Zera à meia-noite do Pacífico (mesmo reset do Google)
+💰 CUSTOS:
+✅ videos.insert 1600, captions.insert 400
+✅ thumbnails.set, playlists.insert, playlistItems.insert 50
+✅ Listagens 1 (captions.list 50)
+🧮 ORÇAMENTO:
+✅ Estimativa por vídeo (legendas, playlists, duplicatas)
+✅ Pipeline adia vídeos que não cabem na quota restante
+✅ quotaExceeded do YouTube marca o dia como esgotado
+📱 SHORTS:
+✅ Contagem diária separada (SHORTS_DAILY_LIMIT)
+✅ Shorts além do limite ficam para o próximo reset
+*/
@@ -0,0 +1,369 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const axios = require('axios');
+require('dotenv').config();
+
+// Endpoint padrão de conteúdo do Drive (files.get alt=media)
+const DEFAULT_DOWNLOAD_URL = 'https://www.googleapis.com/drive/v3/files';
+
+// Segmentos paralelos (1 = download sequencial) e tamanho mínimo de cada um
+const DEFAULT_SEGMENTS = 1;
+const DEFAULT_SEGMENT_MIN_MB = 64;
+const DEFAULT_MAX_RETRIES = 8;
+
+// Intervalo entre gravações do progresso em .part.json
+const STATE_SAVE_INTERVAL_BYTES = 8 * 1024 * 1024;
+
+/**
+ * Retorna URL do conteúdo do arquivo (pode apontar para um servidor fake local)
+ * @param {string} fileId - ID do arquivo
+ * @param {string} override - URL base informada explicitamente
+ * @returns {string} - URL do download
+ */
+function getDownloadUrl(fileId, override) {
+    const base = override || process.env.DRIVE_DOWNLOAD_URL || DEFAULT_DOWNLOAD_URL;
+    return `${base}/${fileId}?alt=media&supportsAllDrives=true`;
+}
+
+/**
+ * Divide o arquivo em segmentos contíguos
+ * @param {number} fileSize - Tamanho total
+ * @param {number} segments - Quantidade desejada
+ * @returns {Array} - [{ start, end, downloaded }]
+ */
+function planSegments(fileSize, segments) {
+    const minBytes = (parseFloat(process.env.DOWNLOAD_SEGMENT_MIN_MB) || DEFAULT_SEGMENT_MIN_MB) * 1024 * 1024;
+    const count = Math.max(1, Math.min(segments, Math.floor(fileSize / minBytes)));
+    const segmentSize = Math.ceil(fileSize / count);
+    const plan = [];
+
+    for (let start = 0; start < fileSize; start += segmentSize) {
+        plan.push({ start, end: Math.min(start + segmentSize, fileSize) - 1, downloaded: 0 });
+    }
+
+    return plan;
+}
+
+/**
+ * Lê o progresso salvo do .part (descarta se for de outra versão do arquivo)
+ * @param {string} statePath - Caminho do .part.json
+ * @param {Object} expected - { fileId, fileSize, md5Checksum }
+ * @returns {Object|null} - Estado salvo
+ */
+function loadPartState(statePath, expected) {
+    try {
+        if (!fs.existsSync(statePath)) return null;
+
+        const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+        const sameFile = state.fileId === expected.fileId &&
+            state.fileSize === expected.fileSize &&
+            (state.md5Checksum || null) === (expected.md5Checksum || null);
+
+        return sameFile ? state : null;
+    } catch (error) {
+        console.warn('⚠️ Progresso do download inválido, recomeçando:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Salva progresso do .part de forma atômica
+ * @param {string} statePath - Caminho do .part.json
+ * @param {Object} state - Estado atual
+ */
+function savePartState(statePath, state) {
+    const tmpFile = `${statePath}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify({ ...state, updatedAt: new Date().toISOString() }, null, 2));
+    fs.renameSync(tmpFile, statePath);
+}
+
+/**
+ * Calcula MD5 do arquivo em streaming
+ * @param {string} filePath - Caminho do arquivo
+ * @returns {Promise<string>} - Hash hexadecimal
+ */
+function computeMd5(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('md5');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+/**
+ * Indica se o erro pode ser resolvido tentando novamente
+ * @param {Error} error - Erro ocorrido
+ * @returns {boolean} - Se vale a pena tentar de novo
+ */
+function isRetryableError(error) {
+    if (!error.response) return true; // Falha de rede/conexão
+    const status = error.response.status;
+    return status >= 500 || status === 429 || status === 408;
+}
+
+/**
+ * Baixa um segmento a partir do que já foi gravado, escrevendo direto na posição do .part
+ * @param {Object} context - { url, fd, state, statePath, getAccessToken, onBytes }
+ * @param {Object} segment - { start, end, downloaded }
+ * @param {string} accessToken - Token de acesso
+ */
+async function downloadSegment(context, segment, accessToken) {
+    const { url, fd, state, statePath, onBytes } = context;
+    const from = segment.start + segment.downloaded;
+    if (from > segment.end || context.aborted) return;
+
+    const response = await axios({
+        method: 'GET',
+        url,
+        responseType: 'stream',
+        timeout: 60000, // 60 segundos sem resposta
+        headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            'Range': `bytes=${from}-${segment.end}`
+        },
+        validateStatus: () => true
+    });
+
+    // Outro segmento falhou enquanto esta requisição aguardava resposta
+    if (context.aborted) {
+        response.data.destroy();
+        throw Object.assign(new Error('❌ Download interrompido'), { code: 'ABORTED' });
+    }
+
+    if (response.status !== 206 && !(response.status === 200 && from === 0 && segment.end === state.fileSize - 1)) {
+        response.data.destroy();
+        const error = new Error(`❌ Falha no download (${response.status}${response.status === 200 ? ': servidor ignorou o Range' : ''})`);
+        error.code = response.status;
+        error.response = response;
+        throw error;
+    }
+
+    let unsaved = 0;
+
+    // Registrado para ser interrompido se outro segmento falhar
+    context.streams.add(response.data);
+
+    await new Promise((resolve, reject) => {
+        response.data.on('data', (chunk) => {
+            if (context.aborted) return;
+
+            // Nunca gravar além do fim do segmento
+            const length = Math.min(chunk.length, segment.end - (segment.start + segment.downloaded) + 1);
+            if (length <= 0) return;
+
+            fs.writeSync(fd, chunk, 0, length, segment.start + segment.downloaded);
+            segment.downloaded += length;
+            unsaved += length;
+            onBytes(length);
+
+            if (unsaved >= STATE_SAVE_INTERVAL_BYTES) {
+                unsaved = 0;
+                savePartState(statePath, state);
+            }
+        });
+        response.data.on('end', resolve);
+        response.data.on('error', reject);
+    }).finally(() => context.streams.delete(response.data));
+
+    savePartState(statePath, state);
+
+    if (segment.start + segment.downloaded <= segment.end) {
+        throw new Error('❌ Conexão encerrada antes do fim do segmento');
+    }
+}
+
+/**
+ * Baixa um segmento com novas tentativas (retoma do último byte gravado)
+ * @param {Object} context - Contexto do download
+ * @param {Object} segment - Segmento
+ * @param {number} maxRetries - Tentativas consecutivas
+ */
+async function downloadSegmentWithRetry(context, segment, maxRetries) {
+    let accessToken = await context.getAccessToken();
+    let failures = 0;
+
+    while (true) {
+        const before = segment.downloaded;
+
+        try {
+            await downloadSegment(context, segment, accessToken);
+            return;
+        } catch (error) {
+            // Outro segmento falhou: parar sem novas tentativas
+            if (context.aborted) throw error;
+
+            // Progresso nesta tentativa zera a contagem de falhas consecutivas
+            failures = segment.downloaded > before ? 1 : failures + 1;
+
+            if (error.code === 401 && failures <= maxRetries) {
+                console.log('\n🔑 Token expirado, renovando...');
+                accessToken = await context.getAccessToken();
+            } else if (!isRetryableError(error) || failures > maxRetries) {
+                throw error;
+            } else {
+                const delay = Math.min(1000 * Math.pow(2, failures - 1), 60000);
+                console.log(`\n⚠️ Falha no download (${error.message}), retomando em ${delay / 1000}s...`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+                if (context.aborted) throw error;
+            }
+        }
+    }
+}
+
+/**
+ * Interrompe todos os segmentos em andamento (nenhum grava mais no .part)
+ * @param {Object} context - Contexto do download
+ */
+function abortSegments(context) {
+    context.aborted = true;
+    context.streams.forEach(stream => stream.destroy(Object.assign(new Error('❌ Download interrompido'), { code: 'ABORTED' })));
+}
+
+/**
+ * Confere o arquivo baixado com os metadados do Drive (tamanho e MD5)
+ * @param {string} filePath - Caminho do arquivo
+ * @param {Object} expected - { fileSize, md5Checksum }
+ * @returns {Object} - { md5Checksum }
+ */
+async function verifyDownload(filePath, expected) {
+    const actualSize = fs.statSync(filePath).size;
+    if (actualSize !== expected.fileSize) {
+        throw Object.assign(
+            new Error(`❌ Tamanho divergente: esperado ${expected.fileSize}, baixado ${actualSize}`),
+            { code: 'CHECKSUM_MISMATCH' }
+        );
+    }
+
+    if (!expected.md5Checksum) {
+        console.log('⚠️ Drive não informou md5Checksum, verificado apenas o tamanho');
+        return { md5Checksum: null };
+    }
+
+    console.log('🔐 Verificando MD5...');
+    const md5Checksum = await computeMd5(filePath);
+    if (md5Checksum !== expected.md5Checksum) {
+        throw Object.assign(
+            new Error(`❌ MD5 divergente: esperado ${expected.md5Checksum}, baixado ${md5Checksum}`),
+            { code: 'CHECKSUM_MISMATCH' }
+        );
+    }
+
+    console.log('✅ MD5 confere');
+    return { md5Checksum };
+}
+
+/**
+ * Baixa arquivo do Drive em .part com retomada por Range e segmentos paralelos
+ * O arquivo final só aparece depois de conferido com size/md5Checksum do Drive
+ * @param {Object} options - Opções do download
+ * @param {string} options.fileId - ID do arquivo no Drive
+ * @param {string} options.filePath - Caminho final
+ * @param {number} options.fileSize - Tamanho informado pelo Drive
+ * @param {string} options.md5Checksum - MD5 informado pelo Drive (opcional)
+ * @param {Function} options.getAccessToken - Função async que retorna o access token
+ * @param {number} options.segments - Segmentos paralelos (opcional, padrão DOWNLOAD_SEGMENTS)
+ * @param {string} options.downloadUrl - URL base (opcional)
+ * @param {number} options.maxRetries - Tentativas consecutivas por segmento (opcional)
+ * @param {Function} options.onProgress - Callback com bytes gravados (opcional)
+ * @returns {Object} - { filePath, fileSize, md5Checksum, resumedBytes }
+ */
+async function downloadFileResumable(options) {
+    const { fileId, filePath, fileSize, md5Checksum, getAccessToken, downloadUrl, onProgress } = options;
+    const segments = options.segments || parseInt(process.env.DOWNLOAD_SEGMENTS) || DEFAULT_SEGMENTS;
+    const maxRetries = options.maxRetries || DEFAULT_MAX_RETRIES;
+    const partPath = `${filePath}.part`;
+    const statePath = `${partPath}.json`;
+    const expected = { fileId, fileSize, md5Checksum: md5Checksum || null };
+
+    // 1. Retomar .part existente ou começar do zero
+    let state = fs.existsSync(partPath) ? loadPartState(statePath, expected) : null;
+
+    if (state) {
+        const done = state.segments.reduce((total, segment) => total + segment.downloaded, 0);
+        console.log(`▶️ Retomando download a partir de ${(done / 1024 / 1024).toFixed(1)}MB (${state.segments.length} segmento(s))`);
+    } else {
+        [partPath, statePath].forEach(file => fs.existsSync(file) && fs.unlinkSync(file));
+        state = { ...expected, segments: planSegments(fileSize, segments), createdAt: new Date().toISOString() };
+        fs.closeSync(fs.openSync(partPath, 'w'));
+        savePartState(statePath, state);
+
+        if (state.segments.length > 1) {
+            console.log(`🧩 Download em ${state.segments.length} segmentos paralelos`);
+        }
+    }
+
+    const resumedBytes = state.segments.reduce((total, segment) => total + segment.downloaded, 0);
+    let downloadedBytes = resumedBytes;
+
+    // 2. Baixar segmentos pendentes em paralelo
+    const fd = fs.openSync(partPath, 'r+');
+    const context = {
+        url: getDownloadUrl(fileId, downloadUrl),
+        fd,
+        state,
+        statePath,
+        getAccessToken,
+        streams: new Set(),
+        aborted: false,
+        onBytes: (bytes) => {
+            downloadedBytes += bytes;
+            if (onProgress) onProgress(downloadedBytes);
+        }
+    };
+
+    // A primeira falha interrompe os demais; o .part só é fechado depois que todos pararam
+    const results = await Promise.allSettled(state.segments.map(segment =>
+        downloadSegmentWithRetry(context, segment, maxRetries).catch(error => {
+            if (!context.aborted) abortSegments(context);
+            throw error;
+        })
+    ));
+
+    fs.closeSync(fd);
+    savePartState(statePath, state);
+
+    const failure = results.find(result => result.status === 'rejected' && result.reason.code !== 'ABORTED')
+        || results.find(result => result.status === 'rejected');
+    if (failure) {
+        throw failure.reason;
+    }
+
+    // 3. Conferir antes de entregar ao upload (divergência é falha, não aviso)
+    try {
+        const verified = await verifyDownload(partPath, expected);
+        fs.renameSync(partPath, filePath);
+        fs.unlinkSync(statePath);
+
+        return { filePath, fileSize, md5Checksum: verified.md5Checksum, resumedBytes };
+    } catch (error) {
+        [partPath, statePath].forEach(file => fs.existsSync(file) && fs.unlinkSync(file));
+        throw error;
+    }
+}
+
+module.exports = {
+    downloadFileResumable,
+    getDownloadUrl,
+    verifyDownload,
+    computeMd5,
+    planSegments
+};
+
+/*
+🎯 PRINCIPAIS FUNCIONALIDADES:
+🔄 DOWNLOAD RESUMÍVEL:
+Conteúdo baixado em <arquivo>.part com HTTP Range
+Progresso por segmento persistido em <arquivo>.part.json
+Retomada após queda de conexão ou crash do processo
+⚡ SEGMENTOS PARALELOS:
+✅ DOWNLOAD_SEGMENTS define quantos (padrão 1)
+✅ Segmentos de pelo menos DOWNLOAD_SEGMENT_MIN_MB
+🔐 VERIFICAÇÃO:
+✅ Tamanho e md5Checksum conferidos com o Drive
+✅ Divergência apaga o .part e falha o download
+🧪 TESTÁVEL:
+✅ Endpoint configurável (DRIVE_DOWNLOAD_URL)
+✅ Token injetável via getAccessToken
+*/
@@ -0,0 +1,460 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { recordQuotaUsage } = require('./quota-ledger');
+require('dotenv').config();
+
+// Endpoint padrão de upload resumível do YouTube
+const DEFAULT_UPLOAD_URL = 'https://www.googleapis.com/upload/youtube/v3/videos';
+
+// O YouTube exige chunks múltiplos de 256KB (exceto o último)
+const CHUNK_GRANULARITY = 256 * 1024;
+const DEFAULT_CHUNK_MB = 8;
+const DEFAULT_MAX_RETRIES = 8;
+
+// Arquivo onde as sessões em andamento são persistidas
+const SESSIONS_FILE = path.join(__dirname, '..', 'upload_sessions.json');
+
+/**
+ * Retorna URL base do upload (pode apontar para um servidor fake local)
+ * @param {string} override - URL informada explicitamente
+ * @returns {string} - URL do endpoint de upload
+ */
+function getUploadUrl(override) {
+    return override || process.env.YOUTUBE_UPLOAD_URL || DEFAULT_UPLOAD_URL;
+}
+
+/**
+ * Calcula tamanho do chunk respeitando a granularidade de 256KB
+ * @param {number} chunkSize - Tamanho desejado em bytes (opcional)
+ * @returns {number} - Tamanho do chunk em bytes
+ */
+function getChunkSize(chunkSize) {
+    const requested = chunkSize || (parseFloat(process.env.YOUTUBE_UPLOAD_CHUNK_MB) || DEFAULT_CHUNK_MB) * 1024 * 1024;
+    const chunks = Math.max(1, Math.floor(requested / CHUNK_GRANULARITY));
+    return chunks * CHUNK_GRANULARITY;
+}
+
+/**
+ * Lê todas as sessões salvas em disco
+ * @returns {Object} - Mapa chave → sessão
+ */
+function loadSessions() {
+    try {
+        if (fs.existsSync(SESSIONS_FILE)) {
+            return JSON.parse(fs.readFileSync(SESSIONS_FILE, 'utf8'));
+        }
+    } catch (error) {
+        console.warn('⚠️ Erro ao ler sessões de upload:', error.message);
+    }
+    return {};
+}
+
+/**
+ * Grava sessões em disco de forma atômica (arquivo temporário + rename)
+ * @param {Object} sessions - Mapa chave → sessão
+ */
+function writeSessions(sessions) {
+    const tmpFile = `${SESSIONS_FILE}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(sessions, null, 2));
+    fs.renameSync(tmpFile, SESSIONS_FILE);
+}
+
+/**
+ * Obtém sessão salva para uma chave
+ * @param {string} key - Chave da sessão
+ * @returns {Object|null} - Sessão salva ou null
+ */
+function getSavedSession(key) {
+    return loadSessions()[key] || null;
+}
+
+/**
+ * Salva (ou atualiza) sessão para uma chave
+ * @param {string} key - Chave da sessão
+ * @param {Object} session - Dados da sessão
+ */
+function saveSession(key, session) {
+    const sessions = loadSessions();
+    sessions[key] = { ...session, updatedAt: new Date().toISOString() };
+    writeSessions(sessions);
+}
+
+/**
+ * Remove sessão salva
+ * @param {string} key - Chave da sessão
+ */
+function clearSession(key) {
+    const sessions = loadSessions();
+    if (sessions[key]) {
+        delete sessions[key];
+        writeSessions(sessions);
+    }
+}
+
+/**
+ * Gera chave estável para identificar a sessão de um arquivo
+ * @param {Object} videoFile - Informações do arquivo
+ * @param {string} pageId - ID da página no Notion (opcional)
+ * @returns {string} - Chave da sessão
+ */
+function buildSessionKey(videoFile, pageId = null) {
+    const base = `${path.resolve(videoFile.filePath)}:${videoFile.fileSize}`;
+    return pageId ? `${pageId}:${base}` : base;
+}
+
+/**
+ * Extrai o último byte confirmado do header Range (ex: "bytes=0-1048575")
+ * @param {string} rangeHeader - Valor do header Range
+ * @returns {number} - Próximo offset a enviar
+ */
+function parseRangeHeader(rangeHeader) {
+    if (!rangeHeader) return 0;
+
+    const match = /bytes=(\d+)-(\d+)/.exec(rangeHeader);
+    if (!match) return 0;
+
+    return parseInt(match[2]) + 1;
+}
+
+/**
+ * Cria erro HTTP no formato esperado pelo restante do código (error.code = status)
+ * @param {string} message - Mensagem do erro
+ * @param {Object} response - Resposta do axios
+ * @returns {Error} - Erro com código HTTP
+ */
+function createHttpError(message, response) {
+    const detail = response.data?.error?.message || response.statusText || '';
+    const error = new Error(`${message} (${response.status}${detail ? ': ' + detail : ''})`);
+    error.code = response.status;
+    error.response = response;
+    return error;
+}
+
+/**
+ * Indica se o erro pode ser resolvido tentando novamente
+ * @param {Error} error - Erro ocorrido
+ * @returns {boolean} - Se vale a pena tentar de novo
+ */
+function isRetryableError(error) {
+    if (!error.response) return true; // Falha de rede/conexão
+    const status = error.response.status;
+    return status >= 500 || status === 429 || status === 408;
+}
+
+/**
+ * Inicia uma sessão de upload resumível
+ * @param {Object} params - Parâmetros da sessão
+ * @returns {string} - URI da sessão
+ */
+async function createUploadSession({ requestBody, fileSize, mimeType, accessToken, uploadUrl }) {
+    console.log('🆕 Criando sessão de upload resumível...');
+    recordQuotaUsage('videos.insert');
+
+    const response = await axios({
+        method: 'POST',
+        url: `${getUploadUrl(uploadUrl)}?uploadType=resumable&part=snippet,status`,
+        data: requestBody,
+        headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            'Content-Type': 'application/json; charset=UTF-8',
+            'X-Upload-Content-Length': String(fileSize),
+            'X-Upload-Content-Type': mimeType
+        },
+        validateStatus: () => true
+    });
+
+    if (response.status !== 200 || !response.headers.location) {
+        throw createHttpError('❌ Falha ao criar sessão de upload', response);
+    }
+
+    console.log('✅ Sessão criada');
+    return response.headers.location;
+}
+
+/**
+ * Consulta no servidor quantos bytes já foram confirmados
+ * @param {Object} session - Sessão salva (sessionUri, fileSize)
+ * @param {string} accessToken - Token de acesso
+ * @returns {Object} - { offset } ou { complete, video } ou { expired }
+ */
+async function queryUploadStatus(session, accessToken) {
+    const response = await axios({
+        method: 'PUT',
+        url: session.sessionUri,
+        headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            'Content-Length': '0',
+            'Content-Range': `bytes */${session.fileSize}`
+        },
+        validateStatus: () => true
+    });
+
+    if (response.status === 200 || response.status === 201) {
+        return { complete: true, video: response.data };
+    }
+
+    if (response.status === 308) {
+        return { offset: parseRangeHeader(response.headers.range) };
+    }
+
+    if (response.status === 404 || response.status === 410) {
+        return { expired: true };
+    }
+
+    throw createHttpError('❌ Falha ao consultar sessão de upload', response);
+}
+
+/**
+ * Consulta o offset confirmado para retomar o envio
+ * Erros de rede/5xx sobem como erro comum (quem chama tenta de novo); sessão expirada nunca é retentada
+ * @param {Object} session - Sessão salva
+ * @param {string} sessionKey - Chave da sessão
+ * @param {string} accessToken - Token de acesso
+ * @returns {Object} - { offset } ou { complete, video }
+ */
+async function resolveUploadOffset(session, sessionKey, accessToken) {
+    const status = await queryUploadStatus(session, accessToken);
+
+    if (status.complete) {
+        clearSession(sessionKey);
+        return status;
+    }
+
+    if (status.expired) {
+        clearSession(sessionKey);
+        throw Object.assign(new Error('❌ Sessão de upload expirou durante o envio'), { sessionExpired: true });
+    }
+
+    saveSession(sessionKey, { ...session, offset: status.offset });
+    return status;
+}
+
+/**
+ * Envia um chunk a partir de um offset
+ * @param {Object} session - Sessão salva
+ * @param {Buffer} chunk - Dados do chunk
+ * @param {number} start - Offset inicial
+ * @param {string} accessToken - Token de acesso
+ * @returns {Object} - { offset } ou { complete, video }
+ */
+async function uploadChunk(session, chunk, start, accessToken) {
+    const end = start + chunk.length - 1;
+
+    const response = await axios({
+        method: 'PUT',
+        url: session.sessionUri,
+        data: chunk,
+        headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            'Content-Type': session.mimeType,
+            'Content-Range': `bytes ${start}-${end}/${session.fileSize}`
+        },
+        maxBodyLength: Infinity,
+        maxContentLength: Infinity,
+        validateStatus: () => true
+    });
+
+    if (response.status === 200 || response.status === 201) {
+        return { complete: true, video: response.data };
+    }
+
+    if (response.status === 308) {
+        return { offset: parseRangeHeader(response.headers.range) };
+    }
+
+    throw createHttpError('❌ Falha ao enviar chunk', response);
+}
+
+/**
+ * Retoma a sessão salva para a chave ou cria uma nova
+ * @param {Object} params - { sessionKey, fileSize, mimeType, requestBody, uploadUrl, accessToken }
+ * @returns {Object} - { session, offset } ou { video } se o upload já havia terminado (offset null = desconhecido)
+ */
+async function openUploadSession({ sessionKey, fileSize, mimeType, requestBody, uploadUrl, accessToken }) {
+    let session = getSavedSession(sessionKey);
+    let offset = 0;
+
+    // 1. Tentar retomar sessão existente
+    if (session && session.fileSize !== fileSize) {
+        console.log('⚠️ Sessão salva não corresponde ao arquivo, descartando');
+        clearSession(sessionKey);
+        session = null;
+    }
+
+    if (session) {
+        console.log('🔄 Sessão de upload encontrada, consultando servidor...');
+        let status;
+        try {
+            status = await queryUploadStatus(session, accessToken);
+        } catch (error) {
+            // Servidor indisponível: mantém a sessão, o offset é consultado de novo antes do envio
+            console.log(`⚠️ Não foi possível consultar a sessão (${error.message}), offset desconhecido`);
+            return { session, offset: null };
+        }
+
+        if (status.complete) {
+            console.log('✅ Upload já havia sido concluído');
+            clearSession(sessionKey);
+            return { video: status.video };
+        }
+
+        if (status.expired) {
+            console.log('⌛ Sessão expirada, iniciando nova');
+            clearSession(sessionKey);
+            session = null;
+        } else {
+            offset = status.offset;
+            console.log(`▶️ Retomando a partir de ${(offset / 1024 / 1024).toFixed(1)}MB`);
+        }
+    }
+
+    // 2. Criar nova sessão se necessário
+    if (!session) {
+        const sessionUri = await createUploadSession({ requestBody, fileSize, mimeType, accessToken, uploadUrl });
+        session = { sessionUri, fileSize, mimeType, offset: 0, createdAt: new Date().toISOString() };
+        saveSession(sessionKey, session);
+    }
+
+    return { session, offset };
+}
+
+/**
+ * Lê um trecho do arquivo a partir de um offset
+ * @param {number} fd - Descritor do arquivo
+ * @param {number} offset - Posição inicial
+ * @param {number} length - Quantidade de bytes
+ * @returns {Buffer} - Dados lidos
+ */
+function readChunk(fd, offset, length) {
+    const buffer = Buffer.alloc(length);
+    const bytesRead = fs.readSync(fd, buffer, 0, length, offset);
+    return bytesRead < length ? buffer.subarray(0, bytesRead) : buffer;
+}
+
+/**
+ * Faz upload resumível de um arquivo, retomando sessões salvas após falhas
+ * @param {Object} options - Opções do upload
+ * @param {string} options.filePath - Caminho do arquivo
+ * @param {number} options.fileSize - Tamanho do arquivo
+ * @param {string} options.mimeType - Tipo do arquivo
+ * @param {Object} options.requestBody - Metadados (snippet/status)
+ * @param {string} options.sessionKey - Chave para persistir a sessão
+ * @param {Function} options.getAccessToken - Função async que retorna o access token
+ * @param {string} options.uploadUrl - Endpoint de upload (opcional)
+ * @param {number} options.chunkSize - Tamanho do chunk (opcional)
+ * @param {number} options.maxRetries - Tentativas consecutivas por chunk (opcional)
+ * @param {Function} options.onProgress - Callback com bytes confirmados (opcional)
+ * @returns {Object} - Recurso do vídeo criado
+ */
+async function uploadFileResumable(options) {
+    const {
+        filePath,
+        fileSize,
+        mimeType,
+        requestBody,
+        sessionKey,
+        getAccessToken,
+        uploadUrl,
+        onProgress
+    } = options;
+    const chunkSize = getChunkSize(options.chunkSize);
+    const maxRetries = options.maxRetries || DEFAULT_MAX_RETRIES;
+
+    let accessToken = await getAccessToken();
+
+    // 1-2. Retomar sessão salva ou criar nova
+    const opened = await openUploadSession({ sessionKey, fileSize, mimeType, requestBody, uploadUrl, accessToken });
+    if (opened.video) {
+        return opened.video;
+    }
+    const { session } = opened;
+    let offset = opened.offset;
+
+    // 3. Enviar chunks (offset null = desconhecido após falha, consultado antes do próximo envio)
+    const fd = fs.openSync(filePath, 'r');
+    let failures = 0;
+
+    try {
+        while (true) {
+            try {
+                if (offset === null) {
+                    const status = await resolveUploadOffset(session, sessionKey, accessToken);
+                    if (status.complete) {
+                        if (onProgress) onProgress(fileSize);
+                        return status.video;
+                    }
+                    offset = status.offset;
+                }
+
+                const chunk = readChunk(fd, offset, Math.min(chunkSize, fileSize - offset));
+                const result = await uploadChunk(session, chunk, offset, accessToken);
+
+                if (result.complete) {
+                    if (onProgress) onProgress(fileSize);
+                    clearSession(sessionKey);
+                    return result.video;
+                }
+
+                offset = result.offset;
+                failures = 0;
+                saveSession(sessionKey, { ...session, offset });
+                if (onProgress) onProgress(offset);
+
+            } catch (error) {
+                if (error.sessionExpired) throw error;
+
+                failures++;
+
+                if (error.code === 401 && failures <= maxRetries) {
+                    console.log('\n🔑 Token expirado, renovando...');
+                    accessToken = await getAccessToken();
+                } else if (!isRetryableError(error) || failures > maxRetries) {
+                    throw error;
+                } else {
+                    const delay = Math.min(1000 * Math.pow(2, failures - 1), 60000);
+                    console.log(`\n⚠️ Falha no chunk (${error.message}), nova tentativa em ${delay / 1000}s...`);
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                }
+
+                // Perguntar ao servidor o que realmente foi gravado antes de reenviar
+                offset = null;
+            }
+        }
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+module.exports = {
+    uploadFileResumable,
+    openUploadSession,
+    createUploadSession,
+    queryUploadStatus,
+    resolveUploadOffset,
+    uploadChunk,
+    buildSessionKey,
+    getSavedSession,
+    saveSession,
+    clearSession,
+    parseRangeHeader,
+    getChunkSize,
+    isRetryableError,
+    CHUNK_GRANULARITY
+};
+
+/*
+🎯 PRINCIPAIS FUNCIONALIDADES:
+🔄 UPLOAD RESUMÍVEL:
+Sessão resumível do YouTube (uploadType=resumable)
+Envio em chunks múltiplos de 256KB
+URI da sessão e offset persistidos em upload_sessions.json
+🛡️ RECUPERAÇÃO DE FALHAS:
+✅ Consulta do range confirmado após erro (falha na consulta também é retentada)
+✅ Retomada após crash do processo
+✅ Backoff exponencial em erros 5xx/429/rede
+✅ Renovação de token em 401
+🧪 TESTÁVEL:
+✅ Endpoint configurável (YOUTUBE_UPLOAD_URL)
+✅ Token injetável via getAccessToken
+*/
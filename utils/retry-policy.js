@@ -0,0 +1,169 @@
+const { getNextResetTime } = require('./quota-ledger');
+require('dotenv').config();
+
+// Tentativas antes de mover a página para "Failed"
+const RETRY_MAX_ATTEMPTS = parseInt(process.env.RETRY_MAX_ATTEMPTS) || 5;
+
+// Backoff exponencial: 30min, 1h, 2h, 4h... limitado a RETRY_MAX_DELAY_HOURS
+const RETRY_BASE_DELAY_MINUTES = parseInt(process.env.RETRY_BASE_DELAY_MINUTES) || 30;
+const RETRY_MAX_DELAY_HOURS = parseInt(process.env.RETRY_MAX_DELAY_HOURS) || 24;
+
+// Erros de rede do Node/axios
+const TRANSIENT_NETWORK_CODES = [
+    'ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'ECONNABORTED', 'ENOTFOUND',
+    'EAI_AGAIN', 'EPIPE', 'ENETUNREACH', 'EHOSTUNREACH', 'ERR_NETWORK'
+];
+
+// Motivos (campo "reason" da API) de 403/429 que são cota/limite (transitórios), não permissão
+const QUOTA_PATTERN = /quota|rateLimitExceeded|userRateLimitExceeded|dailyLimitExceeded|uploadLimitExceeded/i;
+
+// Motivos que só se resolvem no reset diário da quota
+const DAILY_QUOTA_PATTERN = /quota|dailyLimitExceeded|uploadLimitExceeded/i;
+
+const TRANSIENT_MESSAGE_PATTERN = /socket hang up|timeout|timed out|network|temporarily|tempo esgotado|backend error|service unavailable/i;
+
+const PERMANENT_MESSAGE_PATTERN = /arquivo inválido|metadados inválidos|formato não suportado|muito pequeno|muito grande|não encontrado|not found|permission|permiss|insufficient|forbidden|invalid/i;
+
+/**
+ * Extrai status HTTP do erro (código numérico ou texto "status code 404")
+ * @param {Object} error - { code, message }
+ * @returns {number|null} - Status HTTP
+ */
+function getHttpStatus(error) {
+    const code = Number(error.code);
+    if (Number.isInteger(code) && code >= 100 && code < 600) {
+        return code;
+    }
+
+    const match = /status(?: code)? (\d{3})/i.exec(error.message || '');
+    return match ? parseInt(match[1]) : null;
+}
+
+/**
+ * Motivo informado pela API do Google (ex: quotaExceeded, forbidden)
+ * @param {Object} error - { reason, errors, response }
+ * @returns {string} - Motivo ou string vazia
+ */
+function getApiReason(error) {
+    return error.reason
+        || error.errors?.[0]?.reason
+        || error.response?.data?.error?.errors?.[0]?.reason
+        || '';
+}
+
+/**
+ * Classifica falha como transitória (tentar de novo) ou permanente
+ * Status HTTP e motivo da API vêm antes da mensagem (que pode ser traduzida)
+ * @param {Object} error - { code, message, step, reason }
+ * @returns {Object} - { kind: 'transient'|'permanent', reason, quota }
+ */
+function classifyError(error) {
+    const message = error.message || '';
+    const status = getHttpStatus(error);
+    const apiReason = getApiReason(error);
+    const isQuotaReason = QUOTA_PATTERN.test(apiReason);
+
+    if (error.code === 'DUPLICATE') {
+        return { kind: 'permanent', reason: 'Vídeo duplicado no canal' };
+    }
+
+    // Limite diário de Shorts: tenta de novo após o reset da quota
+    if (error.code === 'SHORTS_LIMIT') {
+        return { kind: 'transient', reason: 'Limite diário de Shorts', quota: true };
+    }
+
+    if (TRANSIENT_NETWORK_CODES.includes(error.code)) {
+        return { kind: 'transient', reason: `Erro de rede (${error.code})` };
+    }
+
+    if (status === 429 || ((status === 403 || status === null) && isQuotaReason)) {
+        return { kind: 'transient', reason: 'Cota ou limite de requisições', quota: DAILY_QUOTA_PATTERN.test(apiReason) };
+    }
+
+    if (status !== null) {
+        if (status >= 500 || status === 408) {
+            return { kind: 'transient', reason: `Erro do servidor (HTTP ${status})` };
+        }
+        if (status === 403) {
+            return { kind: 'permanent', reason: 'Sem permissão (HTTP 403)' };
+        }
+        if (status === 404) {
+            return { kind: 'permanent', reason: 'Arquivo ou recurso não encontrado (HTTP 404)' };
+        }
+        if (status >= 400) {
+            return { kind: 'permanent', reason: `Requisição rejeitada (HTTP ${status})` };
+        }
+    }
+
+    if (TRANSIENT_MESSAGE_PATTERN.test(message)) {
+        return { kind: 'transient', reason: 'Falha temporária' };
+    }
+
+    if (PERMANENT_MESSAGE_PATTERN.test(message)) {
+        return { kind: 'permanent', reason: 'Dados ou arquivo inválidos' };
+    }
+
+    // Desconhecido: tenta de novo, limitado por RETRY_MAX_ATTEMPTS
+    return { kind: 'transient', reason: 'Erro desconhecido' };
+}
+
+/**
+ * Calcula data da próxima tentativa (backoff exponencial com variação de ±10%)
+ * @param {number} attempts - Tentativas já realizadas (1 = primeira falha)
+ * @returns {Date} - Próxima tentativa
+ */
+function computeNextAttempt(attempts) {
+    const delayMinutes = Math.min(
+        RETRY_BASE_DELAY_MINUTES * Math.pow(2, Math.max(attempts - 1, 0)),
+        RETRY_MAX_DELAY_HOURS * 60
+    );
+    const jitter = 1 + (Math.random() * 0.2 - 0.1);
+
+    return new Date(Date.now() + delayMinutes * jitter * 60 * 1000);
+}
+
+/**
+ * Decide o que fazer após uma falha
+ * @param {Object} error - { code, message, step }
+ * @param {number} attempts - Total de tentativas, incluindo a atual
+ * @returns {Object} - { action: 'retry'|'fail', kind, reason, attempts, maxAttempts, nextAttemptAt }
+ */
+function decideRetry(error, attempts) {
+    const { kind, reason, quota } = classifyError(error);
+    const base = { kind, reason, attempts, maxAttempts: RETRY_MAX_ATTEMPTS };
+
+    if (kind === 'permanent') {
+        return { ...base, action: 'fail', nextAttemptAt: null };
+    }
+
+    if (attempts >= RETRY_MAX_ATTEMPTS) {
+        return { ...base, action: 'fail', reason: `${reason} (limite de ${RETRY_MAX_ATTEMPTS} tentativas)`, nextAttemptAt: null };
+    }
+
+    // Cota esgotada: não adianta tentar antes do reset diário
+    const nextAttempt = computeNextAttempt(attempts);
+    const resetAt = getNextResetTime();
+    const nextAttemptAt = quota && resetAt > nextAttempt ? resetAt : nextAttempt;
+
+    return { ...base, action: 'retry', nextAttemptAt: nextAttemptAt.toISOString() };
+}
+
+module.exports = {
+    classifyError,
+    decideRetry,
+    computeNextAttempt,
+    getHttpStatus,
+    RETRY_MAX_ATTEMPTS
+};
+
+/*
+🎯 PRINCIPAIS FUNCIONALIDADES:
+🔁 POLÍTICA DE RETENTATIVA:
+Transitórios (rede, 5xx, 429, cota) → status Error + "Next Attempt"
+Permanentes (400, 403, 404, arquivo inválido, duplicata) → status Failed
+Após RETRY_MAX_ATTEMPTS tentativas → status Failed
+⏱️ BACKOFF EXPONENCIAL:
+✅ RETRY_BASE_DELAY_MINUTES dobrando a cada tentativa
+✅ Limitado a RETRY_MAX_DELAY_HOURS
+✅ Variação de ±10% para não sincronizar execuções
+*/
@@ -0,0 +1,127 @@
+const { renderTemplate, buildDescriptionContext } = require('./template-engine');
+require('dotenv').config();
+
+// Título dos Shorts ({{title}} e demais variáveis dos templates de descrição)
+const SHORTS_TITLE_TEMPLATE = process.env.SHORTS_TITLE_TEMPLATE || '{{title}} #Shorts';
+
+// Hashtags próprias dos Shorts (separadas por vírgula ou espaço); #Shorts sempre entra
+const SHORTS_HASHTAGS = process.env.SHORTS_HASHTAGS || '#Shorts';
+
+// Playlist usada quando o Short não tem "Playlists" no Notion (vazio = nenhuma)
+const SHORTS_PLAYLIST = process.env.SHORTS_PLAYLIST !== undefined ? process.env.SHORTS_PLAYLIST.trim() : 'Shorts';
+
+const SHORTS_HASHTAG = '#Shorts';
+
+// Limite de título do YouTube
+const MAX_TITLE_LENGTH = 100;
+
+const FORMATS = {
+    SHORT: 'Short',
+    STANDARD: 'Standard'
+};
+
+/**
+ * Decide se o vídeo é Short: o select "Format" do Notion prevalece sobre a mídia
+ * @param {Object} videoData - Dados do vídeo (format vem do Notion)
+ * @param {Object} media - Resultado do ffprobe (opcional)
+ * @returns {Object} - { format, isShort, source: 'notion'|'media'|'default' }
+ */
+function resolveVideoFormat(videoData, media = null) {
+    const explicit = Object.values(FORMATS).find(format => format.toLowerCase() === String(videoData.format || '').trim().toLowerCase());
+
+    if (explicit) {
+        return { format: explicit, isShort: explicit === FORMATS.SHORT, source: 'notion' };
+    }
+
+    if (media) {
+        return { format: media.isShort ? FORMATS.SHORT : FORMATS.STANDARD, isShort: Boolean(media.isShort), source: 'media' };
+    }
+
+    return { format: FORMATS.STANDARD, isShort: false, source: 'default' };
+}
+
+/**
+ * Hashtags dos Shorts normalizadas, com #Shorts primeiro
+ * @returns {Array} - Hashtags (ex: ['#Shorts', '#Pregação'])
+ */
+function getShortsHashtags() {
+    const hashtags = SHORTS_HASHTAGS
+        .split(/[\s,]+/)
+        .map(tag => tag.replace(/^#/, '').replace(/[^\p{L}\p{N}_]/gu, ''))
+        .filter(tag => tag.length > 0)
+        .map(tag => `#${tag}`);
+
+    const unique = hashtags.filter((tag, index) => hashtags.findIndex(other => other.toLowerCase() === tag.toLowerCase()) === index);
+    const rest = unique.filter(tag => tag.toLowerCase() !== SHORTS_HASHTAG.toLowerCase());
+
+    return [SHORTS_HASHTAG, ...rest];
+}
+
+/**
+ * Variáveis extras dos templates de descrição dos Shorts
+ * @returns {Object} - { short, shortsHashtags }
+ */
+function getShortsContext() {
+    return {
+        short: true,
+        shortsHashtags: getShortsHashtags().join(' ')
+    };
+}
+
+/**
+ * Monta o título do Short (SHORTS_TITLE_TEMPLATE), garantindo #Shorts dentro dos 100 caracteres
+ * O título do Notion é encurtado antes, para a hashtag nunca ser cortada
+ * @param {Object} videoData - Dados do vídeo do Notion
+ * @returns {string} - Título final
+ */
+function buildShortsTitle(videoData) {
+    const context = { ...buildDescriptionContext(videoData), ...getShortsContext() };
+    const render = (title) => {
+        const rendered = renderTemplate(SHORTS_TITLE_TEMPLATE, { ...context, title }).replace(/\s+/g, ' ').trim();
+        return /#shorts\b/i.test(rendered) ? rendered : `${rendered} ${SHORTS_HASHTAG}`.trim();
+    };
+
+    let title = context.title.trim();
+    let result = render(title);
+
+    while (result.length > MAX_TITLE_LENGTH && title.length > 0) {
+        title = title.substring(0, Math.max(title.length - (result.length - MAX_TITLE_LENGTH), 0)).trim();
+        result = render(title);
+    }
+
+    return result;
+}
+
+/**
+ * Playlists do Short: as do Notion ou a playlist padrão dos Shorts
+ * @param {Object} videoData - Dados do vídeo do Notion
+ * @returns {Array} - Nomes das playlists
+ */
+function getShortsPlaylists(videoData) {
+    const playlists = videoData.playlists || [];
+    if (playlists.length > 0) return playlists;
+    return SHORTS_PLAYLIST ? [SHORTS_PLAYLIST] : [];
+}
+
+module.exports = {
+    FORMATS,
+    resolveVideoFormat,
+    buildShortsTitle,
+    getShortsHashtags,
+    getShortsContext,
+    getShortsPlaylists,
+    SHORTS_PLAYLIST
+};
+
+/*
+🎯 PRINCIPAIS FUNCIONALIDADES:
+📱 DETECÇÃO:
+Select "Format" do Notion (Short/Standard) prevalece
+Sem Format: vertical e até 60s pelo ffprobe
+🏷️ METADADOS DOS SHORTS:
+✅ Título por SHORTS_TITLE_TEMPLATE, sempre com #Shorts
+✅ Hashtags próprias (SHORTS_HASHTAGS)
+✅ Descrição em templates/description/shorts.txt (ou shorts-<categoria>.txt)
+📚 PLAYLIST:
+✅ SHORTS_PLAYLIST quando o Notion não define playlists
+*/
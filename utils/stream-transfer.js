@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const {
+    openUploadSession,
+    resolveUploadOffset,
+    uploadChunk,
+    saveSession,
+    clearSession,
+    getChunkSize,
+    isRetryableError
+} = require('./resumable-upload');
+const { getDownloadUrl } = require('./resumable-download');
+require('dotenv').config();
+
+const DEFAULT_MAX_RETRIES = 8;
+
+/**
+ * Abre o conteúdo do Drive como stream a partir de um offset
+ * @param {Object} params - { fileId, offset, fileSize, accessToken, downloadUrl }
+ * @returns {Stream} - Conteúdo a partir do offset
+ */
+async function openDriveStream({ fileId, offset, fileSize, accessToken, downloadUrl }) {
+    const response = await axios({
+        method: 'GET',
+        url: getDownloadUrl(fileId, downloadUrl),
+        responseType: 'stream',
+        timeout: 60000, // 60 segundos sem resposta
+        headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            'Range': `bytes=${offset}-${fileSize - 1}`
+        },
+        validateStatus: () => true
+    });
+
+    if (response.status !== 206 && !(response.status === 200 && offset === 0)) {
+        response.data.destroy();
+        const error = new Error(`❌ Falha ao abrir conteúdo do Drive (${response.status})`);
+        error.code = response.status;
+        error.response = response;
+        throw error;
+    }
+
+    return response.data;
+}
+
+/**
+ * Transfere o vídeo do Drive direto para uma sessão resumível do YouTube, sem gravar em disco
+ * Memória limitada a ~1 chunk: o stream do Drive fica pausado enquanto o chunk é enviado
+ * O MD5 é conferido antes do último chunk, então um conteúdo corrompido nunca vira vídeo publicado
+ * @param {Object} options - Opções da transferência
+ * @param {string} options.fileId - ID do arquivo no Drive
+ * @param {number} options.fileSize - Tamanho informado pelo Drive
+ * @param {string} options.md5Checksum - MD5 informado pelo Drive (opcional)
+ * @param {string} options.mimeType - Tipo do arquivo
+ * @param {Object} options.requestBody - Metadados (snippet/status)
+ * @param {string} options.sessionKey - Chave para persistir a sessão
+ * @param {Function} options.getAccessToken - Função async que retorna o access token do YouTube
+ * @param {Function} options.getDriveAccessToken - Função async que retorna o access token do Drive (padrão: getAccessToken)
+ * @param {string} options.uploadUrl - Endpoint de upload (opcional)
+ * @param {string} options.downloadUrl - URL base do Drive (opcional)
+ * @param {number} options.chunkSize - Tamanho do chunk (opcional)
+ * @param {number} options.maxRetries - Tentativas consecutivas (opcional)
+ * @param {Function} options.onProgress - Callback com bytes confirmados (opcional)
+ * @returns {Object} - Recurso do vídeo criado
+ */
+async function uploadDriveStreamResumable(options) {
+    const {
+        fileId,
+        fileSize,
+        md5Checksum,
+        mimeType,
+        requestBody,
+        sessionKey,
+        getAccessToken,
+        getDriveAccessToken = getAccessToken,
+        uploadUrl,
+        downloadUrl,
+        onProgress
+    } = options;
+    const chunkSize = getChunkSize(options.chunkSize);
+    const maxRetries = options.maxRetries || DEFAULT_MAX_RETRIES;
+
+    let accessToken = await getAccessToken();
+    let driveToken = await getDriveAccessToken();
+
+    // 1. Retomar sessão salva ou criar nova
+    const opened = await openUploadSession({ sessionKey, fileSize, mimeType, requestBody, uploadUrl, accessToken });
+    if (opened.video) {
+        return opened.video;
+    }
+    const { session } = opened;
+    let offset = opened.offset;
+
+    // 2. MD5 calculado durante a transferência (só possível começando do byte 0, decidido no primeiro offset conhecido)
+    const hash = crypto.createHash('md5');
+    let hashedBytes = 0;
+    let verifyHash = null;
+
+    /**
+     * Envia um chunk e atualiza o offset confirmado pelo servidor
+     * @param {Buffer} chunk - Dados a partir do offset atual
+     * @returns {Object} - Resultado do uploadChunk
+     */
+    const sendChunk = async (chunk) => {
+        const result = await uploadChunk(session, chunk, offset, accessToken);
+        if (!result.complete) {
+            offset = result.offset;
+            saveSession(sessionKey, { ...session, offset });
+            if (onProgress) onProgress(offset);
+        }
+        return result;
+    };
+
+    let failures = 0;
+
+    // 3. Ler do Drive a partir do offset confirmado e enviar chunk a chunk (offset null = desconhecido após falha)
+    while (true) {
+        let stream = null;
+
+        try {
+            if (offset === null) {
+                const status = await resolveUploadOffset(session, sessionKey, accessToken);
+                if (status.complete) {
+                    if (onProgress) onProgress(fileSize);
+                    return status.video;
+                }
+                offset = status.offset;
+            }
+
+            if (verifyHash === null) {
+                verifyHash = Boolean(md5Checksum) && offset === 0;
+                if (md5Checksum && offset > 0) {
+                    console.log('⚠️ Sessão retomada no meio do arquivo: MD5 não será conferido, apenas o tamanho');
+                }
+            }
+
+            stream = await openDriveStream({ fileId, offset, fileSize, accessToken: driveToken, downloadUrl });
+
+            // Pedaços acumulados até completar um chunk (concatenados uma vez por chunk)
+            let pieces = [];
+            let buffered = 0;
+
+            for await (const piece of stream) {
+                // Hash só dos bytes ainda não vistos (após reconexão o Drive reenvia trechos já lidos)
+                const pieceStart = offset + buffered;
+                const skip = Math.max(0, hashedBytes - pieceStart);
+                if (verifyHash && skip < piece.length) {
+                    hash.update(skip > 0 ? piece.subarray(skip) : piece);
+                    hashedBytes = pieceStart + piece.length;
+                }
+
+                pieces.push(piece);
+                buffered += piece.length;
+
+                // O último chunk fica retido até o MD5 ser conferido
+                if (buffered >= chunkSize && offset + chunkSize < fileSize) {
+                    let buffer = Buffer.concat(pieces, buffered);
+                    while (buffer.length >= chunkSize && offset + chunkSize < fileSize) {
+                        const before = offset;
+                        await sendChunk(buffer.subarray(0, chunkSize));
+                        buffer = buffer.subarray(offset - before);
+                        failures = 0;
+                    }
+                    pieces = buffer.length > 0 ? [buffer] : [];
+                    buffered = buffer.length;
+                }
+            }
+
+            let buffer = Buffer.concat(pieces, buffered);
+            if (offset + buffer.length !== fileSize) {
+                throw new Error('❌ Conexão com o Drive encerrada antes do fim do arquivo');
+            }
+
+            // 4. Conferir MD5 antes de concluir o upload
+            if (verifyHash) {
+                const digest = hash.digest('hex');
+                if (digest !== md5Checksum) {
+                    throw Object.assign(
+                        new Error(`❌ MD5 divergente: esperado ${md5Checksum}, recebido ${digest}`),
+                        { code: 'CHECKSUM_MISMATCH' }
+                    );
+                }
+                console.log('\n✅ MD5 confere');
+            }
+
+            // 5. Enviar o restante (o servidor pode confirmar menos que o enviado)
+            while (buffer.length > 0) {
+                const before = offset;
+                const result = await sendChunk(buffer);
+                if (result.complete) {
+                    if (onProgress) onProgress(fileSize);
+                    clearSession(sessionKey);
+                    return result.video;
+                }
+                buffer = buffer.subarray(offset - before);
+            }
+
+            throw new Error('❌ Upload não foi concluído após o último chunk');
+
+        } catch (error) {
+            if (stream) stream.destroy();
+
+            if (error.sessionExpired) throw error;
+
+            if (error.code === 'CHECKSUM_MISMATCH') {
+                clearSession(sessionKey);
+                throw error;
+            }
+
+            failures++;
+
+            if (error.code === 401 && failures <= maxRetries) {
+                console.log('\n🔑 Token expirado, renovando...');
+                accessToken = await getAccessToken();
+                driveToken = await getDriveAccessToken();
+            } else if (!isRetryableError(error) || failures > maxRetries) {
+                throw error;
+            } else {
+                const delay = Math.min(1000 * Math.pow(2, failures - 1), 60000);
+                console.log(`\n⚠️ Falha na transferência (${error.message}), nova tentativa em ${delay / 1000}s...`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+
+            // Perguntar ao servidor o que realmente foi gravado e reabrir o Drive dali
+            offset = null;
+        }
+    }
+}
+
+/**
+ * Chave da sessão de upload no modo streaming (não há caminho local)
+ * @param {Object} source - { driveFileId, fileSize }
+ * @param {string} pageId - ID da página no Notion (opcional)
+ * @returns {string} - Chave da sessão
+ */
+function buildStreamSessionKey(source, pageId = null) {
+    const base = `drive:${source.driveFileId}:${source.fileSize}`;
+    return pageId ? `${pageId}:${base}` : base;
+}
+
+module.exports = {
+    uploadDriveStreamResumable,
+    buildStreamSessionKey,
+    openDriveStream
+};
+
+/*
+🎯 PRINCIPAIS FUNCIONALIDADES:
+🌊 DRIVE → YOUTUBE SEM DISCO:
+Stream autenticado do Drive enviado direto para a sessão resumível
+Memória limitada a ~1 chunk (stream pausado durante cada envio)
+Arquivos maiores que o disco livre do runner
+🔐 VERIFICAÇÃO:
+✅ MD5 calculado durante a transferência
+✅ Último chunk só é enviado se o MD5 conferir com o Drive
+🛡️ RECUPERAÇÃO DE FALHAS:
+✅ Drive reaberto com Range a partir do offset confirmado pelo YouTube
+✅ Sessão persistida em upload_sessions.json (retomada após crash)
+✅ Backoff exponencial e renovação de token em 401
+*/
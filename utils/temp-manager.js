@@ -0,0 +1,348 @@
+const fs = require('fs');
+const path = require('path');
+const { getResumableJobs } = require('./job-store');
+require('dotenv').config();
+
+// Pasta dos downloads (a mesma de ensureTempDirectory)
+const TEMP_DIR = path.join(__dirname, '..', 'temp');
+
+// Índice do cache (último uso de cada vídeo baixado)
+const CACHE_INDEX_FILE = path.join(TEMP_DIR, 'cache-index.json');
+
+// Folga exigida além do tamanho do arquivo
+const DEFAULT_SPACE_MARGIN_MB = 512;
+
+// Tamanho máximo dos vídeos mantidos em temp/ para reenvio/nova tentativa
+const DEFAULT_CACHE_MAX_GB = 10;
+
+// .part sem progresso há mais tempo que isso é considerado abandonado
+const DEFAULT_PART_MAX_AGE_HOURS = 48;
+
+// Sufixos de arquivos de download em andamento
+const PART_SUFFIXES = ['.part', '.part.json', '.part.json.tmp'];
+
+/**
+ * Formata bytes para leitura humana
+ * @param {number} bytes - Tamanho em bytes
+ * @returns {string} - Tamanho formatado
+ */
+function formatBytes(bytes) {
+    if (bytes < 1024 * 1024 * 1024) {
+        return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+    }
+    return `${(bytes / 1024 / 1024 / 1024).toFixed(2)}GB`;
+}
+
+/**
+ * Limite do cache em bytes (TEMP_CACHE_MAX_GB)
+ * @returns {number} - Bytes
+ */
+function getCacheLimitBytes() {
+    const gb = parseFloat(process.env.TEMP_CACHE_MAX_GB);
+    return (isNaN(gb) ? DEFAULT_CACHE_MAX_GB : gb) * 1024 * 1024 * 1024;
+}
+
+/**
+ * Folga de espaço em bytes (TEMP_SPACE_MARGIN_MB)
+ * @returns {number} - Bytes
+ */
+function getSpaceMarginBytes() {
+    const mb = parseFloat(process.env.TEMP_SPACE_MARGIN_MB);
+    return (isNaN(mb) ? DEFAULT_SPACE_MARGIN_MB : mb) * 1024 * 1024;
+}
+
+/**
+ * Cria a pasta temp se necessário
+ * @returns {string} - Caminho da pasta
+ */
+function ensureTempDir() {
+    if (!fs.existsSync(TEMP_DIR)) {
+        fs.mkdirSync(TEMP_DIR, { recursive: true });
+    }
+    return TEMP_DIR;
+}
+
+/**
+ * Espaço livre no disco da pasta temp
+ * fs.statfsSync só existe a partir do Node 18.15: sem ele a checagem de espaço é pulada
+ * @param {string} dir - Pasta a consultar (padrão: temp/)
+ * @returns {number|null} - Bytes disponíveis para o usuário atual (null se não suportado)
+ */
+function getFreeSpace(dir = TEMP_DIR) {
+    if (typeof fs.statfsSync !== 'function') return null;
+
+    const stats = fs.statfsSync(fs.existsSync(dir) ? dir : path.dirname(dir));
+    return stats.bavail * stats.bsize;
+}
+
+/**
+ * Arquivos de jobs ainda em andamento (nunca saem do cache: o job vai precisar deles)
+ * @returns {Array} - Caminhos dos arquivos baixados
+ */
+function getActiveJobFiles() {
+    try {
+        return getResumableJobs()
+            .map(job => job.download && job.download.filePath)
+            .filter(Boolean);
+    } catch (error) {
+        console.warn('⚠️ Erro ao ler jobs em andamento:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Lê o índice do cache
+ * @returns {Object} - Mapa nome do arquivo → { size, lastUsedAt }
+ */
+function loadCacheIndex() {
+    try {
+        if (fs.existsSync(CACHE_INDEX_FILE)) {
+            return JSON.parse(fs.readFileSync(CACHE_INDEX_FILE, 'utf8'));
+        }
+    } catch (error) {
+        console.warn('⚠️ Índice do cache temporário inválido, recriando:', error.message);
+    }
+    return {};
+}
+
+/**
+ * Grava o índice do cache de forma atômica
+ * @param {Object} index - Mapa nome do arquivo → entrada
+ */
+function saveCacheIndex(index) {
+    ensureTempDir();
+    const tmpFile = `${CACHE_INDEX_FILE}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(index, null, 2));
+    fs.renameSync(tmpFile, CACHE_INDEX_FILE);
+}
+
+/**
+ * Indica se o arquivo é de controle (índice ou download em andamento)
+ * @param {string} fileName - Nome do arquivo
+ * @returns {boolean} - Se não deve entrar no cache
+ */
+function isControlFile(fileName) {
+    return fileName.startsWith('cache-index.json') || PART_SUFFIXES.some(suffix => fileName.endsWith(suffix));
+}
+
+/**
+ * Marca um vídeo baixado como usado agora (mais recente no LRU)
+ * @param {string} filePath - Caminho do arquivo em temp/
+ */
+function touchCachedFile(filePath) {
+    if (!fs.existsSync(filePath)) return;
+
+    const index = loadCacheIndex();
+    index[path.basename(filePath)] = {
+        size: fs.statSync(filePath).size,
+        lastUsedAt: new Date().toISOString()
+    };
+    saveCacheIndex(index);
+}
+
+/**
+ * Remove um arquivo do índice (o arquivo em si é apagado por quem chamou)
+ * @param {string} filePath - Caminho do arquivo
+ */
+function forgetCachedFile(filePath) {
+    const index = loadCacheIndex();
+    const fileName = path.basename(filePath);
+    if (index[fileName]) {
+        delete index[fileName];
+        saveCacheIndex(index);
+    }
+}
+
+/**
+ * Lista vídeos do cache, do menos para o mais recentemente usado
+ * Arquivos fora do índice (de versões antigas) entram com a data de modificação
+ * @returns {Array} - [{ fileName, filePath, size, lastUsedAt }]
+ */
+function listCachedFiles() {
+    if (!fs.existsSync(TEMP_DIR)) return [];
+
+    const index = loadCacheIndex();
+
+    return fs.readdirSync(TEMP_DIR)
+        .filter(fileName => !isControlFile(fileName))
+        .map(fileName => {
+            const filePath = path.join(TEMP_DIR, fileName);
+            const stats = fs.statSync(filePath);
+            if (!stats.isFile()) return null;
+
+            return {
+                fileName,
+                filePath,
+                size: stats.size,
+                lastUsedAt: index[fileName]?.lastUsedAt || stats.mtime.toISOString()
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => new Date(a.lastUsedAt) - new Date(b.lastUsedAt));
+}
+
+/**
+ * Remove vídeos menos usados até o cache caber no limite (e liberar bytes extras, se pedido)
+ * Arquivos de jobs em andamento são sempre protegidos, além dos informados em keep
+ * @param {Object} options - { maxBytes, freeBytes, keep: caminhos protegidos }
+ * @returns {Object} - { removed, freedBytes }
+ */
+function evictCachedFiles(options = {}) {
+    const { maxBytes = getCacheLimitBytes(), freeBytes = 0, keep = [] } = options;
+    const protectedNames = new Set([...keep, ...getActiveJobFiles()].filter(Boolean).map(filePath => path.basename(filePath)));
+    const files = listCachedFiles();
+    let total = files.reduce((sum, file) => sum + file.size, 0);
+    let freedBytes = 0;
+    const removed = [];
+
+    for (const file of files) {
+        if (total <= maxBytes && freedBytes >= freeBytes) break;
+        if (protectedNames.has(file.fileName)) continue;
+
+        try {
+            fs.unlinkSync(file.filePath);
+            forgetCachedFile(file.filePath);
+            total -= file.size;
+            freedBytes += file.size;
+            removed.push(file.fileName);
+            console.log(`🗑️ Cache: removido ${file.fileName} (${formatBytes(file.size)}, último uso ${new Date(file.lastUsedAt).toLocaleString('pt-BR')})`);
+        } catch (error) {
+            console.warn(`⚠️ Erro ao remover ${file.fileName} do cache:`, error.message);
+        }
+    }
+
+    return { removed, freedBytes };
+}
+
+/**
+ * Garante espaço para um download: tamanho + folga, liberando cache LRU se preciso
+ * @param {number} requiredBytes - Bytes que ainda serão gravados
+ * @param {Object} options - { keep: caminhos protegidos }
+ * @returns {Object} - { free, required }
+ */
+function ensureFreeSpace(requiredBytes, options = {}) {
+    ensureTempDir();
+    const required = Math.max(0, requiredBytes) + getSpaceMarginBytes();
+    let free = getFreeSpace();
+
+    if (free === null) {
+        console.log('⚠️ Verificação de espaço livre indisponível nesta versão do Node (requer 18.15+), seguindo sem checar');
+        return { free: null, required };
+    }
+
+    console.log(`💾 Espaço livre: ${formatBytes(free)} (necessário: ${formatBytes(required)})`);
+
+    if (free < required) {
+        console.log('🧹 Espaço insuficiente, liberando vídeos antigos do cache...');
+        // Só o necessário: o restante do cache continua disponível para reenvios
+        evictCachedFiles({ maxBytes: Infinity, freeBytes: required - free, keep: options.keep });
+        free = getFreeSpace();
+    }
+
+    if (free < required) {
+        throw Object.assign(
+            new Error(`❌ Espaço em disco insuficiente: ${formatBytes(free)} livres, ${formatBytes(required)} necessários`),
+            { code: 'ENOSPC' }
+        );
+    }
+
+    return { free, required };
+}
+
+/**
+ * Remove downloads parciais abandonados (.part sem progresso recente ou sem estado)
+ * @param {Object} options - { maxAgeHours }
+ * @returns {Array} - Arquivos removidos
+ */
+function sweepOrphanedParts(options = {}) {
+    if (!fs.existsSync(TEMP_DIR)) return [];
+
+    const hours = parseFloat(process.env.TEMP_PART_MAX_AGE_HOURS);
+    const { maxAgeHours = isNaN(hours) ? DEFAULT_PART_MAX_AGE_HOURS : hours } = options;
+    const cutoff = Date.now() - maxAgeHours * 60 * 60 * 1000;
+    const files = new Set(fs.readdirSync(TEMP_DIR));
+    const removed = [];
+
+    for (const fileName of files) {
+        const filePath = path.join(TEMP_DIR, fileName);
+        let orphaned = false;
+
+        if (fileName.endsWith('.part')) {
+            // Sem .part.json não há como retomar
+            orphaned = !files.has(`${fileName}.json`) || fs.statSync(filePath).mtimeMs < cutoff;
+        } else if (fileName.endsWith('.part.json')) {
+            orphaned = !files.has(fileName.slice(0, -'.json'.length)) || fs.statSync(filePath).mtimeMs < cutoff;
+        } else if (fileName.endsWith('.tmp')) {
+            orphaned = fs.statSync(filePath).mtimeMs < cutoff;
+        }
+
+        if (orphaned) {
+            try {
+                fs.unlinkSync(filePath);
+                removed.push(fileName);
+            } catch (error) {
+                console.warn(`⚠️ Erro ao remover ${fileName}:`, error.message);
+            }
+        }
+    }
+
+    if (removed.length > 0) {
+        console.log(`🧹 ${removed.length} download(s) parcial(is) abandonado(s) removido(s)`);
+    }
+
+    return removed;
+}
+
+/**
+ * Manutenção na inicialização: parciais abandonados, índice e limite do cache
+ * @returns {Object} - { sweptParts, evicted, cacheBytes, freeBytes }
+ */
+function initTempDirectory() {
+    ensureTempDir();
+
+    const sweptParts = sweepOrphanedParts();
+
+    // Entradas do índice cujo arquivo sumiu
+    const index = loadCacheIndex();
+    const stale = Object.keys(index).filter(fileName => !fs.existsSync(path.join(TEMP_DIR, fileName)));
+    if (stale.length > 0) {
+        stale.forEach(fileName => delete index[fileName]);
+        saveCacheIndex(index);
+    }
+
+    const { removed } = evictCachedFiles();
+    const cacheBytes = listCachedFiles().reduce((sum, file) => sum + file.size, 0);
+    const freeBytes = getFreeSpace();
+
+    console.log(`📦 Cache temp: ${formatBytes(cacheBytes)} de ${formatBytes(getCacheLimitBytes())} | 💾 Livre: ${freeBytes === null ? 'desconhecido' : formatBytes(freeBytes)}`);
+
+    return { sweptParts, evicted: removed, cacheBytes, freeBytes };
+}
+
+module.exports = {
+    TEMP_DIR,
+    getFreeSpace,
+    ensureFreeSpace,
+    touchCachedFile,
+    forgetCachedFile,
+    listCachedFiles,
+    evictCachedFiles,
+    sweepOrphanedParts,
+    initTempDirectory
+};
+
+/*
+🎯 PRINCIPAIS FUNCIONALIDADES:
+💾 ESPAÇO EM DISCO:
+Espaço livre real via fs.statfs (pulado em Node sem statfsSync)
+Exige tamanho do arquivo + TEMP_SPACE_MARGIN_MB antes do download
+Libera vídeos antigos do cache antes de falhar (ENOSPC)
+📦 CACHE LRU:
+✅ Vídeos baixados ficam para reenvio/nova tentativa
+✅ Limite total em TEMP_CACHE_MAX_GB
+✅ Menos usados removidos primeiro (índice em temp/cache-index.json)
+✅ Arquivos de jobs em andamento nunca são removidos
+🧹 LIMPEZA NA INICIALIZAÇÃO:
+✅ .part sem estado ou parado há TEMP_PART_MAX_AGE_HOURS
+✅ Entradas do índice sem arquivo
+*/
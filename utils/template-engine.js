@@ -0,0 +1,340 @@
+const fs = require('fs');
+const path = require('path');
+const { PUBLISH_TIMEZONE } = require('./publish-schedule');
+require('dotenv').config();
+
+// Pasta dos templates de descrição (um arquivo .txt por categoria)
+const DESCRIPTION_TEMPLATES_DIR = process.env.DESCRIPTION_TEMPLATES_DIR
+    || path.join(__dirname, '..', 'templates', 'description');
+
+const DEFAULT_TEMPLATE_NAME = 'default';
+
+// Templates dos Shorts: shorts-<categoria>.txt e shorts.txt
+const SHORTS_TEMPLATE_PREFIX = 'shorts';
+
+// Limite do YouTube para descrições
+const MAX_DESCRIPTION_LENGTH = 5000;
+
+// {{var}}, {{#secao}}, {{^invertida}}, {{/fim}}, {{! comentário }}
+const TAG_PATTERN = /{{\s*([#^\/!]?)\s*([\s\S]*?)\s*}}/g;
+
+/**
+ * Converte template em tokens, removendo linhas que contêm apenas tags de bloco
+ * @param {string} template - Texto do template
+ * @returns {Array} - Tokens { type, value, line }
+ */
+function tokenize(template) {
+    const tokens = [];
+    let cursor = 0;
+    let match;
+
+    TAG_PATTERN.lastIndex = 0;
+
+    while ((match = TAG_PATTERN.exec(template)) !== null) {
+        const [raw, sigil, name] = match;
+        let textBefore = template.slice(cursor, match.index);
+        let end = match.index + raw.length;
+
+        // Tags de bloco sozinhas na linha não deixam linha em branco
+        if (sigil) {
+            const lineStart = template.lastIndexOf('\n', match.index - 1) + 1;
+            const newline = template.indexOf('\n', end);
+            const lineEnd = newline === -1 ? template.length : newline;
+            const standalone = lineStart >= cursor
+                && /^[ \t]*$/.test(template.slice(lineStart, match.index))
+                && /^[ \t\r]*$/.test(template.slice(end, lineEnd));
+
+            if (standalone) {
+                textBefore = template.slice(cursor, lineStart);
+                end = newline === -1 ? template.length : newline + 1;
+            }
+        }
+
+        if (textBefore) {
+            tokens.push({ type: 'text', value: textBefore });
+        }
+
+        const line = template.slice(0, match.index).split('\n').length;
+        const types = { '#': 'section', '^': 'inverted', '/': 'close', '!': 'comment', '': 'variable' };
+        tokens.push({ type: types[sigil], value: name, line });
+
+        cursor = end;
+        TAG_PATTERN.lastIndex = end;
+    }
+
+    if (cursor < template.length) {
+        tokens.push({ type: 'text', value: template.slice(cursor) });
+    }
+
+    return tokens;
+}
+
+/**
+ * Monta árvore de seções a partir dos tokens
+ * @param {Array} tokens - Tokens do template
+ * @returns {Array} - Nós da árvore
+ */
+function buildTree(tokens) {
+    const root = [];
+    const stack = [{ children: root }];
+
+    tokens.forEach(token => {
+        const current = stack[stack.length - 1];
+
+        if (token.type === 'comment') return;
+
+        if (token.type === 'section' || token.type === 'inverted') {
+            const node = { ...token, children: [] };
+            current.children.push(node);
+            stack.push(node);
+            return;
+        }
+
+        if (token.type === 'close') {
+            if (stack.length === 1 || current.value !== token.value) {
+                const expected = stack.length > 1 ? `{{/${current.value}}}` : 'nenhum bloco aberto';
+                throw new Error(`❌ Template: {{/${token.value}}} inesperado na linha ${token.line} (esperado: ${expected})`);
+            }
+            stack.pop();
+            return;
+        }
+
+        current.children.push(token);
+    });
+
+    if (stack.length > 1) {
+        const open = stack[stack.length - 1];
+        throw new Error(`❌ Template: bloco {{#${open.value}}} da linha ${open.line} não foi fechado`);
+    }
+
+    return root;
+}
+
+/**
+ * Busca valor no contexto (suporta caminhos como props.Pregador e "." para o item atual)
+ * @param {Array} contextStack - Pilha de contextos (mais interno por último)
+ * @param {string} name - Nome da variável
+ * @returns {*} - Valor encontrado ou undefined
+ */
+function lookup(contextStack, name) {
+    if (name === '.') {
+        return contextStack[contextStack.length - 1];
+    }
+
+    const [first, ...rest] = name.split('.');
+
+    for (let i = contextStack.length - 1; i >= 0; i--) {
+        const context = contextStack[i];
+        if (context && typeof context === 'object' && first in context) {
+            return rest.reduce((value, key) => (value == null ? undefined : value[key]), context[first]);
+        }
+    }
+
+    return undefined;
+}
+
+/**
+ * Indica se o valor ativa um bloco condicional
+ * @param {*} value - Valor da variável
+ * @returns {boolean} - Verdadeiro para valores não vazios
+ */
+function isTruthy(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    if (typeof value === 'string') return value.trim().length > 0;
+    return Boolean(value);
+}
+
+/**
+ * Renderiza nós da árvore com a pilha de contextos
+ * @param {Array} nodes - Nós da árvore
+ * @param {Array} contextStack - Pilha de contextos
+ * @returns {string} - Texto renderizado
+ */
+function renderNodes(nodes, contextStack) {
+    return nodes.map(node => {
+        if (node.type === 'text') {
+            return node.value;
+        }
+
+        const value = lookup(contextStack, node.value);
+
+        if (node.type === 'variable') {
+            if (value == null) return '';
+            return Array.isArray(value) ? value.join(', ') : String(value);
+        }
+
+        if (node.type === 'inverted') {
+            return isTruthy(value) ? '' : renderNodes(node.children, contextStack);
+        }
+
+        // Seção: listas repetem o bloco, demais valores funcionam como condicional
+        if (!isTruthy(value)) return '';
+
+        if (Array.isArray(value)) {
+            return value.map(item => renderNodes(node.children, [...contextStack, item])).join('');
+        }
+
+        return renderNodes(node.children, [...contextStack, value]);
+    }).join('');
+}
+
+/**
+ * Renderiza template com as variáveis informadas
+ * @param {string} template - Texto do template
+ * @param {Object} context - Variáveis disponíveis
+ * @returns {string} - Texto final
+ */
+function renderTemplate(template, context) {
+    return renderNodes(buildTree(tokenize(template)), [context]);
+}
+
+/**
+ * Converte nome de categoria em nome de arquivo (ex: "People & Blogs" → people-blogs)
+ * @param {string} category - Categoria do Notion
+ * @returns {string} - Nome do template
+ */
+function slugifyTemplateName(category) {
+    return (category || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Escolhe o template da categoria (ou o padrão)
+ * Shorts procuram antes shorts-<categoria>.txt e shorts.txt
+ * @param {string} category - Categoria do vídeo
+ * @param {Object} options - { short }
+ * @returns {Object} - { name, filePath, content }
+ */
+function loadDescriptionTemplate(category, options = {}) {
+    const slug = slugifyTemplateName(category);
+    const shortsCandidates = options.short
+        ? [slug && `${SHORTS_TEMPLATE_PREFIX}-${slug}`, SHORTS_TEMPLATE_PREFIX]
+        : [];
+    const candidates = [...shortsCandidates, slug, DEFAULT_TEMPLATE_NAME].filter(Boolean);
+
+    for (const name of candidates) {
+        const filePath = path.join(DESCRIPTION_TEMPLATES_DIR, `${name}.txt`);
+        if (fs.existsSync(filePath)) {
+            return { name, filePath, content: fs.readFileSync(filePath, 'utf8') };
+        }
+    }
+
+    throw new Error(`❌ Nenhum template de descrição encontrado em ${DESCRIPTION_TEMPLATES_DIR}`);
+}
+
+/**
+ * Remove hashtags repetidas (sem diferenciar maiúsculas) e as que já aparecem em outro lugar
+ * @param {Array} hashtags - Hashtags (ex: ['#fé', '#Fé', '#culto'])
+ * @param {Array} exclude - Hashtags já presentes na descrição (ex: fixas do template, #Shorts)
+ * @returns {Array} - Hashtags únicas, na ordem original
+ */
+function uniqueHashtags(hashtags, exclude = []) {
+    const seen = new Set(exclude.map(tag => tag.toLowerCase()));
+
+    return hashtags.filter(tag => {
+        const key = tag.toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * Hashtags escritas direto no texto do template (fora das tags {{ }})
+ * @param {string} template - Texto do template
+ * @returns {Array} - Hashtags fixas
+ */
+function extractTemplateHashtags(template) {
+    return template.replace(TAG_PATTERN, ' ').match(/#[\p{L}\p{N}_]+/gu) || [];
+}
+
+/**
+ * Monta variáveis disponíveis no template a partir dos dados do vídeo
+ * @param {Object} videoData - Dados do vídeo do Notion
+ * @returns {Object} - Contexto do template
+ */
+function buildDescriptionContext(videoData) {
+    const tags = (videoData.tags || '')
+        .split(',')
+        .map(tag => tag.trim())
+        .filter(tag => tag.length > 0);
+
+    const date = new Date(videoData.publishAt || Date.now());
+
+    return {
+        title: videoData.title || '',
+        description: videoData.description || '',
+        category: videoData.category || '',
+        privacy: videoData.privacy || '',
+        date: date.toLocaleDateString('pt-BR', { timeZone: PUBLISH_TIMEZONE }),
+        year: date.toLocaleDateString('pt-BR', { timeZone: PUBLISH_TIMEZONE, year: 'numeric' }),
+        scheduled: Boolean(videoData.publishAt),
+        tags,
+        hashtags: uniqueHashtags(tags.map(tag => `#${tag.replace(/[^\p{L}\p{N}_]/gu, '')}`).filter(tag => tag.length > 1)).join(' '),
+        playlists: videoData.playlists || [],
+        props: videoData.customProperties || {}
+    };
+}
+
+/**
+ * Gera descrição final do vídeo a partir do template da categoria
+ * @param {Object} videoData - Dados do vídeo do Notion
+ * @param {Object} options - { short, context: variáveis extras (ex: shortsHashtags) }
+ * @returns {Object} - { description, template, truncated }
+ */
+function renderDescription(videoData, options = {}) {
+    const { short = false, context = {} } = options;
+    const template = loadDescriptionTemplate(videoData.category, { short });
+    const variables = { ...buildDescriptionContext(videoData), short, ...context };
+
+    // Tags que repetem hashtags fixas do template ou dos Shorts não aparecem duas vezes
+    const exclude = [...extractTemplateHashtags(template.content), ...(variables.shortsHashtags || '').split(/\s+/).filter(Boolean)];
+    variables.hashtags = uniqueHashtags(variables.hashtags.split(' ').filter(Boolean), exclude).join(' ');
+
+    const rendered = renderTemplate(template.content, variables)
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+
+    const truncated = rendered.length > MAX_DESCRIPTION_LENGTH;
+    if (truncated) {
+        console.warn(`⚠️ Descrição com ${rendered.length} caracteres (truncada para ${MAX_DESCRIPTION_LENGTH})`);
+    }
+
+    return {
+        description: rendered.substring(0, MAX_DESCRIPTION_LENGTH),
+        template: template.name,
+        truncated
+    };
+}
+
+module.exports = {
+    renderDescription,
+    renderTemplate,
+    buildDescriptionContext,
+    uniqueHashtags,
+    loadDescriptionTemplate,
+    slugifyTemplateName,
+    DESCRIPTION_TEMPLATES_DIR
+};
+
+/*
+🎯 PRINCIPAIS FUNCIONALIDADES:
+📝 TEMPLATES DE DESCRIÇÃO:
+Um arquivo por categoria em templates/description/<categoria>.txt
+Fallback para templates/description/default.txt
+Ex: "Education" → education.txt, "People & Blogs" → people-blogs.txt
+Shorts: shorts-<categoria>.txt → shorts.txt → templates normais
+🧩 SINTAXE (subconjunto de Mustache):
+✅ {{title}}, {{description}}, {{date}}, {{category}}, {{hashtags}}
+✅ {{props.Nome da Propriedade}} para propriedades personalizadas do Notion
+✅ {{#tags}}...{{.}}...{{/tags}} repete o bloco para cada item
+✅ {{shortsHashtags}} e {{#short}}...{{/short}} nos Shorts
+✅ {{#scheduled}}...{{/scheduled}} e {{^description}}...{{/description}} condicionais
+✅ {{! comentário }} não aparece na descrição
+🏷️ HASHTAGS:
+✅ {{hashtags}} sem repetições (maiúsculas/minúsculas) nem as já fixas no template ou dos Shorts
+*/
@@ -0,0 +1,425 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+require('dotenv').config();
+
+// Executável do ffmpeg (instalado localmente; ausente = geração ignorada)
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFMPEG_TIMEOUT_MS = 60000;
+
+// Gera thumbnail a partir dos quadros quando nenhuma foi fornecida (THUMBNAIL_AUTO=false desativa)
+const THUMBNAIL_AUTO = process.env.THUMBNAIL_AUTO !== 'false';
+
+// Momentos candidatos: porcentagem da duração (25%), segundos (90) ou MM:SS / HH:MM:SS
+const THUMBNAIL_TIMESTAMPS = process.env.THUMBNAIL_TIMESTAMPS || '10%,25%,40%,60%,80%';
+
+// Template de marca (fonte, cores, posição do título, logo)
+const THUMBNAIL_TEMPLATE = process.env.THUMBNAIL_TEMPLATE
+    || path.join(__dirname, '..', 'templates', 'thumbnail', 'default.json');
+
+// Fonte do título (arquivo .ttf/.otf); sobrescreve fontFile do template
+const THUMBNAIL_FONT = process.env.THUMBNAIL_FONT || '';
+
+// Tamanho final recomendado pelo YouTube (16:9)
+const THUMBNAIL_WIDTH = 1280;
+const THUMBNAIL_HEIGHT = 720;
+
+// Quadro reduzido usado para medir nitidez e brilho
+const SAMPLE_WIDTH = 160;
+const SAMPLE_HEIGHT = 90;
+
+// Quadros quase pretos (fades) ou estourados são descartados
+const MIN_BRIGHTNESS = 20;
+const MAX_BRIGHTNESS = 235;
+
+const DEFAULT_TEMPLATE = {
+    fontFile: '',
+    fontSize: 72,
+    fontColor: 'white',
+    borderColor: 'black',
+    borderWidth: 4,
+    boxColor: 'black@0.45',
+    position: 'bottom',
+    maxCharsPerLine: 26,
+    maxLines: 3,
+    overlayImage: '',
+    overlayPosition: 'top-right',
+    overlayHeight: 120
+};
+
+let ffmpegMissing = false;
+
+/**
+ * Executa o ffmpeg
+ * @param {Array} args - Argumentos
+ * @param {Object} options - { binary: stdout como Buffer }
+ * @returns {Object} - { stdout } ou { missing: true }
+ */
+function runFfmpeg(args, options = {}) {
+    const execOptions = {
+        timeout: FFMPEG_TIMEOUT_MS,
+        maxBuffer: 10 * 1024 * 1024,
+        encoding: options.binary ? 'buffer' : 'utf8'
+    };
+
+    return new Promise((resolve, reject) => {
+        execFile(FFMPEG_PATH, ['-v', 'error', '-nostdin', ...args], execOptions, (error, stdout, stderr) => {
+            if (error && error.code === 'ENOENT') {
+                return resolve({ missing: true });
+            }
+
+            if (error) {
+                const message = String(stderr || error.message).trim().split('\n')[0];
+                return reject(new Error(`❌ ffmpeg falhou: ${message}`));
+            }
+
+            resolve({ stdout });
+        });
+    });
+}
+
+/**
+ * Converte um momento da lista em segundos
+ * @param {string} value - "25%", "90", "1:30" ou "00:01:30"
+ * @param {number} duration - Duração do vídeo (0 = desconhecida)
+ * @returns {number|null} - Segundos ou null se não der para calcular
+ */
+function parseTimestamp(value, duration) {
+    const text = String(value).trim();
+
+    if (text.endsWith('%')) {
+        const percent = parseFloat(text);
+        return duration > 0 && !isNaN(percent) ? (duration * percent) / 100 : null;
+    }
+
+    if (text.includes(':')) {
+        const parts = text.split(':').map(Number);
+        if (parts.some(isNaN)) return null;
+        return parts.reduce((total, part) => total * 60 + part, 0);
+    }
+
+    const seconds = parseFloat(text);
+    return isNaN(seconds) ? null : seconds;
+}
+
+/**
+ * Momentos candidatos em segundos, dentro da duração e sem repetição
+ * @param {number} duration - Duração do vídeo (0 = desconhecida)
+ * @param {string} timestamps - Lista separada por vírgula (padrão: THUMBNAIL_TIMESTAMPS)
+ * @returns {Array} - Segundos em ordem crescente
+ */
+function resolveTimestamps(duration, timestamps = THUMBNAIL_TIMESTAMPS) {
+    const seconds = timestamps
+        .split(',')
+        .map(value => parseTimestamp(value, duration))
+        .filter(value => value !== null && value >= 0)
+        .map(value => (duration > 0 ? Math.min(value, Math.max(duration - 0.5, 0)) : value))
+        .map(value => Math.round(value * 10) / 10);
+
+    return [...new Set(seconds)].sort((a, b) => a - b);
+}
+
+/**
+ * Lê o template de marca (campos ausentes usam o padrão)
+ * @param {string} templatePath - Arquivo JSON (padrão: THUMBNAIL_TEMPLATE)
+ * @returns {Object} - Template com caminhos absolutos de fonte e logo
+ */
+function loadThumbnailTemplate(templatePath = THUMBNAIL_TEMPLATE) {
+    let template = { ...DEFAULT_TEMPLATE };
+
+    if (fs.existsSync(templatePath)) {
+        try {
+            template = { ...template, ...JSON.parse(fs.readFileSync(templatePath, 'utf8')) };
+        } catch (error) {
+            console.warn(`⚠️ Template de thumbnail inválido (${path.basename(templatePath)}), usando o padrão:`, error.message);
+        }
+    }
+
+    // Caminhos relativos são resolvidos a partir da pasta do template
+    const baseDir = path.dirname(templatePath);
+    const resolveAsset = (file) => (file ? path.resolve(baseDir, file) : '');
+
+    template.fontFile = THUMBNAIL_FONT ? path.resolve(THUMBNAIL_FONT) : resolveAsset(template.fontFile);
+    template.overlayImage = resolveAsset(template.overlayImage);
+
+    if (template.fontFile && !fs.existsSync(template.fontFile)) {
+        console.warn(`⚠️ Fonte não encontrada (${template.fontFile}), usando a fonte padrão do ffmpeg`);
+        template.fontFile = '';
+    }
+    if (template.overlayImage && !fs.existsSync(template.overlayImage)) {
+        console.warn(`⚠️ Imagem de marca não encontrada (${template.overlayImage}), ignorada`);
+        template.overlayImage = '';
+    }
+
+    return template;
+}
+
+/**
+ * Quebra o título em linhas para caber na thumbnail
+ * @param {string} title - Título do vídeo
+ * @param {number} maxCharsPerLine - Caracteres por linha
+ * @param {number} maxLines - Máximo de linhas (excedente vira "…")
+ * @returns {Array} - Linhas
+ */
+function wrapTitle(title, maxCharsPerLine, maxLines) {
+    const lines = [];
+    let current = '';
+
+    for (const word of (title || '').trim().split(/\s+/).filter(Boolean)) {
+        const candidate = current ? `${current} ${word}` : word;
+        if (candidate.length <= maxCharsPerLine || !current) {
+            current = candidate;
+        } else {
+            lines.push(current);
+            current = word;
+        }
+    }
+    if (current) lines.push(current);
+
+    if (lines.length > maxLines) {
+        const kept = lines.slice(0, maxLines);
+        kept[maxLines - 1] = `${kept[maxLines - 1].replace(/[\s.,;:!?-]+$/, '')}…`;
+        return kept;
+    }
+
+    return lines;
+}
+
+/**
+ * Escapa valor de opção dentro do filtergraph (caminhos com ":" ou "'")
+ * @param {string} value - Valor
+ * @returns {string} - Valor escapado
+ */
+function escapeFilterValue(value) {
+    return String(value).replace(/\\/g, '/').replace(/([:'\[\],;])/g, '\\\\$1');
+}
+
+/**
+ * Monta o filtergraph: quadro 1280x720, título do Notion e logo do template
+ * @param {Object} template - Template de marca
+ * @param {string} textFile - Arquivo com o título já quebrado em linhas
+ * @returns {string} - Filtergraph com saída [out]
+ */
+function buildRenderFilter(template, textFile) {
+    const margin = 60;
+    const y = {
+        top: `${margin}`,
+        center: '(h-text_h)/2',
+        bottom: `h-text_h-${margin}`
+    }[template.position] || `h-text_h-${margin}`;
+
+    const drawtext = [
+        template.fontFile ? `fontfile=${escapeFilterValue(template.fontFile)}` : null,
+        `textfile=${escapeFilterValue(textFile)}`,
+        'expansion=none',
+        `fontsize=${template.fontSize}`,
+        `fontcolor=${template.fontColor}`,
+        `borderw=${template.borderWidth}`,
+        `bordercolor=${template.borderColor}`,
+        template.boxColor ? `box=1:boxcolor=${template.boxColor}:boxborderw=20` : null,
+        'line_spacing=12',
+        'x=(w-text_w)/2',
+        `y=${y}`
+    ].filter(Boolean).join(':');
+
+    const base = `[0:v]scale=${THUMBNAIL_WIDTH}:${THUMBNAIL_HEIGHT}:force_original_aspect_ratio=decrease,` +
+        `pad=${THUMBNAIL_WIDTH}:${THUMBNAIL_HEIGHT}:(ow-iw)/2:(oh-ih)/2:color=black,setsar=1,drawtext=${drawtext}`;
+
+    if (!template.overlayImage) {
+        return `${base}[out]`;
+    }
+
+    const overlayPositions = {
+        'top-left': `${margin / 2}:${margin / 2}`,
+        'top-right': `W-w-${margin / 2}:${margin / 2}`,
+        'bottom-left': `${margin / 2}:H-h-${margin / 2}`,
+        'bottom-right': `W-w-${margin / 2}:H-h-${margin / 2}`
+    };
+    const position = overlayPositions[template.overlayPosition] || overlayPositions['top-right'];
+
+    return `${base}[base];[1:v]scale=-1:${template.overlayHeight}[logo];[base][logo]overlay=${position}[out]`;
+}
+
+/**
+ * Mede nitidez (variância do Laplaciano) e brilho médio de um quadro em tons de cinza
+ * @param {Buffer} pixels - Quadro SAMPLE_WIDTH x SAMPLE_HEIGHT, 1 byte por pixel
+ * @param {number} width - Largura
+ * @param {number} height - Altura
+ * @returns {Object} - { sharpness, brightness, score }
+ */
+function scoreFrame(pixels, width = SAMPLE_WIDTH, height = SAMPLE_HEIGHT) {
+    let brightnessSum = 0;
+    for (let i = 0; i < width * height; i++) {
+        brightnessSum += pixels[i];
+    }
+    const brightness = brightnessSum / (width * height);
+
+    let sum = 0;
+    let sumSquares = 0;
+    let count = 0;
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const i = y * width + x;
+            const laplacian = 4 * pixels[i] - pixels[i - 1] - pixels[i + 1] - pixels[i - width] - pixels[i + width];
+            sum += laplacian;
+            sumSquares += laplacian * laplacian;
+            count++;
+        }
+    }
+    const mean = sum / count;
+    const sharpness = Math.sqrt(Math.max(sumSquares / count - mean * mean, 0));
+
+    // Brilho ideal no meio da escala; quadros escuros/estourados ficam fora
+    const usable = brightness >= MIN_BRIGHTNESS && brightness <= MAX_BRIGHTNESS;
+    const brightnessWeight = 1 - Math.min(Math.abs(brightness - 128) / 128, 1);
+
+    return {
+        sharpness: Math.round(sharpness * 10) / 10,
+        brightness: Math.round(brightness),
+        score: usable ? Math.round(sharpness * (0.5 + 0.5 * brightnessWeight) * 10) / 10 : 0
+    };
+}
+
+/**
+ * Extrai um quadro reduzido em tons de cinza e calcula a pontuação
+ * @param {string} videoPath - Caminho do vídeo
+ * @param {number} seconds - Momento do quadro
+ * @returns {Object|null} - { sharpness, brightness, score } ou { missing: true }
+ */
+async function measureFrame(videoPath, seconds) {
+    const result = await runFfmpeg([
+        '-ss', String(seconds),
+        '-i', videoPath,
+        '-frames:v', '1',
+        '-vf', `scale=${SAMPLE_WIDTH}:${SAMPLE_HEIGHT},format=gray`,
+        '-f', 'rawvideo',
+        'pipe:1'
+    ], { binary: true });
+
+    if (result.missing) return result;
+    if (result.stdout.length < SAMPLE_WIDTH * SAMPLE_HEIGHT) return null;
+
+    return scoreFrame(result.stdout);
+}
+
+/**
+ * Renderiza o candidato final (quadro + título + marca) em JPEG
+ * @param {string} videoPath - Caminho do vídeo
+ * @param {number} seconds - Momento do quadro
+ * @param {Object} template - Template de marca
+ * @param {string} textFile - Arquivo com o título
+ * @param {string} outputPath - JPEG de saída
+ * @returns {string} - Caminho gerado
+ */
+async function renderCandidate(videoPath, seconds, template, textFile, outputPath) {
+    const inputs = ['-ss', String(seconds), '-i', videoPath];
+    if (template.overlayImage) {
+        inputs.push('-i', template.overlayImage);
+    }
+
+    await runFfmpeg([
+        '-y',
+        ...inputs,
+        '-filter_complex', buildRenderFilter(template, textFile),
+        '-map', '[out]',
+        '-frames:v', '1',
+        '-q:v', '2',
+        outputPath
+    ]);
+
+    return outputPath;
+}
+
+/**
+ * Gera thumbnails candidatas a partir dos quadros do vídeo e escolhe a melhor
+ * @param {string} videoPath - Caminho do vídeo local
+ * @param {Object} videoData - Dados do vídeo do Notion (título)
+ * @param {Object} options - { media: resultado do ffprobe, outputDir, baseName }
+ * @returns {Object} - { available, candidates: [{ filePath, seconds, score, sharpness, brightness }], best }
+ */
+async function generateThumbnailCandidates(videoPath, videoData, options = {}) {
+    if (ffmpegMissing) {
+        return { available: false, candidates: [], best: null };
+    }
+
+    const { media = null, outputDir = path.dirname(videoPath) } = options;
+    const baseName = options.baseName || path.basename(videoPath, path.extname(videoPath));
+    const timestamps = resolveTimestamps(media?.duration || 0);
+
+    if (timestamps.length === 0) {
+        console.warn('⚠️ Nenhum momento válido para thumbnail (duração desconhecida? use segundos em THUMBNAIL_TIMESTAMPS)');
+        return { available: true, candidates: [], best: null };
+    }
+
+    console.log(`🎞️ Gerando thumbnail a partir de ${timestamps.length} quadro(s)...`);
+
+    const template = loadThumbnailTemplate();
+    const textFile = path.join(outputDir, `${baseName}_thumbtitle.txt`);
+    fs.writeFileSync(textFile, wrapTitle(videoData.title, template.maxCharsPerLine, template.maxLines).join('\n'));
+
+    const candidates = [];
+
+    try {
+        for (const seconds of timestamps) {
+            const measure = await measureFrame(videoPath, seconds);
+
+            if (measure && measure.missing) {
+                ffmpegMissing = true;
+                console.warn(`⚠️ ffmpeg não encontrado (${FFMPEG_PATH}), geração de thumbnail ignorada`);
+                return { available: false, candidates: [], best: null };
+            }
+            if (!measure) {
+                console.warn(`   ⚠️ Sem quadro em ${seconds}s`);
+                continue;
+            }
+
+            const filePath = path.join(outputDir, `${baseName}_${String(seconds).replace('.', '_')}s.jpg`);
+            try {
+                await renderCandidate(videoPath, seconds, template, textFile, filePath);
+            } catch (error) {
+                console.warn(`   ⚠️ Quadro em ${seconds}s: ${error.message}`);
+                continue;
+            }
+
+            candidates.push({ filePath, seconds, ...measure });
+            console.log(`   🖼️ ${seconds}s → nitidez ${measure.sharpness}, brilho ${measure.brightness}, pontuação ${measure.score}`);
+        }
+    } finally {
+        fs.rmSync(textFile, { force: true });
+    }
+
+    const best = candidates.reduce((winner, candidate) => (!winner || candidate.score > winner.score ? candidate : winner), null);
+
+    if (best) {
+        console.log(`✅ Melhor quadro: ${best.seconds}s (pontuação ${best.score})`);
+    }
+
+    return { available: true, candidates, best };
+}
+
+module.exports = {
+    generateThumbnailCandidates,
+    resolveTimestamps,
+    loadThumbnailTemplate,
+    wrapTitle,
+    scoreFrame,
+    buildRenderFilter,
+    THUMBNAIL_AUTO
+};
+
+/*
+🎯 PRINCIPAIS FUNCIONALIDADES:
+🎞️ THUMBNAIL AUTOMÁTICA (ffmpeg local):
+Usada quando não há thumbnail no Notion nem imagem ao lado do vídeo no Drive
+Quadros em THUMBNAIL_TIMESTAMPS (%, segundos ou MM:SS)
+Sem ffmpeg instalado: aviso e o YouTube escolhe o quadro como antes
+📊 PONTUAÇÃO:
+✅ Nitidez pela variância do Laplaciano
+✅ Brilho próximo do meio da escala
+✅ Quadros pretos (fades) ou estourados descartados
+🎨 TEMPLATE DE MARCA (templates/thumbnail/default.json):
+✅ fontFile/fontSize/fontColor (THUMBNAIL_FONT sobrescreve a fonte)
+✅ borderColor/borderWidth/boxColor e position (top, center, bottom)
+✅ Título do Notion quebrado em maxCharsPerLine x maxLines
+✅ overlayImage (logo) em overlayPosition com overlayHeight px
+*/
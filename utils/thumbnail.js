@@ -0,0 +1,366 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const {
+    extractFileIdFromUrl,
+    findSiblingFiles,
+    downloadDriveFile,
+    ensureTempDirectory,
+    cleanupTempFile,
+    formatFileSize
+} = require('./drive-downloader');
+const { updateThumbnail } = require('./youtube-uploader');
+const { generateThumbnailCandidates, THUMBNAIL_AUTO } = require('./thumbnail-generator');
+const { uploadFileToNotion, queryDatabase, extractThumbnailSource } = require('./notion-client');
+const { attachThumbnailCandidates, markThumbnailOverridden } = require('./update-notion');
+const { checkQuotaBudget, QUOTA_COSTS } = require('./quota-ledger');
+
+// Limites do YouTube para thumbnails personalizadas
+const THUMBNAIL_MAX_BYTES = 2 * 1024 * 1024; // 2MB
+const THUMBNAIL_MIN_WIDTH = 640;
+const THUMBNAIL_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+
+/**
+ * Lê formato e dimensões de uma imagem a partir do cabeçalho
+ * @param {Buffer} buffer - Conteúdo da imagem
+ * @returns {Object|null} - { format, width, height } ou null se desconhecido
+ */
+function readImageDimensions(buffer) {
+    // PNG: assinatura + chunk IHDR
+    if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504E47) {
+        return { format: 'png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+
+    // GIF
+    if (buffer.length >= 10 && buffer.toString('ascii', 0, 4) === 'GIF8') {
+        return { format: 'gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    }
+
+    // BMP
+    if (buffer.length >= 26 && buffer.toString('ascii', 0, 2) === 'BM') {
+        return { format: 'bmp', width: buffer.readInt32LE(18), height: Math.abs(buffer.readInt32LE(22)) };
+    }
+
+    // JPEG: percorrer marcadores até o SOF
+    if (buffer.length >= 4 && buffer[0] === 0xFF && buffer[1] === 0xD8) {
+        let offset = 2;
+        while (offset + 9 < buffer.length) {
+            if (buffer[offset] !== 0xFF) {
+                offset++;
+                continue;
+            }
+
+            const marker = buffer[offset + 1];
+            const isSof = marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker);
+
+            if (isSof) {
+                return {
+                    format: 'jpeg',
+                    height: buffer.readUInt16BE(offset + 5),
+                    width: buffer.readUInt16BE(offset + 7)
+                };
+            }
+
+            if (marker === 0xFF || marker === 0x01 || (marker >= 0xD0 && marker <= 0xD8)) {
+                offset += marker === 0xFF ? 1 : 2;
+                continue;
+            }
+
+            offset += 2 + buffer.readUInt16BE(offset + 2);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Valida thumbnail contra os limites do YouTube
+ * @param {string} filePath - Caminho da imagem
+ * @returns {Object} - Resultado da validação
+ */
+function validateThumbnail(filePath) {
+    const errors = [];
+    const warnings = [];
+
+    const fileSize = fs.statSync(filePath).size;
+    const dimensions = readImageDimensions(fs.readFileSync(filePath));
+
+    if (fileSize > THUMBNAIL_MAX_BYTES) {
+        errors.push(`❌ Thumbnail maior que 2MB (${formatFileSize(fileSize)})`);
+    }
+
+    if (!dimensions) {
+        errors.push('❌ Formato de imagem não reconhecido (use JPG, PNG, GIF ou BMP)');
+    } else {
+        if (dimensions.width < THUMBNAIL_MIN_WIDTH) {
+            errors.push(`❌ Largura mínima é ${THUMBNAIL_MIN_WIDTH}px (atual: ${dimensions.width}px)`);
+        }
+
+        const ratio = dimensions.width / dimensions.height;
+        if (Math.abs(ratio - 16 / 9) > 0.05) {
+            warnings.push(`⚠️ Proporção ${dimensions.width}x${dimensions.height} não é 16:9`);
+        }
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors,
+        warnings,
+        fileSize,
+        ...(dimensions || {})
+    };
+}
+
+/**
+ * Baixa imagem de uma URL (Drive via API, demais via HTTP)
+ * @param {string} url - URL da imagem
+ * @param {string} destPath - Caminho de destino
+ * @returns {string} - Caminho salvo
+ */
+async function downloadThumbnailFromUrl(url, destPath) {
+    if (url.includes('drive.google.com')) {
+        return downloadDriveFile(extractFileIdFromUrl(url), destPath);
+    }
+
+    const response = await axios({
+        method: 'GET',
+        url: url,
+        responseType: 'arraybuffer',
+        timeout: 30000,
+        // Um pouco acima do limite para a validação reportar o tamanho real
+        maxContentLength: THUMBNAIL_MAX_BYTES * 2
+    });
+
+    fs.writeFileSync(destPath, Buffer.from(response.data));
+    return destPath;
+}
+
+/**
+ * Localiza e baixa a thumbnail do vídeo
+ * Prioridade: propriedade "Thumbnail" do Notion → imagem com mesmo nome no Drive
+ * @param {Object} videoData - Dados do vídeo
+ * @returns {Object|null} - { filePath, source } ou null se não houver
+ */
+async function resolveThumbnail(videoData) {
+    const tempDir = ensureTempDirectory();
+    const fileId = videoData.driveLink ? extractFileIdFromUrl(videoData.driveLink) : videoData.pageId;
+
+    // 1. Thumbnail informada no Notion
+    if (videoData.thumbnail && videoData.thumbnail.url) {
+        const extension = path.extname(videoData.thumbnail.name || '').toLowerCase() || '.jpg';
+        const filePath = path.join(tempDir, `thumb_${fileId}${extension}`);
+
+        console.log('🖼️ Baixando thumbnail definida no Notion...');
+        await downloadThumbnailFromUrl(videoData.thumbnail.url, filePath);
+        return { filePath, source: 'notion' };
+    }
+
+    // 2. Imagem com o mesmo nome ao lado do vídeo no Drive
+    if (videoData.driveLink) {
+        const { baseName, files } = await findSiblingFiles(fileId);
+        const image = files.find(file =>
+            THUMBNAIL_EXTENSIONS.some(extension => file.name.toLowerCase() === `${baseName}${extension}`.toLowerCase())
+        );
+
+        if (image) {
+            const filePath = path.join(tempDir, `thumb_${fileId}${path.extname(image.name).toLowerCase()}`);
+
+            console.log(`🖼️ Thumbnail encontrada no Drive: ${image.name}`);
+            await downloadDriveFile(image.id, filePath);
+            return { filePath, source: 'drive' };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Gera thumbnails a partir dos quadros do vídeo local (sem thumbnail fornecida)
+ * Shorts e streaming (sem arquivo local) ficam com o quadro escolhido pelo YouTube
+ * @param {Object} videoData - Dados do vídeo
+ * @param {Object} options - { videoPath, media, short }
+ * @returns {Object|null} - Resultado de generateThumbnailCandidates ou null
+ */
+async function generateFromFrames(videoData, options = {}) {
+    const { videoPath = null, media = null, short = false } = options;
+
+    if (!THUMBNAIL_AUTO || !videoPath || !fs.existsSync(videoPath)) return null;
+
+    if (short) {
+        console.log('📱 Short: thumbnail automática não se aplica');
+        return null;
+    }
+
+    const fileId = videoData.driveLink ? extractFileIdFromUrl(videoData.driveLink) : videoData.pageId;
+    const generated = await generateThumbnailCandidates(videoPath, videoData, {
+        media,
+        outputDir: ensureTempDirectory(),
+        baseName: `thumb_${fileId}`
+    });
+
+    return generated.best ? generated : null;
+}
+
+/**
+ * Envia as candidatas ao Notion ("Thumbnail Candidates"), melhor primeiro
+ * Para trocar a escolha, copie uma candidata para a propriedade "Thumbnail"
+ * @param {string} pageId - ID da página
+ * @param {Array} candidates - Candidatas geradas
+ * @param {Object} best - Candidata aplicada no YouTube
+ * @returns {number} - Candidatas anexadas
+ */
+async function attachCandidatesToNotion(pageId, candidates, best) {
+    try {
+        const sorted = [...candidates].sort((a, b) => b.score - a.score);
+        const files = [];
+
+        for (const candidate of sorted) {
+            const file = await uploadFileToNotion(candidate.filePath, 'image/jpeg');
+            const label = candidate === best ? ' (escolhida)' : '';
+            files.push({ ...file, name: `Quadro ${candidate.seconds}s - pontuação ${candidate.score}${label}.jpg` });
+        }
+
+        await attachThumbnailCandidates(pageId, files);
+        console.log(`📎 ${files.length} candidata(s) anexada(s) ao Notion`);
+        return files.length;
+
+    } catch (error) {
+        console.warn('⚠️ Erro ao anexar candidatas no Notion:', error.message);
+        return 0;
+    }
+}
+
+/**
+ * Aplica thumbnail personalizada ao vídeo, se houver uma disponível
+ * Sem thumbnail no Notion/Drive, gera a partir dos quadros do vídeo local
+ * @param {string} videoId - ID do vídeo no YouTube
+ * @param {Object} videoData - Dados do vídeo
+ * @param {Object} options - { videoPath, media, short } para a thumbnail automática
+ * @returns {Object} - { applied, thumbnailUrl, source, error, candidates }
+ */
+async function applyCustomThumbnail(videoId, videoData, options = {}) {
+    let thumbnail = null;
+    let generated = null;
+
+    try {
+        console.log('🖼️ Procurando thumbnail personalizada...');
+
+        thumbnail = await resolveThumbnail(videoData);
+        if (!thumbnail) {
+            generated = await generateFromFrames(videoData, options);
+            thumbnail = generated ? { filePath: generated.best.filePath, source: 'generated' } : null;
+        }
+
+        if (!thumbnail) {
+            console.log('📭 Nenhuma thumbnail personalizada encontrada');
+            return { applied: false, thumbnailUrl: null };
+        }
+
+        const validation = validateThumbnail(thumbnail.filePath);
+        validation.warnings.forEach(warning => console.warn(`   ${warning}`));
+
+        if (!validation.isValid) {
+            validation.errors.forEach(error => console.error(`   ${error}`));
+            return { applied: false, thumbnailUrl: null, error: validation.errors.join(', ') };
+        }
+
+        console.log(`   📐 ${validation.width}x${validation.height} ${validation.format} (${formatFileSize(validation.fileSize)})`);
+
+        const result = await updateThumbnail(videoId, thumbnail.filePath);
+
+        const candidates = generated && result.success && videoData.pageId
+            ? await attachCandidatesToNotion(videoData.pageId, generated.candidates, generated.best)
+            : 0;
+
+        return {
+            applied: result.success,
+            thumbnailUrl: result.thumbnailUrl || null,
+            source: thumbnail.source,
+            error: result.error,
+            candidates
+        };
+
+    } catch (error) {
+        console.warn('⚠️ Erro ao processar thumbnail:', error.message);
+        return { applied: false, thumbnailUrl: null, error: error.message };
+
+    } finally {
+        if (generated) {
+            generated.candidates.forEach(candidate => cleanupTempFile(candidate.filePath));
+        } else if (thumbnail) {
+            cleanupTempFile(thumbnail.filePath);
+        }
+    }
+}
+
+/**
+ * Aplica thumbnails escolhidas no Notion a vídeos já publicados com thumbnail automática
+ * ("Thumbnail Source" = Generated e propriedade "Thumbnail" preenchida)
+ * @param {Object} options - { limit }
+ * @returns {Array} - [{ pageId, videoId, applied, error }]
+ */
+async function applyThumbnailOverrides(options = {}) {
+    const { limit = 10 } = options;
+    const pages = await queryDatabase({
+        filter: { property: 'Thumbnail Source', select: { equals: 'Generated' } }
+    });
+
+    const overrides = pages
+        .map(page => ({
+            pageId: page.id,
+            videoId: (page.properties['Video ID']?.rich_text || []).map(item => item.plain_text).join('').trim(),
+            thumbnail: extractThumbnailSource(page.properties['Thumbnail'])
+        }))
+        .filter(page => page.videoId && page.thumbnail)
+        .slice(0, limit);
+
+    const results = [];
+
+    for (const override of overrides) {
+        const budget = checkQuotaBudget(QUOTA_COSTS['thumbnails.set']);
+        if (!budget.allowed) {
+            console.log(`⏸️ Troca de thumbnail adiada: quota insuficiente até ${new Date(budget.resetAt).toLocaleString('pt-BR')}`);
+            break;
+        }
+
+        console.log(`🖼️ Thumbnail escolhida no Notion para ${override.videoId}`);
+        let thumbnail = null;
+
+        try {
+            thumbnail = await resolveThumbnail({ pageId: override.pageId, thumbnail: override.thumbnail });
+
+            const validation = validateThumbnail(thumbnail.filePath);
+            if (!validation.isValid) {
+                throw new Error(validation.errors.join(', '));
+            }
+
+            const result = await updateThumbnail(override.videoId, thumbnail.filePath);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            await markThumbnailOverridden(override.pageId, result.thumbnailUrl);
+            results.push({ pageId: override.pageId, videoId: override.videoId, applied: true });
+
+        } catch (error) {
+            console.warn(`⚠️ Erro ao trocar thumbnail de ${override.videoId}:`, error.message);
+            results.push({ pageId: override.pageId, videoId: override.videoId, applied: false, error: error.message });
+
+        } finally {
+            if (thumbnail) {
+                cleanupTempFile(thumbnail.filePath);
+            }
+        }
+    }
+
+    return results;
+}
+
+module.exports = {
+    applyCustomThumbnail,
+    applyThumbnailOverrides,
+    resolveThumbnail,
+    validateThumbnail,
+    readImageDimensions,
+    THUMBNAIL_MAX_BYTES
+};
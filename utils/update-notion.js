@@ -1,9 +1,8 @@
-const { Client } = require('@notionhq/client');
+require('dotenv').config();
+const { notion } = require('./notion-client');
 
-// Inicializar cliente Notion
-const notion = new Client({
-    auth: process.env.NOTION_TOKEN,
-});
+// Tempo após o qual um lock "Processing" é considerado abandonado
+const PROCESSING_LOCK_TTL_MINUTES = parseInt(process.env.PROCESSING_LOCK_TTL_MINUTES) || 180;
 
 /**
  * Atualiza o status de um vídeo no Notion
@@ -18,7 +17,9 @@ async function updateVideoStatus(pageId, status, youtubeData = null) {
                     select: {
                         name: status
                     }
-                }
+                },
+                // Qualquer status final libera o lock de processamento
+                ...(status !== 'Processing' ? buildLockReleaseProperties() : {})
             }
         };
 
@@ -73,7 +74,8 @@ async function addErrorLog(pageId, errorMessage) {
                     date: {
                         start: new Date().toISOString()
                     }
-                }
+                },
+                ...buildLockReleaseProperties()
                 // ✅ REMOVIDO: 'Error Log' e 'Last Attempt' (não existem na base)
             }
         });
@@ -86,10 +88,99 @@ async function addErrorLog(pageId, errorMessage) {
 }
 
 /**
- * Marca vídeo como processando
+ * Propriedades que removem o lock de processamento
+ * @returns {Object} - Propriedades "Lock Owner" e "Locked At" vazias
+ */
+function buildLockReleaseProperties() {
+    return {
+        'Lock Owner': { rich_text: [] },
+        'Locked At': { date: null }
+    };
+}
+
+/**
+ * Lê dono e data do lock de uma página
+ * @param {Object} page - Página do Notion
+ * @returns {Object} - { status, owner, lockedAt, isStale }
  */
-async function markAsProcessing(pageId) {
-    return updateVideoStatus(pageId, 'Processing');
+function readProcessingLock(page) {
+    const properties = page.properties;
+    const owner = (properties['Lock Owner']?.rich_text || []).map(item => item.plain_text).join('').trim() || null;
+    const lockedAt = properties['Locked At']?.date?.start || null;
+    const ageMinutes = lockedAt ? (Date.now() - new Date(lockedAt).getTime()) / 60000 : Infinity;
+    const nextAttempt = properties['Next Attempt']?.date?.start || null;
+
+    return {
+        status: properties['Upload Status']?.select?.name || 'Pending',
+        owner,
+        lockedAt,
+        isStale: ageMinutes > PROCESSING_LOCK_TTL_MINUTES,
+        nextAttempt,
+        isRetryDue: nextAttempt !== null && new Date(nextAttempt).getTime() <= Date.now()
+    };
+}
+
+/**
+ * Marca vídeo como processando, registrando dono e horário do lock
+ * @param {string} pageId - ID da página
+ * @param {string} lockOwner - ID da execução que assumiu o vídeo
+ */
+async function markAsProcessing(pageId, lockOwner = null) {
+    console.log(`🔒 Marcando como Processing (dono: ${lockOwner || 'desconhecido'})`);
+
+    return notion.pages.update({
+        page_id: pageId,
+        properties: {
+            'Upload Status': { select: { name: 'Processing' } },
+            'Lock Owner': { rich_text: lockOwner ? [{ type: 'text', text: { content: lockOwner } }] : [] },
+            'Locked At': { date: { start: new Date().toISOString() } }
+        }
+    });
+}
+
+/**
+ * Assume a página para esta execução antes do download
+ * Aceita páginas Pending, locks vencidos (TTL) ou locks da própria execução anterior
+ * @param {string} pageId - ID da página
+ * @param {string} lockOwner - ID da execução atual
+ * @param {Object} options - { previousOwner } dono registrado no job local (retomada)
+ * @returns {Object} - { claimed, reason, owner }
+ */
+async function claimPage(pageId, lockOwner, options = {}) {
+    const { previousOwner = null } = options;
+
+    const page = await notion.pages.retrieve({ page_id: pageId });
+    const lock = readProcessingLock(page);
+
+    if (lock.status === 'Processing') {
+        const ownLock = lock.owner === lockOwner || (previousOwner && lock.owner === previousOwner);
+
+        if (!ownLock && !lock.isStale) {
+            return { claimed: false, reason: `Em processamento por ${lock.owner || 'outra execução'} desde ${lock.lockedAt}`, owner: lock.owner };
+        }
+
+        if (!ownLock) {
+            console.log(`🔓 Lock vencido de ${lock.owner || 'execução desconhecida'} (${lock.lockedAt}), reassumindo...`);
+        }
+    } else if (lock.status === 'Error') {
+        // Erro transitório só volta à fila quando chega o "Next Attempt"
+        if (!lock.isRetryDue) {
+            return { claimed: false, reason: lock.nextAttempt ? `Próxima tentativa só em ${lock.nextAttempt}` : 'Erro sem nova tentativa agendada', owner: lock.owner };
+        }
+    } else if (lock.status !== 'Pending') {
+        return { claimed: false, reason: `Status atual é "${lock.status}"`, owner: lock.owner };
+    }
+
+    await markAsProcessing(pageId, lockOwner);
+
+    // Notion não tem escrita condicional: relê para detectar outra execução que assumiu ao mesmo tempo
+    const confirmed = readProcessingLock(await notion.pages.retrieve({ page_id: pageId }));
+    if (confirmed.owner !== lockOwner) {
+        return { claimed: false, reason: `Assumido por ${confirmed.owner} ao mesmo tempo`, owner: confirmed.owner };
+    }
+
+    console.log(`✅ Página assumida por ${lockOwner}`);
+    return { claimed: true, owner: lockOwner };
 }
 
 /**
@@ -101,7 +192,40 @@ async function markAsUploaded(pageId, uploadResult, videoData) {  // ✅ CORRIGI
         uploadDate: new Date().toISOString()
     };
     
-    return updateVideoStatus(pageId, 'Uploaded', youtubeData);
+    // Vídeo agendado (publishAt) fica como Scheduled até a estreia
+    const status = uploadResult.publishAt ? 'Scheduled' : 'Uploaded';
+    return updateVideoStatus(pageId, status, youtubeData);
+}
+
+/**
+ * Anexa as thumbnails candidatas à página (propriedade "Thumbnail Candidates")
+ * @param {string} pageId - ID da página
+ * @param {Array} files - Arquivos enviados ao Notion (uploadFileToNotion)
+ */
+async function attachThumbnailCandidates(pageId, files) {
+    return notion.pages.update({
+        page_id: pageId,
+        properties: {
+            'Thumbnail Candidates': { files }
+        }
+    });
+}
+
+/**
+ * Registra a thumbnail escolhida no Notion e aplicada a um vídeo já publicado
+ * @param {string} pageId - ID da página
+ * @param {string} thumbnailUrl - URL da thumbnail no YouTube
+ */
+async function markThumbnailOverridden(pageId, thumbnailUrl = null) {
+    const properties = {
+        'Thumbnail Source': { select: { name: 'Notion' } }
+    };
+
+    if (thumbnailUrl) {
+        properties['Thumbnail URL'] = { url: thumbnailUrl };
+    }
+
+    return notion.pages.update({ page_id: pageId, properties });
 }
 
 /**
@@ -117,5 +241,11 @@ module.exports = {
     addErrorLog,
     markAsProcessing,
     markAsUploaded,
-    markAsError
+    markAsError,
+    attachThumbnailCandidates,
+    markThumbnailOverridden,
+    claimPage,
+    readProcessingLock,
+    buildLockReleaseProperties,
+    PROCESSING_LOCK_TTL_MINUTES
 };
@@ -0,0 +1,294 @@
+const { isSchedulable } = require('./publish-schedule');
+const { renderDescription } = require('./template-engine');
+const { buildShortsTitle, getShortsContext, resolveVideoFormat } = require('./shorts');
+
+// Limites da API do YouTube (videos.insert)
+const MAX_TITLE_LENGTH = 100;
+const MAX_DESCRIPTION_BYTES = 5000;
+const MAX_TAGS_LENGTH = 500;
+
+// YouTube rejeita "<" e ">" em título, descrição e tags
+const FORBIDDEN_CHARS_PATTERN = /[<>]/g;
+
+const CATEGORY_IDS = {
+    'Education': '27',
+    'Entertainment': '24',
+    'Music': '10',
+    'Gaming': '20',
+    'Sports': '17',
+    'Science & Technology': '28',
+    'News & Politics': '25',
+    'Howto & Style': '26',
+    'People & Blogs': '22',
+    'Comedy': '34',
+    'Film & Animation': '1',
+    'Autos & Vehicles': '2'
+};
+
+const PRIVACY_STATUSES = {
+    'Public': 'public',
+    'Unlisted': 'unlisted',
+    'Private': 'private'
+};
+
+/**
+ * Mapeia categoria do Notion para ID do YouTube
+ * @param {string} category - Categoria do Notion
+ * @returns {string} - ID da categoria YouTube
+ */
+function getCategoryId(category) {
+    return CATEGORY_IDS[category] || '27'; // Default: Education
+}
+
+/**
+ * Formata status de privacidade
+ * @param {string} privacy - Status do Notion
+ * @returns {string} - Status YouTube válido
+ */
+function formatPrivacyStatus(privacy) {
+    return PRIVACY_STATUSES[privacy] || 'public';
+}
+
+/**
+ * Calcula quanto uma tag consome do limite de 500 caracteres
+ * (tags com espaço são contadas entre aspas)
+ * @param {string} tag - Tag
+ * @returns {number} - Caracteres consumidos
+ */
+function getTagCost(tag) {
+    return tag.length + (tag.includes(' ') ? 2 : 0);
+}
+
+/**
+ * Calcula tamanho total das tags como o YouTube conta (inclui vírgulas)
+ * @param {Array} tags - Tags
+ * @returns {number} - Total de caracteres
+ */
+function getTagsLength(tags) {
+    if (tags.length === 0) return 0;
+    return tags.reduce((total, tag) => total + getTagCost(tag), 0) + (tags.length - 1);
+}
+
+/**
+ * Processa tags respeitando o orçamento total de 500 caracteres
+ * @param {string} tagsString - String de tags separadas por vírgula
+ * @param {Array} warnings - Lista onde registrar ajustes
+ * @returns {Array} - Tags válidas
+ */
+function processTags(tagsString, warnings = []) {
+    if (!tagsString) return [];
+
+    const tags = [];
+    const seen = new Set();
+
+    tagsString
+        .split(',')
+        .map(tag => tag.replace(FORBIDDEN_CHARS_PATTERN, '').trim())
+        .filter(tag => tag.length > 0)
+        .forEach(tag => {
+            const key = tag.toLowerCase();
+            if (seen.has(key)) return;
+
+            if (getTagsLength([...tags, tag]) > MAX_TAGS_LENGTH) {
+                warnings.push(`⚠️ Tag "${tag}" ignorada (limite de ${MAX_TAGS_LENGTH} caracteres em tags)`);
+                return;
+            }
+
+            seen.add(key);
+            tags.push(tag);
+        });
+
+    return tags;
+}
+
+/**
+ * Corta texto para caber em N bytes UTF-8 sem quebrar caracteres
+ * @param {string} text - Texto
+ * @param {number} maxBytes - Limite em bytes
+ * @returns {string} - Texto cortado
+ */
+function truncateToBytes(text, maxBytes) {
+    if (Buffer.byteLength(text, 'utf8') <= maxBytes) return text;
+
+    let result = '';
+    let bytes = 0;
+    for (const char of text) {
+        const size = Buffer.byteLength(char, 'utf8');
+        if (bytes + size > maxBytes) break;
+        result += char;
+        bytes += size;
+    }
+    return result;
+}
+
+/**
+ * Remove caracteres proibidos registrando aviso
+ * @param {string} text - Texto
+ * @param {string} field - Nome do campo (para o aviso)
+ * @param {Array} warnings - Lista de avisos
+ * @returns {string} - Texto limpo
+ */
+function removeForbiddenChars(text, field, warnings) {
+    if (!/[<>]/.test(text)) return text;
+
+    warnings.push(`⚠️ Caracteres "<" e ">" removidos do ${field}`);
+    return text.replace(FORBIDDEN_CHARS_PATTERN, '');
+}
+
+/**
+ * Valida snippet/status contra os limites do YouTube
+ * @param {Object} requestBody - { snippet, status }
+ * @returns {Object} - { isValid, errors, warnings, stats }
+ */
+function validateMetadata(requestBody) {
+    const errors = [];
+    const warnings = [];
+    const { snippet, status } = requestBody;
+
+    const stats = {
+        titleLength: snippet.title.length,
+        descriptionBytes: Buffer.byteLength(snippet.description, 'utf8'),
+        tagsCount: snippet.tags.length,
+        tagsLength: getTagsLength(snippet.tags)
+    };
+
+    if (!snippet.title.trim()) {
+        errors.push('❌ Título é obrigatório');
+    }
+
+    if (stats.titleLength > MAX_TITLE_LENGTH) {
+        errors.push(`❌ Título com ${stats.titleLength} caracteres (máx: ${MAX_TITLE_LENGTH})`);
+    }
+
+    if (stats.descriptionBytes > MAX_DESCRIPTION_BYTES) {
+        errors.push(`❌ Descrição com ${stats.descriptionBytes} bytes (máx: ${MAX_DESCRIPTION_BYTES})`);
+    }
+
+    if (stats.tagsLength > MAX_TAGS_LENGTH) {
+        errors.push(`❌ Tags somam ${stats.tagsLength} caracteres (máx: ${MAX_TAGS_LENGTH})`);
+    }
+
+    [['título', snippet.title], ['descrição', snippet.description], ['tags', snippet.tags.join(',')]]
+        .filter(([, value]) => /[<>]/.test(value))
+        .forEach(([field]) => errors.push(`❌ Caracteres "<" ou ">" não são permitidos em ${field}`));
+
+    if (!Object.values(CATEGORY_IDS).includes(snippet.categoryId)) {
+        warnings.push(`⚠️ Categoria ${snippet.categoryId} desconhecida`);
+    }
+
+    if (status.publishAt && status.privacyStatus !== 'private') {
+        errors.push('❌ Vídeos agendados precisam ser privados');
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors,
+        warnings,
+        stats
+    };
+}
+
+/**
+ * Monta o corpo exato (snippet/status) enviado ao videos.insert
+ * Ajusta valores aos limites do YouTube e devolve o relatório de validação
+ * @param {Object} videoData - Dados do vídeo do Notion
+ * @param {Object} options - { systemTags } tags internas, reservadas antes das tags do Notion;
+ *                           { short } usa título/descrição dos Shorts (padrão: Format do Notion)
+ * @returns {Object} - { requestBody, report, template, short }
+ */
+function buildVideoMetadata(videoData, options = {}) {
+    const { systemTags = [], short = resolveVideoFormat(videoData).isShort } = options;
+    const adjustments = [];
+
+    // Título (máximo 100 caracteres; Shorts sempre com #Shorts)
+    const rawTitle = short ? buildShortsTitle(videoData) : (videoData.title || '').trim();
+    let title = removeForbiddenChars(rawTitle, 'título', adjustments);
+    if (title.length > MAX_TITLE_LENGTH) {
+        adjustments.push(`⚠️ Título truncado (${title.length} → ${MAX_TITLE_LENGTH} caracteres)`);
+        title = title.substring(0, MAX_TITLE_LENGTH);
+    }
+
+    // Descrição do template da categoria (máximo 5000 bytes)
+    const rendered = renderDescription(videoData, short ? { short, context: getShortsContext() } : {});
+    let description = removeForbiddenChars(rendered.description, 'descrição', adjustments);
+    const descriptionBytes = Buffer.byteLength(description, 'utf8');
+    if (descriptionBytes > MAX_DESCRIPTION_BYTES) {
+        adjustments.push(`⚠️ Descrição truncada (${descriptionBytes} → ${MAX_DESCRIPTION_BYTES} bytes)`);
+        description = truncateToBytes(description, MAX_DESCRIPTION_BYTES);
+    }
+
+    const requestBody = {
+        snippet: {
+            title,
+            description,
+            tags: processTags([...systemTags, videoData.tags].filter(Boolean).join(','), adjustments),
+            categoryId: getCategoryId(videoData.category),
+            defaultLanguage: 'pt',
+            defaultAudioLanguage: 'pt'
+        },
+        status: {
+            privacyStatus: formatPrivacyStatus(videoData.privacy),
+            selfDeclaredMadeForKids: false,
+            embeddable: true,
+            publicStatsViewable: true
+        }
+    };
+
+    // Agendamento: YouTube exige vídeo privado com publishAt no futuro
+    if (isSchedulable(videoData.publishAt)) {
+        requestBody.status.privacyStatus = 'private';
+        requestBody.status.publishAt = videoData.publishAt;
+    }
+
+    const report = validateMetadata(requestBody);
+    report.warnings = [...adjustments, ...report.warnings];
+
+    return { requestBody, report, template: rendered.template, short };
+}
+
+/**
+ * Exibe relatório de validação dos metadados
+ * @param {Object} report - Resultado de validateMetadata
+ */
+function logMetadataReport(report) {
+    const { stats } = report;
+
+    console.log('📋 Validação dos metadados:');
+    console.log(`   📺 Título: ${stats.titleLength}/${MAX_TITLE_LENGTH} caracteres`);
+    console.log(`   📝 Descrição: ${stats.descriptionBytes}/${MAX_DESCRIPTION_BYTES} bytes`);
+    console.log(`   🏷️ Tags: ${stats.tagsCount} tag(s), ${stats.tagsLength}/${MAX_TAGS_LENGTH} caracteres`);
+
+    report.warnings.forEach(warning => console.warn(`   ${warning}`));
+    report.errors.forEach(error => console.error(`   ${error}`));
+}
+
+module.exports = {
+    buildVideoMetadata,
+    validateMetadata,
+    logMetadataReport,
+    getCategoryId,
+    formatPrivacyStatus,
+    processTags,
+    getTagsLength,
+    truncateToBytes,
+    MAX_TITLE_LENGTH,
+    MAX_DESCRIPTION_BYTES,
+    MAX_TAGS_LENGTH
+};
+
+/*
+🎯 PRINCIPAIS FUNCIONALIDADES:
+📋 FONTE ÚNICA DE METADADOS:
+Corpo snippet/status exatamente como enviado ao YouTube
+Usado pelo upload, pelo 3uploadyoutube.js e pela prévia
+🛡️ LIMITES DO YOUTUBE:
+✅ Título até 100 caracteres
+✅ Descrição até 5000 bytes (UTF-8)
+✅ Tags até 500 caracteres no total (aspas e vírgulas contam)
+✅ Sem "<" ou ">" em título, descrição e tags
+📱 SHORTS:
+✅ Título com #Shorts e template de descrição próprio
+📊 RELATÓRIO:
+✅ Ajustes aplicados (truncamentos, tags descartadas)
+✅ Erros que impedem o upload
+*/
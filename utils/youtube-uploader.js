@@ -1,6 +1,11 @@
 const { google } = require('googleapis');
 const fs = require('fs');
 const path = require('path');
+const { uploadFileResumable, buildSessionKey } = require('./resumable-upload');
+const { uploadDriveStreamResumable, buildStreamSessionKey } = require('./stream-transfer');
+const { formatPublishAt } = require('./publish-schedule');
+const { buildVideoMetadata, logMetadataReport } = require('./youtube-metadata');
+const { recordQuotaUsage, markQuotaExhausted } = require('./quota-ledger');
 require('dotenv').config();
 
 // Configurar autenticação Google
@@ -16,94 +21,6 @@ oauth2Client.setCredentials({
 
 const youtube = google.youtube({ version: 'v3', auth: oauth2Client });
 
-/**
- * Mapeia categoria do Notion para ID do YouTube
- * @param {string} category - Categoria do Notion
- * @returns {string} - ID da categoria YouTube
- */
-function getCategoryId(category) {
-    const categoryMap = {
-        'Education': '27',
-        'Entertainment': '24',
-        'Music': '10',
-        'Gaming': '20',
-        'Sports': '17',
-        'Science & Technology': '28',
-        'News & Politics': '25',
-        'Howto & Style': '26',
-        'People & Blogs': '22',
-        'Comedy': '34',
-        'Film & Animation': '1',
-        'Autos & Vehicles': '2'
-    };
-    
-    return categoryMap[category] || '27'; // Default: Education
-}
-
-/**
- * Formata status de privacidade
- * @param {string} privacy - Status do Notion
- * @returns {string} - Status YouTube válido
- */
-function formatPrivacyStatus(privacy) {
-    const privacyMap = {
-        'Public': 'public',
-        'Unlisted': 'unlisted',
-        'Private': 'private'
-    };
-    
-    const formatted = privacyMap[privacy] || 'public';
-    console.log(`🔒 Privacidade: ${privacy} → ${formatted}`);
-    return formatted;
-}
-
-/**
- * Processa e formata tags
- * @param {string} tagsString - String de tags separadas por vírgula
- * @returns {Array} - Array de tags válidas
- */
-function processTags(tagsString) {
-    if (!tagsString) return [];
-    
-    const tags = tagsString
-        .split(',')
-        .map(tag => tag.trim())
-        .filter(tag => tag.length > 0 && tag.length <= 500) // Limite do YouTube
-        .slice(0, 500); // Máximo 500 tags
-    
-    console.log(`🏷️ Tags processadas: ${tags.length} tag(s)`);
-    console.log(`   ${tags.join(', ')}`);
-    
-    return tags;
-}
-
-/**
- * Formata descrição com informações adicionais
- * @param {string} description - Descrição original
- * @param {Object} videoData - Dados do vídeo
- * @returns {string} - Descrição formatada
- */
-function formatDescription(description, videoData) {
-    let formattedDesc = description || '';
-    
-    // Adicionar rodapé padrão se não estiver muito longa
-    if (formattedDesc.length < 4500) { // Limite YouTube: 5000
-        const footer = `
-
-────────────────────────────
-🙏 Pregador Manasses
-📺 Se inscreva no canal para mais conteúdo!
-🔔 Ative as notificações
-
-#PregadorManasses #Pregação #Palavra`;
-        
-        formattedDesc += footer;
-    }
-    
-    console.log(`📝 Descrição: ${formattedDesc.length} caracteres`);
-    return formattedDesc.substring(0, 5000); // Garantir limite
-}
-
 /**
  * Valida dados do vídeo antes do upload
  * @param {Object} videoData - Dados do vídeo
@@ -118,23 +35,13 @@ function validateVideoData(videoData, videoFile) {
     console.log('📏 DEBUG - comprimento do título:', videoData.title?.length);
     console.log('📝 DEBUG - tipo do título:', typeof videoData.title);
     
-    // Validar título
-    if (!videoData.title || videoData.title.length === 0) {
-        throw new Error('❌ Título é obrigatório');
-    }
-    
-    if (videoData.title.length > 100) {
-        console.warn('⚠️ Título muito longo, será truncado');
-        videoData.title = videoData.title.substring(0, 100);
-    }
-    
-    // Validar arquivo
-    if (!fs.existsSync(videoFile.filePath)) {
+    // Validar arquivo (no modo streaming o conteúdo vem direto do Drive)
+    if (!videoFile.streamFromDrive && !fs.existsSync(videoFile.filePath)) {
         throw new Error('❌ Arquivo de vídeo não encontrado');
     }
     
-    // Verificar tamanho (YouTube: máx 256GB, mas vamos limitar em 2GB)
-    const maxSize = 2 * 1024 * 1024 * 1024; // 2GB
+    // Verificar tamanho (YouTube: máx 256GB; upload resumível suporta arquivos grandes)
+    const maxSize = 256 * 1024 * 1024 * 1024; // 256GB
     if (videoFile.fileSize > maxSize) {
         throw new Error(`❌ Arquivo muito grande: ${videoFile.fileSizeFormatted}`);
     }
@@ -142,11 +49,16 @@ function validateVideoData(videoData, videoFile) {
     // Verificar formato
     const supportedFormats = [
         'video/mp4',
-        'video/avi',
-        'video/mov',
-        'video/wmv',
-        'video/flv',
-        'video/webm'
+        'video/x-m4v',
+        'video/quicktime',
+        'video/x-msvideo',
+        'video/x-ms-wmv',
+        'video/x-flv',
+        'video/webm',
+        'video/x-matroska',
+        'video/3gpp',
+        'video/mpeg',
+        'video/mp2t'
     ];
     
     if (!supportedFormats.includes(videoFile.mimeType)) {
@@ -179,79 +91,96 @@ function createProgressCallback(totalSize) {
     };
 }
 
+/**
+ * Obtém access token válido (renovado automaticamente pelo cliente OAuth2)
+ * @returns {string} - Access token
+ */
+async function getAccessToken() {
+    const { token } = await oauth2Client.getAccessToken();
+    return token;
+}
+
 /**
  * Faz upload do vídeo para o YouTube
  * @param {Object} videoData - Dados do vídeo do Notion
  * @param {Object} videoFile - Informações do arquivo baixado
+ * @param {Object} metadata - Resultado de buildVideoMetadata (opcional, montado aqui se ausente)
  * @returns {Object} - Resultado do upload
  */
-async function uploadToYoutube(videoData, videoFile) {
+async function uploadToYoutube(videoData, videoFile, metadata = null) {
     try {
         console.log('🚀 Iniciando upload para YouTube...');
         
         // 1. Validar dados
         validateVideoData(videoData, videoFile);
         
-        // 2. Preparar metadados
-        const videoMetadata = {
-            snippet: {
-                title: videoData.title.substring(0, 100),
-                description: formatDescription(videoData.description, videoData),
-                tags: processTags(videoData.tags),
-                categoryId: getCategoryId(videoData.category),
-                defaultLanguage: 'pt',
-                defaultAudioLanguage: 'pt'
-            },
-            status: {
-                privacyStatus: formatPrivacyStatus(videoData.privacy),
-                selfDeclaredMadeForKids: false,
-                embeddable: true,
-                publicStatsViewable: true
-            }
-        };
+        // 2. Preparar metadados (corpo exato enviado ao YouTube)
+        const { requestBody: videoMetadata, report } = metadata || buildVideoMetadata(videoData);
+        
+        if (!metadata) {
+            logMetadataReport(report);
+        }
+        
+        if (!report.isValid) {
+            throw new Error(`Metadados inválidos: ${report.errors.join(', ')}`);
+        }
         
         console.log('📋 Metadados preparados:');
         console.log(`   📺 Título: ${videoMetadata.snippet.title}`);
         console.log(`   🔒 Privacidade: ${videoMetadata.status.privacyStatus}`);
+        if (videoMetadata.status.publishAt) {
+            console.log(`   📅 Agendado para: ${formatPublishAt(videoMetadata.status.publishAt)}`);
+        }
         console.log(`   📂 Categoria: ${videoMetadata.snippet.categoryId}`);
         console.log(`   🏷️ Tags: ${videoMetadata.snippet.tags.length}`);
         
-        // 3. Configurar stream de upload
-        const fileStream = fs.createReadStream(videoFile.filePath);
+        // 3. Configurar upload resumível
         const progressCallback = createProgressCallback(videoFile.fileSize);
         
         console.log(`📁 Arquivo: ${videoFile.fileName}`);
         console.log(`📊 Tamanho: ${videoFile.fileSizeFormatted}`);
-        console.log('🚀 Enviando...');
+        console.log(videoFile.streamFromDrive ? '🌊 Enviando direto do Drive (sem disco)...' : '🚀 Enviando...');
         
         const startTime = Date.now();
         
-        // 4. Fazer upload
-        const response = await youtube.videos.insert({
-            part: ['snippet', 'status'],
-            requestBody: videoMetadata,
-            media: {
-                body: fileStream
-            }
-        });
+        // 4. Fazer upload (retoma sessão salva se o processo anterior caiu)
+        const video = videoFile.streamFromDrive
+            ? await uploadDriveStreamResumable({
+                fileId: videoFile.driveFileId,
+                fileSize: videoFile.fileSize,
+                md5Checksum: videoFile.md5Checksum,
+                mimeType: videoFile.mimeType || 'video/mp4',
+                requestBody: videoMetadata,
+                sessionKey: buildStreamSessionKey(videoFile, videoData.pageId),
+                getAccessToken,
+                onProgress: progressCallback
+            })
+            : await uploadFileResumable({
+                filePath: videoFile.filePath,
+                fileSize: videoFile.fileSize,
+                mimeType: videoFile.mimeType || 'video/mp4',
+                requestBody: videoMetadata,
+                sessionKey: buildSessionKey(videoFile, videoData.pageId),
+                getAccessToken,
+                onProgress: progressCallback
+            });
         
         const uploadTime = ((Date.now() - startTime) / 1000).toFixed(1);
         console.log(`\n✅ Upload concluído em ${uploadTime}s!`);
         
         // 5. Processar resposta
-        const videoId = response.data.id;
+        const videoId = video.id;
         const videoUrl = `https://www.youtube.com/watch?v=${videoId}`;
-        const thumbnailUrl = `https://img.youtube.com/vi/${videoId}/maxresdefault.jpg`;
         
         console.log('🎬 Informações do vídeo:');
         console.log(`   🆔 ID: ${videoId}`);
         console.log(`   🔗 URL: ${videoUrl}`);
-        console.log(`   🖼️ Thumbnail: ${thumbnailUrl}`);
         
         // 6. Verificar se vídeo foi processado
         try {
             await new Promise(resolve => setTimeout(resolve, 2000)); // Aguardar 2s
             
+            recordQuotaUsage('videos.list');
             const videoInfo = await youtube.videos.list({
                 part: ['status', 'processingDetails'],
                 id: videoId
@@ -268,26 +197,30 @@ async function uploadToYoutube(videoData, videoFile) {
             success: true,
             videoId: videoId,
             videoUrl: videoUrl,
-            thumbnailUrl: thumbnailUrl,
             uploadDate: new Date().toISOString(),
             uploadTimeSeconds: parseFloat(uploadTime),
             fileSize: videoFile.fileSize,
             title: videoMetadata.snippet.title,
-            privacy: videoMetadata.status.privacyStatus
+            privacy: videoMetadata.status.privacyStatus,
+            publishAt: videoMetadata.status.publishAt || null
         };
         
     } catch (error) {
         console.error('\n❌ Erro no upload para YouTube:', error.message);
         
         // Analisar tipos de erro específicos
-        if (error.code === 403) {
-            throw new Error('❌ Sem permissão para upload (verificar quota/API)');
+        // Status e motivo da API seguem no erro para a política de retentativa
+        const reason = error.response?.data?.error?.errors?.[0]?.reason || error.errors?.[0]?.reason || '';
+        const details = { code: error.code, reason };
+        if (/quota/i.test(reason) || /exceeded your quota/i.test(error.message)) {
+            markQuotaExhausted();
+            throw Object.assign(new Error('❌ Quota da API YouTube excedida'), details, { reason: reason || 'quotaExceeded' });
+        } else if (error.code === 403) {
+            throw Object.assign(new Error('❌ Sem permissão para upload (verificar quota/API)'), details);
         } else if (error.code === 400) {
-            throw new Error('❌ Dados inválidos para upload');
-        } else if (error.message.includes('quota')) {
-            throw new Error('❌ Quota da API YouTube excedida');
+            throw Object.assign(new Error('❌ Dados inválidos para upload'), details);
         } else if (error.message.includes('file')) {
-            throw new Error('❌ Problema com o arquivo de vídeo');
+            throw Object.assign(new Error('❌ Problema com o arquivo de vídeo'), details);
         }
         
         throw error;
@@ -298,6 +231,7 @@ async function uploadToYoutube(videoData, videoFile) {
  * Atualiza thumbnail do vídeo (opcional)
  * @param {string} videoId - ID do vídeo
  * @param {string} thumbnailPath - Caminho da thumbnail
+ * @returns {Object} - { success, thumbnailUrl, error }
  */
 async function updateThumbnail(videoId, thumbnailPath) {
     try {
@@ -307,17 +241,73 @@ async function updateThumbnail(videoId, thumbnailPath) {
         
         console.log('🖼️ Atualizando thumbnail...');
         
-        await youtube.thumbnails.set({
+        recordQuotaUsage('thumbnails.set');
+        const response = await youtube.thumbnails.set({
             videoId: videoId,
             media: {
                 body: fs.createReadStream(thumbnailPath)
             }
         });
         
+        // URL da maior resolução retornada pelo YouTube
+        const sizes = response.data.items?.[0] || {};
+        const best = sizes.maxres || sizes.standard || sizes.high || sizes.medium || sizes.default;
+        
         console.log('✅ Thumbnail atualizada');
         
+        return {
+            success: true,
+            thumbnailUrl: best?.url || null
+        };
+        
     } catch (error) {
         console.warn('⚠️ Erro ao atualizar thumbnail:', error.message);
+        return {
+            success: false,
+            thumbnailUrl: null,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Envia legenda para o vídeo (requer escopo youtube.force-ssl)
+ * @param {string} videoId - ID do vídeo
+ * @param {Object} caption - { filePath, language, name }
+ * @returns {Object} - { success, captionId, error }
+ */
+async function uploadCaption(videoId, caption) {
+    try {
+        recordQuotaUsage('captions.insert');
+        const response = await youtube.captions.insert({
+            part: ['snippet'],
+            requestBody: {
+                snippet: {
+                    videoId: videoId,
+                    language: caption.language,
+                    name: caption.name || '',
+                    isDraft: false
+                }
+            },
+            media: {
+                mimeType: 'application/octet-stream',
+                body: fs.createReadStream(caption.filePath)
+            }
+        });
+        
+        console.log(`   ✅ Legenda ${caption.language} enviada`);
+        
+        return {
+            success: true,
+            captionId: response.data.id
+        };
+        
+    } catch (error) {
+        console.warn(`   ⚠️ Erro ao enviar legenda ${caption.language}:`, error.message);
+        return {
+            success: false,
+            error: error.message
+        };
     }
 }
 
@@ -326,6 +316,7 @@ async function updateThumbnail(videoId, thumbnailPath) {
  */
 async function getChannelInfo() {
     try {
+        recordQuotaUsage('channels.list');
         const response = await youtube.channels.list({
             part: ['snippet', 'statistics'],
             mine: true
@@ -352,17 +343,16 @@ async function getChannelInfo() {
 module.exports = {
     uploadToYoutube,
     updateThumbnail,
-    getChannelInfo,
-    getCategoryId,
-    formatPrivacyStatus,
-    processTags,
-    formatDescription
+    uploadCaption,
+    getChannelInfo
 };
 
 /*
 🎯 PRINCIPAIS FUNCIONALIDADES:
 ✅ UPLOAD COMPLETO:
 Metadados otimizados (título, descrição, tags)
+Upload resumível em chunks com retomada após falhas
+Streaming direto do Drive (sem disco) quando a origem é prepareDriveStream
 Barra de progresso em tempo real
 Validações rigorosas antes do upload
 Múltiplos formatos de vídeo suportados
@@ -375,7 +365,9 @@ Múltiplos formatos de vídeo suportados
 ✅ Monitoramento de progresso
 ✅ Informações do canal
 ✅ Configuração automática de privacidade
+✅ Publicação agendada (publishAt)
 ✅ Suporte a thumbnails customizadas
+✅ Envio de legendas (captions.insert)
 🔧 CONFIGURAÇÕES AUTOMÁTICAS:
 ✅ Categoria baseada no Notion
 ✅ Idioma português por padrão